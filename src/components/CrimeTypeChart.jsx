@@ -1,39 +1,31 @@
 import React, { useState, useMemo, useEffect } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, ReferenceLine } from 'recharts';
 import { useCrimeData } from '../utils/CrimeDataContext';
-
-// Crime color mapping
-const CRIME_COLORS = {
-  'HOMICIDE': '#e53e3e',
-  'ASSAULT W/DANGEROUS WEAPON': '#dd6b20',
-  'SEX ABUSE': '#805ad5',
-  'ROBBERY': '#d69e2e',
-  'BURGLARY': '#3182ce',
-  'THEFT F/AUTO': '#38a169',
-  'THEFT/OTHER': '#0d9488',
-  'MOTOR VEHICLE THEFT': '#6366f1',
-  'ARSON': '#e11d48',
-  'UNKNOWN': '#718096',
-  'default': '#718096'
-};
-
-// Crime severity weights
-const CRIME_WEIGHTS = {
-  'HOMICIDE': 10,
-  'ASSAULT W/DANGEROUS WEAPON': 8,
-  'SEX ABUSE': 8,
-  'ROBBERY': 7,
-  'BURGLARY': 5,
-  'MOTOR VEHICLE THEFT': 4,
-  'THEFT F/AUTO': 3,
-  'THEFT/OTHER': 2,
-  'ARSON': 6,
-  'UNKNOWN': 1,
-  'default': 1
-};
+import { getOffenseInfo } from '../utils/crimeTaxonomy';
+import {
+  describeCorrelation,
+  formatCoefficient,
+  formatInterval,
+  formatPValue,
+  isSignificant,
+  SIGNIFICANCE_LEVEL
+} from '../utils/correlationStats';
+import { CRIME_MEASURES, getMeasureValue, formatMeasureValue, formatRate, getRate } from '../utils/crimeMeasure';
+import { getCensusMetric } from '../utils/censusMetrics';
+import CrimeMeasureToggle from './shared/CrimeMeasureToggle';
 
 const CrimeTypeChart = () => {
-  const { crimeTypes, rawData, census, showCensusOverlay, selectedCensusMetric } = useCrimeData();
+  const {
+    crimeTypes,
+    filteredRawData,
+    census,
+    censusCorrelations,
+    crimeMeasure,
+    populations,
+    showCensusOverlay,
+    selectedCensusMetric,
+    taxonomy
+  } = useCrimeData();
   // Always sort by count (frequency) since the UI element has been removed
   const [sortBy] = useState('count'); 
   const [chartOrientation, setChartOrientation] = useState('horizontal'); // 'vertical' or 'horizontal'
@@ -59,72 +51,12 @@ const CrimeTypeChart = () => {
     }
   }, [crimeTypes]);
 
-  // Sample correlation data (in a real app, this would come from analysis)
-  const censusCorrelations = {
-    'income': {
-      'HOMICIDE': -0.78,
-      'ASSAULT W/DANGEROUS WEAPON': -0.72,
-      'SEX ABUSE': -0.65,
-      'ROBBERY': -0.70,
-      'BURGLARY': -0.58,
-      'MOTOR VEHICLE THEFT': -0.52,
-      'THEFT F/AUTO': -0.47,
-      'THEFT/OTHER': -0.42,
-      'ARSON': -0.61,
-      'UNKNOWN': 0
-    },
-    'education': {
-      'HOMICIDE': -0.82,
-      'ASSAULT W/DANGEROUS WEAPON': -0.75,
-      'SEX ABUSE': -0.68,
-      'ROBBERY': -0.72,
-      'BURGLARY': -0.60,
-      'MOTOR VEHICLE THEFT': -0.56,
-      'THEFT F/AUTO': -0.48,
-      'THEFT/OTHER': -0.40,
-      'ARSON': -0.63,
-      'UNKNOWN': 0
-    },
-    'poverty': {
-      'HOMICIDE': 0.84,
-      'ASSAULT W/DANGEROUS WEAPON': 0.79,
-      'SEX ABUSE': 0.65,
-      'ROBBERY': 0.74,
-      'BURGLARY': 0.62,
-      'MOTOR VEHICLE THEFT': 0.58,
-      'THEFT F/AUTO': 0.50,
-      'THEFT/OTHER': 0.48,
-      'ARSON': 0.66,
-      'UNKNOWN': 0
-    },
-    'housing': {
-      'HOMICIDE': -0.75,
-      'ASSAULT W/DANGEROUS WEAPON': -0.68,
-      'SEX ABUSE': -0.60,
-      'ROBBERY': -0.65,
-      'BURGLARY': -0.72,
-      'MOTOR VEHICLE THEFT': -0.67,
-      'THEFT F/AUTO': -0.54,
-      'THEFT/OTHER': -0.52,
-      'ARSON': -0.59,
-      'UNKNOWN': 0
-    },
-    'race': {
-      'HOMICIDE': 0.35,
-      'ASSAULT W/DANGEROUS WEAPON': 0.32,
-      'SEX ABUSE': 0.15,
-      'ROBBERY': 0.28,
-      'BURGLARY': 0.22,
-      'MOTOR VEHICLE THEFT': 0.18,
-      'THEFT F/AUTO': 0.10,
-      'THEFT/OTHER': 0.08,
-      'ARSON': 0.12,
-      'UNKNOWN': 0
-    }
-  };
+  // Calculate total for percentages (of the filtered incidents the chart is built from)
+  const total = filteredRawData?.length || 0;
 
-  // Calculate total for percentages
-  const total = rawData?.length || 0;
+  // Rates per 1,000 District residents (ACS total population); counts when it is unknown
+  const population = populations?.total || null;
+  const measure = crimeMeasure === 'rate' && population ? 'rate' : 'count';
 
   // Prepare chart data
   const chartData = useMemo(() => {
@@ -143,19 +75,18 @@ const CrimeTypeChart = () => {
         const offenseValue = type.offense || type.type || 'UNKNOWN';
         const count = type.count || 0;
         
-        // Format offense name for display (make more readable)
-        const formattedOffense = offenseValue
-          .split('/')
-          .join(' / ')
-          .replace('W/', 'WITH ')
-          .replace('F/AUTO', 'FROM AUTO');
+        // Display name, color and severity weight from the crime taxonomy
+        const { displayName, color, weight } = getOffenseInfo(offenseValue, taxonomy);
           
         return {
           offense: offenseValue, // Keep original for references
-          formattedOffense, // Use for display
+          formattedOffense: displayName, // Use for display
           count: count,
+          // Bar length: the count or the rate, see crimeMeasure.js
+          value: getMeasureValue(count, population, measure),
           percentage: ((count / (total || 1)) * 100).toFixed(1),
-          weight: CRIME_WEIGHTS[offenseValue] || CRIME_WEIGHTS.default
+          color,
+          weight
         };
       });
       
@@ -168,11 +99,11 @@ const CrimeTypeChart = () => {
         data.sort((a, b) => b.weight - a.weight);
       }
 
-      // Add correlation data if census overlay is enabled
+      // Add each offense's correlation with the census metric across tracts if the overlay is enabled
       if (showCensusOverlay && selectedCensusMetric && census) {
         data = data.map(item => ({
           ...item,
-          correlation: censusCorrelations[selectedCensusMetric]?.[item.offense] || 0
+          correlation: censusCorrelations?.[crimeMeasure]?.byOffense?.[selectedCensusMetric]?.[item.offense] || null
         }));
       }
 
@@ -186,13 +117,18 @@ const CrimeTypeChart = () => {
       console.error('Error processing crime type data:', error);
       return [];
     }
-  }, [crimeTypes, sortBy, showCensusOverlay, selectedCensusMetric, census, total]);
+  }, [crimeTypes, sortBy, showCensusOverlay, selectedCensusMetric, census, censusCorrelations, crimeMeasure, total, taxonomy, population, measure]);
 
-  const getCorrelationColor = (value) => {
-    if (value === 0) return '#9ca3af'; // Gray for no correlation
-    if (value > 0) return value > 0.5 ? '#ef4444' : '#f87171'; // Red shades for positive
-    return value < -0.5 ? '#10b981' : '#34d399'; // Green shades for negative
-};
+  // Color of a correlate() result by its Pearson r; gray unless it is significant
+  const getCorrelationColor = (result) => {
+    if (!isSignificant(result?.pearson)) return '#9ca3af'; // Gray for no significant correlation
+    const { r } = result.pearson;
+    if (r > 0) return r > 0.5 ? '#ef4444' : '#f87171'; // Red shades for positive
+    return r < -0.5 ? '#10b981' : '#34d399'; // Green shades for negative
+  };
+
+  const metricLabel = selectedCensusMetric ? getCensusMetric(selectedCensusMetric).label : '';
+  const metricName = metricLabel.toLowerCase();
 
 const CustomTooltip = ({ active, payload }) => {
   if (active && payload && payload.length) {
@@ -203,16 +139,22 @@ const CustomTooltip = ({ active, payload }) => {
           <div className="flex items-center mb-2">
             <div
               className="w-3 h-3 rounded-full mr-2"
-              style={{ backgroundColor: CRIME_COLORS[data.offense] || CRIME_COLORS.default }}
+              style={{ backgroundColor: data.color }}
             ></div>
             <p className="font-semibold text-gray-800">{data.formattedOffense}</p>
           </div>
           
-          <div className="grid grid-cols-2 gap-2 mb-1">
+          <div className={`grid ${population ? 'grid-cols-3' : 'grid-cols-2'} gap-2 mb-1`}>
             <div className="bg-blue-50 p-1.5 rounded">
               <p className="text-xs text-gray-500">Count</p>
               <p className="font-semibold text-gray-900">{data.count.toLocaleString()}</p>
             </div>
+            {population && (
+              <div className="bg-blue-50 p-1.5 rounded">
+                <p className="text-xs text-gray-500">Per 1,000</p>
+                <p className="font-semibold text-gray-900">{formatRate(getRate(data.count, population))}</p>
+              </div>
+            )}
             <div className="bg-blue-50 p-1.5 rounded">
               <p className="text-xs text-gray-500">Percentage</p>
               <p className="font-semibold text-gray-900">{data.percentage}%</p>
@@ -236,29 +178,39 @@ const CustomTooltip = ({ active, payload }) => {
           {showCensusOverlay && data.correlation !== undefined && (
             <div className="mt-2 pt-2 border-t border-gray-200">
               <p className="text-xs text-gray-700 font-medium mb-1">
-                {selectedCensusMetric.charAt(0).toUpperCase() + selectedCensusMetric.slice(1)} Correlation
+                {metricLabel} Correlation
               </p>
-              <div className="flex items-center">
-                <span
-                  className="w-3 h-3 rounded-full mr-2"
-                  style={{ backgroundColor: getCorrelationColor(data.correlation) }}
-                ></span>
-                <span className="text-sm font-medium">
-                  {data.correlation > 0 ? '+' : ''}{data.correlation.toFixed(2)}
-                </span>
-                <span className="ml-1 text-xs text-gray-500">
-                  ({data.correlation > 0 ? 'positive' : data.correlation < 0 ? 'negative' : 'no'})
-                </span>
-              </div>
-              <p className="text-xs mt-1 text-gray-500">
-                {data.correlation > 0 ?
-                  `Higher ${selectedCensusMetric} areas tend to have more ${data.formattedOffense.toLowerCase()} incidents` :
-                  data.correlation < 0 ?
-                  `Lower ${selectedCensusMetric} areas tend to have more ${data.formattedOffense.toLowerCase()} incidents` :
-                  `No clear relationship between ${selectedCensusMetric} and ${data.formattedOffense.toLowerCase()}`
-                }
-          </p>
-        </div>
+              {data.correlation?.pearson ? (
+                <>
+                  <div className="flex items-center">
+                    <span
+                      className="w-3 h-3 rounded-full mr-2"
+                      style={{ backgroundColor: getCorrelationColor(data.correlation) }}
+                    ></span>
+                    <span className="text-sm font-medium">
+                      r = {formatCoefficient(data.correlation.pearson.r)}
+                    </span>
+                    <span className="ml-1 text-xs text-gray-500">
+                      ({formatPValue(data.correlation.pearson.pValue)}, n = {data.correlation.n} tracts)
+                    </span>
+                  </div>
+                  <p className="text-xs mt-1 text-gray-500">
+                    95% CI {formatInterval(data.correlation.pearson.ci)}
+                    {data.correlation.spearman && ` · Spearman ρ = ${formatCoefficient(data.correlation.spearman.r)}`}
+                  </p>
+                  <p className="text-xs mt-1 text-gray-500">
+                    {!isSignificant(data.correlation.pearson) ?
+                      `No significant relationship between ${metricName} and ${data.formattedOffense.toLowerCase()} across tracts` :
+                      data.correlation.pearson.r > 0 ?
+                      `Tracts with higher ${metricName} tend to have more ${data.formattedOffense.toLowerCase()} incidents` :
+                      `Tracts with lower ${metricName} tend to have more ${data.formattedOffense.toLowerCase()} incidents`
+                    }
+                  </p>
+                </>
+              ) : (
+                <p className="text-xs text-gray-500">{describeCorrelation(data.correlation)}</p>
+              )}
+            </div>
           )}
       </div>
     );
@@ -291,6 +243,14 @@ const CustomTooltip = ({ active, payload }) => {
               </svg>
             </button>
           </div>
+          <CrimeMeasureToggle
+            unavailableReason={population ? null : 'The District population (dc_age.csv) did not load'}
+          />
+          {measure === 'rate' && (
+            <span className="text-xs text-gray-500">
+              District population {population.toLocaleString()} (ACS)
+            </span>
+          )}
         </div>
       </div>
 
@@ -332,6 +292,7 @@ const CustomTooltip = ({ active, payload }) => {
                 />
                 <YAxis
                   tick={{ fontSize: 11, fill: '#4b5563' }}
+                  tickFormatter={value => formatMeasureValue(value, measure)}
                   axisLine={{ stroke: '#e5e7eb' }}
                   tickLine={{ stroke: '#e5e7eb' }}
                 />
@@ -348,14 +309,14 @@ const CustomTooltip = ({ active, payload }) => {
                 </defs>
                 
                 <Bar
-                  dataKey="count"
+                  dataKey="value"
                   radius={[4, 4, 0, 0]}
                   fill={showCensusOverlay ? "#6366f1" : "#3b82f6"}
                 >
                   {chartData.map((entry, index) => (
                     <Cell
                       key={`cell-${index}`}
-                      fill={showCensusOverlay ? "#6366f1" : CRIME_COLORS[entry.offense] || CRIME_COLORS.default}
+                      fill={showCensusOverlay ? "#6366f1" : entry.color}
                       stroke={showCensusOverlay ? getCorrelationColor(entry.correlation) : undefined}
                       strokeWidth={showCensusOverlay ? 2 : 0}
                     />
@@ -388,6 +349,7 @@ const CustomTooltip = ({ active, payload }) => {
                 <XAxis
                   type="number"
                   tick={{ fontSize: 11, fill: '#4b5563' }}
+                  tickFormatter={value => formatMeasureValue(value, measure)}
                   axisLine={{ stroke: '#e5e7eb' }}
                   tickLine={{ stroke: '#e5e7eb' }}
                 />
@@ -403,14 +365,14 @@ const CustomTooltip = ({ active, payload }) => {
                 {/* Legend removed as requested */}
                 
                 <Bar
-                  dataKey="count"
+                  dataKey="value"
                   radius={[0, 4, 4, 0]}
                   fill={showCensusOverlay ? "#6366f1" : "#3b82f6"}
                 >
                   {chartData.map((entry, index) => (
                     <Cell 
                       key={`cell-${index}`}
-                      fill={showCensusOverlay ? "#6366f1" : CRIME_COLORS[entry.offense] || CRIME_COLORS.default}
+                      fill={showCensusOverlay ? "#6366f1" : entry.color}
                       stroke={showCensusOverlay ? getCorrelationColor(entry.correlation) : undefined}
                       strokeWidth={showCensusOverlay ? 2 : 0}
                     />
@@ -425,34 +387,12 @@ const CustomTooltip = ({ active, payload }) => {
             <div className="mt-3 pt-3 border-t border-gray-200">
               <p className="text-xs font-medium text-gray-700 mb-2">Crime Type Colors:</p>
               <div className="flex flex-wrap justify-center gap-x-4 gap-y-2 text-xs">
-                <div className="flex items-center">
-                  <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: CRIME_COLORS['HOMICIDE'] }}></span>
-                  <span>Homicide</span>
-                </div>
-                <div className="flex items-center">
-                  <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: CRIME_COLORS['ASSAULT W/DANGEROUS WEAPON'] }}></span>
-                  <span>Assault</span>
-                </div>
-                <div className="flex items-center">
-                  <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: CRIME_COLORS['ROBBERY'] }}></span>
-                  <span>Robbery</span>
-                </div>
-                <div className="flex items-center">
-                  <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: CRIME_COLORS['BURGLARY'] }}></span>
-                  <span>Burglary</span>
-                </div>
-                <div className="flex items-center">
-                  <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: CRIME_COLORS['MOTOR VEHICLE THEFT'] }}></span>
-                  <span>Motor Vehicle Theft</span>
-                </div>
-                <div className="flex items-center">
-                  <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: CRIME_COLORS['THEFT F/AUTO'] }}></span>
-                  <span>Theft F/Auto</span>
-                </div>
-                <div className="flex items-center">
-                  <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: CRIME_COLORS['THEFT/OTHER'] }}></span>
-                  <span>Theft/Other</span>
-                </div>
+                {chartData.map(entry => (
+                  <div key={entry.offense} className="flex items-center">
+                    <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: entry.color }}></span>
+                    <span>{entry.formattedOffense}</span>
+                  </div>
+                ))}
               </div>
             </div>
           )}
@@ -461,7 +401,7 @@ const CustomTooltip = ({ active, payload }) => {
           {showCensusOverlay && (
             <div className="mt-2 pt-3 border-t border-gray-200">
               <p className="text-xs font-medium text-gray-700 mb-2">
-                Correlation with {selectedCensusMetric.charAt(0).toUpperCase() + selectedCensusMetric.slice(1)}:
+                Correlation with {metricLabel}:
               </p>
               <div className="flex items-center justify-center space-x-6 text-xs">
                 <div className="flex items-center">
@@ -470,7 +410,7 @@ const CustomTooltip = ({ active, payload }) => {
                 </div>
                 <div className="flex items-center">
                   <span className="w-3 h-3 rounded-full bg-gray-400 mr-1"></span>
-                  <span>No Correlation</span>
+                  <span>Not Significant</span>
                 </div>
                 <div className="flex items-center">
                   <span className="w-3 h-3 rounded-full bg-green-500 mr-1"></span>
@@ -478,9 +418,9 @@ const CustomTooltip = ({ active, payload }) => {
                 </div>
               </div>
               <p className="text-xs text-gray-500 mt-2 text-center">
-                {selectedCensusMetric === 'poverty' ?
-                  'Positive correlation means crime is more common in higher poverty areas' :
-                  'Negative correlation means crime is more common in lower ' + selectedCensusMetric + ' areas'}
+                Pearson r between each offense's {CRIME_MEASURES[crimeMeasure].tractLabel} and tract {metricName}, under the
+                current filters; outlines are colored when p {'<'} {SIGNIFICANCE_LEVEL}.
+                {' '}All offenses: {describeCorrelation(censusCorrelations?.[crimeMeasure]?.metrics?.[selectedCensusMetric])}.
               </p>
             </div>
           )}
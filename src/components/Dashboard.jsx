@@ -2,7 +2,25 @@ import React, { Suspense, lazy, useState, useCallback, useEffect, useRef } from
 import { useCrimeData } from '../utils/CrimeDataContext';
 import useChartData from '../utils/useChartData';
 import LoadingSpinner from './shared/LoadingSpinner';
+import DatasetSelector, { formatYearSpan } from './shared/DatasetSelector';
+import IncidentImport from './IncidentImport';
+import TaxonomyEditor from './TaxonomyEditor';
+import AnalysisClockToggle from './shared/AnalysisClockToggle';
+import ShareLinkButton from './shared/ShareLinkButton';
 import ErrorBoundary from './shared/ErrorBoundary';
+import { countActiveFilters } from '../utils/queryEngine';
+import {
+  describeCorrelation,
+  formatCoefficient,
+  formatInterval,
+  formatPValue,
+  isSignificant,
+  getCorrelationStrength
+} from '../utils/correlationStats';
+import { CRIME_MEASURES } from '../utils/crimeMeasure';
+import { CENSUS_METRICS, formatCensusMetric, formatCensusInterval, getCensusReliability } from '../utils/censusMetrics';
+import ReliabilityFlag from './shared/ReliabilityFlag';
+import TractDataNotice from './shared/TractDataNotice';
 
 // Lazy load components for better initial load performance
 const HeatMap = lazy(() => import('./HeatMap'));
@@ -35,8 +53,142 @@ const DashboardSkeleton = () => (
   </div>
 );
 
+// Census metrics summarized in the correlation cards, with their icon paths and colors
+const CORRELATION_CARDS = [
+  {
+    metric: 'income',
+    title: 'Income Correlation',
+    label: 'median household income',
+    gradient: 'from-green-50',
+    textColor: 'text-green-600',
+    iconPaths: ['M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z']
+  },
+  {
+    metric: 'education',
+    title: 'Education Impact',
+    label: 'share with a bachelor\'s degree',
+    gradient: 'from-blue-50',
+    textColor: 'text-blue-600',
+    iconPaths: [
+      'M12 14l9-5-9-5-9 5 9 5z',
+      'M12 14l9-5-9-5-9 5 9 5zm0 0l6.16-3.422a12.083 12.083 0 01.665 6.479A11.952 11.952 0 0012 20.055a11.952 11.952 0 00-6.824-2.998 12.078 12.078 0 01.665-6.479L12 14zm-4 6v-7.5l4-2.222'
+    ]
+  },
+  {
+    metric: 'housing',
+    title: 'Housing Value Patterns',
+    label: 'median home value',
+    gradient: 'from-indigo-50',
+    textColor: 'text-indigo-600',
+    iconPaths: ['M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6']
+  },
+  {
+    metric: 'poverty',
+    title: 'Poverty Impact',
+    label: 'poverty rate',
+    gradient: 'from-red-50',
+    textColor: 'text-red-600',
+    iconPaths: ['M13 17h8m0 0V9m0 8l-8-8-4 4-6-6']
+  }
+];
+
+// One metric's correlation with incidents (or incidents per 1,000 residents) per census tract
+const CorrelationCard = ({ card, correlation, measure }) => {
+  const pearson = correlation?.pearson;
+
+  return (
+    <div className="rounded-lg bg-white border border-gray-200 shadow-sm hover:shadow-md transition-all duration-200 overflow-hidden">
+      <div className={`flex items-center p-4 border-b border-gray-100 bg-gradient-to-r ${card.gradient} to-white`}>
+        <div className="bg-white rounded-full p-2 mr-3 shadow-sm">
+          <svg xmlns="http://www.w3.org/2000/svg" className={`h-5 w-5 ${card.textColor}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            {card.iconPaths.map(path => (
+              <path key={path} strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={path} />
+            ))}
+          </svg>
+        </div>
+        <h4 className="font-semibold text-gray-800 text-md">{card.title}</h4>
+      </div>
+      <div className="p-4">
+        {pearson ? (
+          <>
+            <div className="flex items-baseline mb-2">
+              <span className={`text-2xl font-bold mr-2 ${card.textColor}`}>r = {formatCoefficient(pearson.r)}</span>
+              <span className="text-sm text-gray-500">{formatPValue(pearson.pValue)}, n = {correlation.n} tracts</span>
+            </div>
+            <p className="text-sm text-gray-600 leading-relaxed">
+              {isSignificant(pearson)
+                ? `${getCorrelationStrength(pearson.r).replace(/^./, c => c.toUpperCase())} ${pearson.r < 0 ? 'negative' : 'positive'} relationship: tracts with a higher ${card.label} have ${pearson.r < 0 ? 'fewer' : 'more'} incidents.`
+                : `No significant relationship between ${card.label} and ${CRIME_MEASURES[measure].tractLabel}.`}
+            </p>
+            <p className="mt-2 text-xs text-gray-500">
+              95% CI {formatInterval(pearson.ci)}
+              {correlation.spearman && ` · Spearman ρ = ${formatCoefficient(correlation.spearman.r)} (${formatPValue(correlation.spearman.pValue)})`}
+            </p>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500 leading-relaxed">
+            {describeCorrelation(correlation)}. It needs the tract-level census tables.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Census metrics without a card, listed one per row below the cards
+const OTHER_CORRELATION_METRICS = CENSUS_METRICS.filter(metric => (
+  !CORRELATION_CARDS.some(card => card.metric === metric.id)
+));
+
+// The correlation of each remaining metric, with its District-wide value and 90% interval
+const CorrelationTable = ({ correlations, derivedMetrics, measure }) => (
+  <table className="w-full text-sm">
+    <thead>
+      <tr className="text-left text-xs text-gray-500 uppercase tracking-wider border-b border-gray-200">
+        <th className="py-2 pr-3 font-medium">Census metric</th>
+        <th className="py-2 pr-3 font-medium">District</th>
+        <th className="py-2 font-medium">Correlation with {CRIME_MEASURES[measure].tractLabel}</th>
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-gray-100">
+      {OTHER_CORRELATION_METRICS.map(metric => {
+        const correlation = correlations?.[metric.id];
+        const pearson = correlation?.pearson;
+        const value = derivedMetrics?.[metric.districtField];
+        const moe = derivedMetrics?.moe?.[metric.districtField];
+        const interval = formatCensusInterval(value, moe, metric.id);
+        return (
+          <tr key={metric.id}>
+            <td className="py-2 pr-3 text-gray-800" title={metric.description}>
+              <span className="mr-1.5">{metric.icon}</span>{metric.label}
+            </td>
+            <td className="py-2 pr-3 text-gray-600">
+              <span className="whitespace-nowrap">{formatCensusMetric(value, metric.id)}</span>
+              <ReliabilityFlag reliability={getCensusReliability(value, moe)} />
+              {interval && <div className="text-[10px] text-gray-400 whitespace-nowrap">90% CI {interval}</div>}
+            </td>
+            <td className={`py-2 text-xs ${isSignificant(pearson) ? (pearson.r > 0 ? 'text-red-600' : 'text-green-600') : 'text-gray-500'}`}>
+              {describeCorrelation(correlation)}
+            </td>
+          </tr>
+        );
+      })}
+    </tbody>
+  </table>
+);
+
 const Dashboard = () => {
-  const { isLoading, error, showCensusOverlay, selectedCensusMetric, census } = useCrimeData();
+  const {
+    isLoading,
+    error,
+    showCensusOverlay,
+    selectedCensusMetric,
+    census,
+    censusCorrelations,
+    crimeMeasure,
+    loadingProgress,
+    loadedYears
+  } = useCrimeData();
   const { total } = useChartData();
   
   // Log census data for debugging
@@ -215,13 +367,12 @@ const Dashboard = () => {
                   <p className="text-gray-100 max-w-2xl mx-auto mb-6 text-lg">
                     Explore crime patterns and demographic correlations across Washington DC
                   </p>
-                  <div className="flex justify-center space-x-4">
-                    <div className="bg-slate-800/70 px-4 py-2 rounded-lg inline-flex items-center">
-                      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-blue-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-                      </svg>
-                      <span className="text-gray-100">2024 Crime Data</span>
-                    </div>
+                  <div className="flex flex-wrap justify-center gap-4">
+                    <DatasetSelector />
+                    <AnalysisClockToggle />
+                    <IncidentImport />
+                    <TaxonomyEditor />
+                    <ShareLinkButton />
                     <div className="bg-slate-800/70 px-4 py-2 rounded-lg inline-flex items-center">
                       <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-green-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 12l3-3 3 3 4-4M8 21l4-4 4 4M3 4h18M4 4h16v12a1 1 0 01-1 1H5a1 1 0 01-1-1V4z" />
@@ -234,11 +385,9 @@ const Dashboard = () => {
               
               {/* Filters Section - directly connected to header, no gap */}
               <div className="bg-white" ref={filtersRef}>
-                {/* Temporarily hidden filters
                 <LazyChartComponent>
                   <Filters />
                 </LazyChartComponent>
-                */}
               </div>
             </div>
           </div>
@@ -365,6 +514,8 @@ const Dashboard = () => {
                 </div>
               )}
               
+              <TractDataNotice />
+
               {/* Crime and Demographic Correlations - Unified visual style */}
               {census && (
                 <div className="rounded-lg overflow-hidden border border-slate-200">
@@ -380,95 +531,27 @@ const Dashboard = () => {
                   <div className="p-3 bg-white">
                     <div className="mb-3 rounded-lg py-2 px-3 border-l-3 border-slate-300 bg-slate-50">
                       <p className="text-gray-700 text-xs">
-                        Key correlations between 2023 census data and 2024 crime incidents:
+                        Correlations across census tracts between 2023 census data and the filtered {formatYearSpan(loadedYears)} crime incidents:
                       </p>
                     </div>
                     
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                      {/* Income Correlation Card */}
-                      <div className="rounded-lg bg-white border border-gray-200 shadow-sm hover:shadow-md transition-all duration-200 overflow-hidden">
-                        <div className="flex items-center p-4 border-b border-gray-100 bg-gradient-to-r from-green-50 to-white">
-                          <div className="bg-white rounded-full p-2 mr-3 shadow-sm">
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-green-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8c-1.657 0-3 .895-3 2s1.343 2 3 2 3 .895 3 2-1.343 2-3 2m0-8c1.11 0 2.08.402 2.599 1M12 8V7m0 1v8m0 0v1m0-1c-1.11 0-2.08-.402-2.599-1M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                            </svg>
-                          </div>
-                          <h4 className="font-semibold text-gray-800 text-md">Income Correlation</h4>
-                        </div>
-                        <div className="p-4">
-                          <div className="flex items-baseline mb-2">
-                            <span className="text-2xl font-bold text-green-600 mr-2">2.3x</span>
-                            <span className="text-sm text-gray-500">higher crime rate</span>
-                          </div>
-                          <p className="text-sm text-gray-600 leading-relaxed">
-                            Areas with median household income below $85,000 show higher violent crime rates compared to areas with income above $125,000.
-                          </p>
-                        </div>
-                      </div>
-                      
-                      {/* Education Impact Card */}
-                      <div className="rounded-lg bg-white border border-gray-200 shadow-sm hover:shadow-md transition-all duration-200 overflow-hidden">
-                        <div className="flex items-center p-4 border-b border-gray-100 bg-gradient-to-r from-blue-50 to-white">
-                          <div className="bg-white rounded-full p-2 mr-3 shadow-sm">
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-blue-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path d="M12 14l9-5-9-5-9 5 9 5z" />
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 14l9-5-9-5-9 5 9 5zm0 0l6.16-3.422a12.083 12.083 0 01.665 6.479A11.952 11.952 0 0012 20.055a11.952 11.952 0 00-6.824-2.998 12.078 12.078 0 01.665-6.479L12 14zm-4 6v-7.5l4-2.222" />
-                            </svg>
-                          </div>
-                          <h4 className="font-semibold text-gray-800 text-md">Education Impact</h4>
-                        </div>
-                        <div className="p-4">
-                          <div className="flex items-baseline mb-2">
-                            <span className="text-2xl font-bold text-blue-600 mr-2">40%</span>
-                            <span className="text-sm text-gray-500">fewer violent crimes</span>
-                          </div>
-                          <p className="text-sm text-gray-600 leading-relaxed">
-                            Neighborhoods with higher education rates (75%+ with Bachelor's degrees) experience fewer violent crimes but similar property crime rates.
-                          </p>
-                        </div>
-                      </div>
-                      
-                      {/* Housing Value Patterns Card */}
-                      <div className="rounded-lg bg-white border border-gray-200 shadow-sm hover:shadow-md transition-all duration-200 overflow-hidden">
-                        <div className="flex items-center p-4 border-b border-gray-100 bg-gradient-to-r from-indigo-50 to-white">
-                          <div className="bg-white rounded-full p-2 mr-3 shadow-sm">
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-indigo-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
-                            </svg>
-                          </div>
-                          <h4 className="font-semibold text-gray-800 text-md">Housing Value Patterns</h4>
-                        </div>
-                        <div className="p-4">
-                          <div className="flex items-baseline mb-2">
-                            <span className="text-2xl font-bold text-indigo-600 mr-2">$750,000+</span>
-                            <span className="text-sm text-gray-500">housing values</span>
-                          </div>
-                          <p className="text-sm text-gray-600 leading-relaxed">
-                            Areas with higher housing values show different crime patterns: higher rates of theft but lower violent crime.
-                          </p>
-                        </div>
-                      </div>
-                      
-                      {/* Poverty Impact Card */}
-                      <div className="rounded-lg bg-white border border-gray-200 shadow-sm hover:shadow-md transition-all duration-200 overflow-hidden">
-                        <div className="flex items-center p-4 border-b border-gray-100 bg-gradient-to-r from-red-50 to-white">
-                          <div className="bg-white rounded-full p-2 mr-3 shadow-sm">
-                            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-red-600" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 17h8m0 0V9m0 8l-8-8-4 4-6-6" />
-                            </svg>
-                          </div>
-                          <h4 className="font-semibold text-gray-800 text-md">Poverty Impact</h4>
-                        </div>
-                        <div className="p-4">
-                          <div className="flex items-baseline mb-2">
-                            <span className="text-2xl font-bold text-red-600 mr-2">2.8x</span>
-                            <span className="text-sm text-gray-500">more violent crime</span>
-                          </div>
-                          <p className="text-sm text-gray-600 leading-relaxed">
-                            High poverty areas ({">"} 17%) experience more violent crime incidents than areas with poverty rates below 7%.
-                          </p>
-                        </div>
-                      </div>
+                      {CORRELATION_CARDS.map(card => (
+                        <CorrelationCard
+                          key={card.metric}
+                          card={card}
+                          correlation={censusCorrelations?.[crimeMeasure]?.metrics?.[card.metric]}
+                          measure={crimeMeasure}
+                        />
+                      ))}
+                    </div>
+
+                    <div className="mt-4 overflow-x-auto">
+                      <CorrelationTable
+                        correlations={censusCorrelations?.[crimeMeasure]?.metrics}
+                        derivedMetrics={census.derivedMetrics}
+                        measure={crimeMeasure}
+                      />
                     </div>
                     
                     <div className="mt-3 py-2 px-3 rounded border border-amber-200 bg-amber-50 text-xs">
@@ -506,7 +589,7 @@ const Dashboard = () => {
         {/* Loading Overlay */}
         {isLoading && (
           <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-            <LoadingSpinner />
+            <LoadingSpinner progress={loadingProgress} />
           </div>
         )}
       </div>
@@ -543,11 +626,7 @@ const StatCard = ({ title, value, icon }) => (
 // Helper function to count active filters
 const getActiveFiltersCount = () => {
   const { filters } = useCrimeData();
-  let count = 0;
-  if (filters.dateRange?.start || filters.dateRange?.end) count++;
-  if (filters.crimeTypes.length) count++;
-  if (filters.shifts.length) count++;
-  return count;
+  return countActiveFilters(filters);
 };
 
 export default Dashboard;
\ No newline at end of file
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { useCrimeData } from '../utils/CrimeDataContext';
+import { QUALITY_CATEGORIES, qualityRowsToCsv } from '../utils/dataQuality';
+
+// Save problem rows as a CSV file
+const downloadRows = (report, categoryIds, fileName) => {
+  const blob = new Blob([qualityRowsToCsv(report, categoryIds)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const severityStyles = {
+  rejected: 'bg-red-100 text-red-700',
+  warning: 'bg-amber-100 text-amber-700'
+};
+
+const DataQualityReport = () => {
+  const { dataQuality } = useCrimeData();
+  const [expandedCategory, setExpandedCategory] = useState(null);
+
+  if (!dataQuality) {
+    return (
+      <div className="h-64 flex items-center justify-center text-gray-500">
+        No data quality information available
+      </div>
+    );
+  }
+
+  const rejectedIds = QUALITY_CATEGORIES.filter(c => c.severity === 'rejected').map(c => c.id);
+  const rejectedCount = rejectedIds.reduce((sum, id) => sum + dataQuality.categories[id].count, 0);
+  const acceptedCount = dataQuality.totalRows - rejectedCount;
+  const percentOfRows = (count) => (
+    dataQuality.totalRows > 0 ? ((count / dataQuality.totalRows) * 100).toFixed(2) : '0.00'
+  );
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-start justify-between mb-4 gap-4">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-800">Data Quality</h2>
+          <p className="text-sm text-gray-500">
+            Rows that were rejected or look suspicious in {dataQuality.sources.join(', ')}
+          </p>
+        </div>
+        <button
+          onClick={() => downloadRows(dataQuality, rejectedIds, 'rejected-incident-rows.csv')}
+          disabled={rejectedCount === 0}
+          className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300"
+        >
+          Download rejected rows
+        </button>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="bg-gray-50 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-gray-600">Rows read</h3>
+          <p className="text-2xl font-semibold text-gray-900 mt-1">{dataQuality.totalRows.toLocaleString()}</p>
+        </div>
+        <div className="bg-green-50 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-green-800">Used in charts</h3>
+          <p className="text-2xl font-semibold text-green-900 mt-1">{acceptedCount.toLocaleString()}</p>
+        </div>
+        <div className="bg-red-50 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-red-800">Rejected</h3>
+          <p className="text-2xl font-semibold text-red-900 mt-1">
+            {rejectedCount.toLocaleString()}
+            <span className="text-sm font-normal text-red-700 ml-2">({percentOfRows(rejectedCount)}%)</span>
+          </p>
+        </div>
+      </div>
+
+      {/* Problem categories */}
+      <div className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+        {QUALITY_CATEGORIES.map(category => {
+          const { count, samples } = dataQuality.categories[category.id];
+          const isExpanded = expandedCategory === category.id;
+
+          return (
+            <div key={category.id}>
+              <button
+                onClick={() => setExpandedCategory(isExpanded ? null : category.id)}
+                disabled={count === 0}
+                className="w-full flex items-center justify-between px-4 py-3 text-left hover:bg-gray-50 disabled:hover:bg-white"
+              >
+                <div>
+                  <div className="flex items-center">
+                    <span className="font-medium text-gray-800">{category.label}</span>
+                    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${severityStyles[category.severity]}`}>
+                      {category.severity === 'rejected' ? 'Rejected' : 'Kept, flagged'}
+                    </span>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-0.5">{category.description}</p>
+                </div>
+                <div className="text-right ml-4 whitespace-nowrap">
+                  <span className={`text-lg font-semibold ${count > 0 ? 'text-gray-900' : 'text-gray-300'}`}>
+                    {count.toLocaleString()}
+                  </span>
+                  <span className="block text-xs text-gray-500">{percentOfRows(count)}% of rows</span>
+                </div>
+              </button>
+
+              {isExpanded && (
+                <div className="px-4 pb-4">
+                  <div className="bg-gray-50 rounded border border-gray-200 overflow-x-auto">
+                    <table className="min-w-full text-xs">
+                      <thead>
+                        <tr className="text-left text-gray-500">
+                          <th className="px-3 py-2 font-medium">Source</th>
+                          <th className="px-3 py-2 font-medium">Line</th>
+                          <th className="px-3 py-2 font-medium">Row</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {samples.map(sample => (
+                          <tr key={`${sample.source}-${sample.line}`} className="border-t border-gray-200">
+                            <td className="px-3 py-2 text-gray-600 whitespace-nowrap">{sample.source}</td>
+                            <td className="px-3 py-2 text-gray-600">{sample.line}</td>
+                            <td className="px-3 py-2 font-mono text-gray-800 whitespace-nowrap">{sample.raw}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="flex justify-between items-center mt-2">
+                    <span className="text-xs text-gray-500">
+                      Showing {samples.length} of {count.toLocaleString()} rows
+                    </span>
+                    <button
+                      onClick={() => downloadRows(dataQuality, [category.id], `${category.id}-rows.csv`)}
+                      className="text-xs text-blue-600 hover:text-blue-800"
+                    >
+                      Download all {count.toLocaleString()} rows
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DataQualityReport;
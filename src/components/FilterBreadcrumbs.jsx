@@ -0,0 +1,50 @@
+import React from 'react';
+import { useCrimeData } from '../utils/CrimeDataContext';
+import { describeFilterHistory } from '../utils/filterHistory';
+import { getDisplayName } from '../utils/crimeTaxonomy';
+
+// Entries shown before the trail is shortened with "…"
+const VISIBLE_STEPS = 8;
+
+// Recent filter changes; clicking one goes back (or forward) to the filters after that change
+const FilterBreadcrumbs = () => {
+  const { filterHistory, jumpToFilters, taxonomy } = useCrimeData();
+
+  if (filterHistory.entries.length < 2) return null;
+
+  const labels = describeFilterHistory(filterHistory, type => getDisplayName(type, taxonomy));
+  const firstVisible = Math.max(0, labels.length - VISIBLE_STEPS);
+
+  return (
+    <nav className="flex flex-wrap items-center gap-1 mb-4 text-xs" aria-label="Filter history">
+      <span className="text-gray-500 mr-1">History</span>
+      {firstVisible > 0 && <span className="text-gray-300">… ›</span>}
+      {labels.slice(firstVisible).map((label, i) => {
+        const index = firstVisible + i;
+        const isCurrent = index === filterHistory.index;
+
+        return (
+          <React.Fragment key={index}>
+            {i > 0 && <span className="text-gray-300">›</span>}
+            <button
+              onClick={() => jumpToFilters(index)}
+              disabled={isCurrent}
+              className={`px-1.5 py-0.5 rounded max-w-[12rem] truncate ${
+                isCurrent
+                  ? 'bg-blue-100 text-blue-800 font-medium cursor-default'
+                  : index > filterHistory.index
+                    ? 'text-gray-400 hover:bg-gray-50 hover:text-gray-600'
+                    : 'text-blue-600 hover:bg-blue-50 hover:text-blue-800'
+              }`}
+              title={index > filterHistory.index ? `Redo to: ${label}` : label}
+            >
+              {label}
+            </button>
+          </React.Fragment>
+        );
+      })}
+    </nav>
+  );
+};
+
+export default FilterBreadcrumbs;
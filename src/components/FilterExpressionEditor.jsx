@@ -0,0 +1,153 @@
+import React from 'react';
+import MultiSelectDropdown from './shared/MultiSelectDropdown';
+import { EXPRESSION_MATCHES, CLAUSE_OPERATORS, createClause, createGroup } from '../utils/filterExpression';
+
+const MatchSelect = ({ value, onChange }) => (
+  <select
+    value={value}
+    onChange={e => onChange(e.target.value)}
+    className="rounded-md border-gray-200 text-xs py-0.5"
+  >
+    {EXPRESSION_MATCHES.map(match => (
+      <option key={match.id} value={match.id}>{match.label}</option>
+    ))}
+  </select>
+);
+
+// Editor for the advanced include/exclude expression (see filterExpression.js).
+// dimensions lists the filter dimensions clauses can use: [{ key, label, options, formatOption }]
+const FilterExpressionEditor = ({ expression, onChange, dimensions }) => {
+  const getDimension = (key) => dimensions.find(dimension => dimension.key === key) || dimensions[0];
+
+  const updateGroup = (groupIndex, changes) => {
+    onChange({
+      ...expression,
+      groups: expression.groups.map((group, i) => (i === groupIndex ? { ...group, ...changes } : group))
+    });
+  };
+
+  const updateClause = (groupIndex, clauseIndex, changes) => {
+    const group = expression.groups[groupIndex];
+    updateGroup(groupIndex, {
+      clauses: group.clauses.map((clause, i) => (i === clauseIndex ? { ...clause, ...changes } : clause))
+    });
+  };
+
+  // Removing the last clause removes its group, and the last group the whole expression
+  const removeClause = (groupIndex, clauseIndex) => {
+    const clauses = expression.groups[groupIndex].clauses.filter((_, i) => i !== clauseIndex);
+    if (clauses.length > 0) {
+      updateGroup(groupIndex, { clauses });
+      return;
+    }
+
+    const groups = expression.groups.filter((_, i) => i !== groupIndex);
+    onChange(groups.length > 0 ? { ...expression, groups } : null);
+  };
+
+  if (!expression) {
+    return (
+      <button
+        onClick={() => onChange({ match: 'all', groups: [createGroup()] })}
+        className="text-xs py-1 px-2.5 rounded-md border border-gray-200 text-gray-600 hover:bg-gray-50"
+      >
+        + Add condition
+      </button>
+    );
+  }
+
+  const groupJoiner = EXPRESSION_MATCHES.find(match => match.id === expression.match)?.joiner;
+
+  return (
+    <div className="space-y-2 text-xs">
+      {expression.groups.length > 1 && (
+        <div className="flex items-center gap-1 text-gray-600">
+          Keep incidents matching
+          <MatchSelect value={expression.match} onChange={match => onChange({ ...expression, match })} />
+          of these groups
+        </div>
+      )}
+
+      {expression.groups.map((group, groupIndex) => (
+        <React.Fragment key={groupIndex}>
+          {groupIndex > 0 && (
+            <div className="text-[10px] font-semibold text-indigo-500 pl-2">{groupJoiner}</div>
+          )}
+          <div className="border border-indigo-100 rounded-md p-2 bg-white">
+            <div className="flex items-center gap-1 mb-2 text-gray-600">
+              Match
+              <MatchSelect value={group.match} onChange={match => updateGroup(groupIndex, { match })} />
+              of these conditions
+            </div>
+
+            <div className="space-y-1.5">
+              {group.clauses.map((clause, clauseIndex) => {
+                const dimension = getDimension(clause.key);
+
+                return (
+                  <div key={clauseIndex} className="flex flex-wrap items-center gap-1">
+                    <select
+                      value={dimension.key}
+                      onChange={e => updateClause(groupIndex, clauseIndex, { key: e.target.value, values: [] })}
+                      className="rounded-md border-gray-200 text-xs py-1"
+                    >
+                      {dimensions.map(({ key, label }) => (
+                        <option key={key} value={key}>{label}</option>
+                      ))}
+                    </select>
+                    <select
+                      value={clause.operator}
+                      onChange={e => updateClause(groupIndex, clauseIndex, { operator: e.target.value })}
+                      className={`rounded-md border-gray-200 text-xs py-1 ${clause.operator === 'exclude' ? 'text-red-700' : ''}`}
+                    >
+                      {CLAUSE_OPERATORS.map(operator => (
+                        <option key={operator.id} value={operator.id}>{operator.label}</option>
+                      ))}
+                    </select>
+                    <div className="w-44">
+                      <MultiSelectDropdown
+                        label={clause.values.length === 1 ? dimension.formatOption(clause.values[0]) : `Pick ${dimension.label.toLowerCase()}…`}
+                        options={dimension.options}
+                        selected={clause.values}
+                        onChange={values => updateClause(groupIndex, clauseIndex, { values })}
+                        formatOption={dimension.formatOption}
+                      />
+                    </div>
+                    <button
+                      onClick={() => removeClause(groupIndex, clauseIndex)}
+                      className="text-gray-400 hover:text-red-600 px-1"
+                      title="Remove this condition"
+                    >
+                      ×
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+
+            <button
+              onClick={() => updateGroup(groupIndex, { clauses: [...group.clauses, createClause()] })}
+              className="mt-2 text-blue-600 hover:text-blue-800"
+            >
+              + Condition
+            </button>
+          </div>
+        </React.Fragment>
+      ))}
+
+      <div className="flex items-center space-x-3">
+        <button
+          onClick={() => onChange({ ...expression, groups: [...expression.groups, createGroup()] })}
+          className="text-blue-600 hover:text-blue-800"
+        >
+          + Group
+        </button>
+        <button onClick={() => onChange(null)} className="text-gray-500 hover:text-red-600">
+          Clear all
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FilterExpressionEditor;
@@ -1,73 +1,116 @@
 import React, { useState, useEffect } from 'react';
 import { useCrimeData } from '../utils/CrimeDataContext';
-import { format, parseISO, subDays, subMonths, startOfMonth, endOfMonth, isValid } from 'date-fns';
-
-// Enhanced crime type categories with icons and descriptions
-const crimeCategories = {
-  'Violent': {
-    crimes: ['HOMICIDE', 'ASSAULT W/DANGEROUS WEAPON', 'SEX ABUSE', 'ROBBERY'],
-    icon: '🔪',
-    description: 'Crimes against persons involving violence or threat of violence',
-    color: 'red'
-  },
-  'Property': {
-    crimes: ['BURGLARY', 'THEFT F/AUTO', 'THEFT/OTHER', 'MOTOR VEHICLE THEFT'],
-    icon: '🏠',
-    description: 'Crimes involving theft or damage to property',
-    color: 'blue'
-  },
-  'Other': {
-    crimes: ['ARSON'],
-    icon: '📋',
-    description: 'Other types of criminal incidents',
-    color: 'purple'
-  }
-};
+import {
+  GEOGRAPHIC_FILTERS,
+  EMPTY_GEOGRAPHIC_FILTERS,
+  countGeographicFilters,
+  getGeographicOptions
+} from '../utils/geographicFilters';
+import { WEAPON_METHODS } from '../utils/weaponMethods';
+import { EMPTY_FILTERS, countActiveFilters, getFacetCounts } from '../utils/queryEngine';
+import { describeArea } from '../utils/spatialFilter';
+import { getOffenseCategory, getDisplayName } from '../utils/crimeTaxonomy';
+import { CENSUS_METRICS } from '../utils/censusMetrics';
+import {
+  DAYS_OF_WEEK,
+  HOURS,
+  formatHour,
+  isValidHourRange,
+  getHourRangeLength,
+  formatHourRange
+} from '../utils/timeFilters';
+import MultiSelectDropdown from './shared/MultiSelectDropdown';
+import SavedViews from './SavedViews';
+import FilterBreadcrumbs from './FilterBreadcrumbs';
+import FilterExpressionEditor from './FilterExpressionEditor';
+import { countExpressionClauses, describeExpression } from '../utils/filterExpression';
+import { canUndoFilters, canRedoFilters } from '../utils/filterHistory';
+import {
+  ANCHORED_PRESETS,
+  RELATIVE_UNITS,
+  getIncidentDateKeys,
+  countIncidentsInRange,
+  getRelativeRange,
+  getMonthRanges,
+  getQuarterRanges,
+  getSamePeriodLastYear
+} from '../utils/datePresets';
+import { format, parseISO, isValid } from 'date-fns';
 
-// Enhanced date preset options with more intuitive options
-const datePresets = [
-  { id: 'last7', label: 'Last 7 days', getRange: (today) => ({ start: format(subDays(today, 7), 'yyyy-MM-dd'), end: format(today, 'yyyy-MM-dd') }) },
-  { id: 'last30', label: 'Last 30 days', getRange: (today) => ({ start: format(subDays(today, 30), 'yyyy-MM-dd'), end: format(today, 'yyyy-MM-dd') }) },
-  { id: 'thisMonth', label: 'This month', getRange: (today) => ({ start: format(startOfMonth(today), 'yyyy-MM-dd'), end: format(endOfMonth(today), 'yyyy-MM-dd') }) },
-  { id: 'last3months', label: 'Last 3 months', getRange: (today) => ({ start: format(subMonths(today, 3), 'yyyy-MM-dd'), end: format(today, 'yyyy-MM-dd') }) },
-  { id: 'last6months', label: 'Last 6 months', getRange: (today) => ({ start: format(subMonths(today, 6), 'yyyy-MM-dd'), end: format(today, 'yyyy-MM-dd') }) },
+// Enhanced time of day options with more intuitive labels and icons
+const shifts = [
+  { id: 'DAY', label: 'Day', time: '8am-4pm', icon: '☀️', description: 'Incidents occurring during daylight hours (8am-4pm)', color: 'yellow' },
+  { id: 'EVENING', label: 'Evening', time: '4pm-12am', icon: '🌆', description: 'Incidents occurring during evening hours (4pm-12am)', color: 'orange' },
+  { id: 'MIDNIGHT', label: 'Night', time: '12am-8am', icon: '🌙', description: 'Incidents occurring during overnight hours (12am-8am)', color: 'indigo' }
 ];
 
-// Helper function to get category for a crime type
-const getCategoryForCrimeType = (type) => {
-  for (const [category, data] of Object.entries(crimeCategories)) {
-    if (data.crimes.includes(type)) return category;
-  }
-  return 'Other';
-};
+// Panel selections for a filter spec from the context
+const getSelections = (filters) => ({
+  startDate: filters.dateRange?.start ? format(filters.dateRange.start, 'yyyy-MM-dd') : '',
+  endDate: filters.dateRange?.end ? format(filters.dateRange.end, 'yyyy-MM-dd') : '',
+  crimeTypes: filters.crimeTypes || [],
+  // Shift ids become the option objects the buttons use
+  shifts: (filters.shifts || []).map(shift => shifts.find(s => s.id === shift) || shift),
+  hourStart: filters.hourRange?.start ?? null,
+  hourEnd: filters.hourRange?.end ?? null,
+  daysOfWeek: filters.daysOfWeek || [],
+  methods: filters.methods || [],
+  geography: GEOGRAPHIC_FILTERS.reduce((acc, { key }) => {
+    acc[key] = filters[key] || [];
+    return acc;
+  }, {}),
+  expression: filters.expression || null
+});
 
 const Filters = () => {
   const { 
     rawData, 
     filterData,
     filters,
+    filtersRestoreId,
+    setAreaFilter,
+    setFilterValues,
+    filterHistory,
+    undoFilters,
+    redoFilters,
+    analysisClock,
     isLoading,
     toggleCensusOverlay,
     selectCensusMetric,
     showCensusOverlay,
-    selectedCensusMetric
+    selectedCensusMetric,
+    taxonomy
   } = useCrimeData();
 
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
-  const [selectedCrimeTypes, setSelectedCrimeTypes] = useState([]);
-  const [selectedShifts, setSelectedShifts] = useState([]);
-  const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
-  const [activeFilterCount, setActiveFilterCount] = useState(0);
+  // Start from the filters already in the context (e.g. from a shared link)
+  const [initialSelections] = useState(() => getSelections(filters));
+  const [startDate, setStartDate] = useState(initialSelections.startDate);
+  const [endDate, setEndDate] = useState(initialSelections.endDate);
+  const [selectedCrimeTypes, setSelectedCrimeTypes] = useState(initialSelections.crimeTypes);
+  const [selectedShifts, setSelectedShifts] = useState(initialSelections.shifts);
+  const [hourStart, setHourStart] = useState(initialSelections.hourStart);
+  const [hourEnd, setHourEnd] = useState(initialSelections.hourEnd);
+  const [selectedDays, setSelectedDays] = useState(initialSelections.daysOfWeek);
+  const [selectedMethods, setSelectedMethods] = useState(initialSelections.methods);
+  const [selectedGeography, setSelectedGeography] = useState(initialSelections.geography);
+  const [expression, setExpression] = useState(initialSelections.expression);
+  const [showAdvancedFilters, setShowAdvancedFilters] = useState(Boolean(initialSelections.expression));
   const [selectedDatePreset, setSelectedDatePreset] = useState(null);
-  const [activeDateFilters, setActiveDateFilters] = useState(false);
-  const [activeCrimeTypeFilters, setActiveCrimeTypeFilters] = useState(false);
-  const [activeTimeFilters, setActiveTimeFilters] = useState(false);
+  const [relativeAmount, setRelativeAmount] = useState(4);
+  const [relativeUnit, setRelativeUnit] = useState('weeks');
+  const [activeDateFilters, setActiveDateFilters] = useState(Boolean(initialSelections.startDate || initialSelections.endDate));
+  const [activeCrimeTypeFilters, setActiveCrimeTypeFilters] = useState(initialSelections.crimeTypes.length > 0);
+  const [activeTimeFilters, setActiveTimeFilters] = useState(
+    initialSelections.shifts.length > 0 || initialSelections.hourStart !== null || initialSelections.daysOfWeek.length > 0
+  );
   const [expandedCategory, setExpandedCategory] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [showAdvancedDateFilter, setShowAdvancedDateFilter] = useState(false);
   const [showAdvancedCrimeFilter, setShowAdvancedCrimeFilter] = useState(false);
 
+  // Counted from the context so the area drawn on the map is included
+  const activeFilterCount = countActiveFilters(filters);
+
   // Get unique crime types from data
   const uniqueCrimeTypes = React.useMemo(() => {
     if (!rawData.length) return [];
@@ -82,41 +125,36 @@ const Filters = () => {
     return Array.from(types).sort();
   }, [rawData]);
 
-  // Organize crime types by category for better UI organization
+  // Wards, ANCs, districts, PSAs, BIDs, precincts and clusters present in the data
+  const geographicOptions = React.useMemo(() => getGeographicOptions(rawData), [rawData]);
+
+  // Incidents each option would match given the other active filters, so options that would
+  // empty the dashboard can be dimmed before they are picked
+  const facetCounts = React.useMemo(
+    () => getFacetCounts(rawData, filters, analysisClock),
+    [rawData, filters, analysisClock]
+  );
+
+  // Organize crime types by their taxonomy category for better UI organization
   const categorizedCrimeTypes = React.useMemo(() => {
     const categorized = {};
     
     uniqueCrimeTypes.forEach(type => {
-      const category = getCategoryForCrimeType(type);
+      const category = getOffenseCategory(type, taxonomy);
       if (!categorized[category]) categorized[category] = [];
       categorized[category].push(type);
     });
     
     return categorized;
-  }, [uniqueCrimeTypes]);
-
-  // Enhanced time of day options with more intuitive labels and icons
-  const shifts = [
-    { id: 'DAY', label: 'Day', time: '8am-4pm', icon: '☀️', description: 'Incidents occurring during daylight hours (8am-4pm)', color: 'yellow' },
-    { id: 'EVENING', label: 'Evening', time: '4pm-12am', icon: '🌆', description: 'Incidents occurring during evening hours (4pm-12am)', color: 'orange' },
-    { id: 'MIDNIGHT', label: 'Night', time: '12am-8am', icon: '🌙', description: 'Incidents occurring during overnight hours (12am-8am)', color: 'indigo' }
-  ];
-
-  // Census data options with improved descriptions
-  const censusOptions = [
-    { id: 'income', label: 'Income', description: 'Median household income by neighborhood', icon: '💰' },
-    { id: 'education', label: 'Education', description: 'Educational attainment levels', icon: '🎓' },
-    { id: 'poverty', label: 'Poverty', description: 'Poverty rates and economic indicators', icon: '📉' },
-    { id: 'housing', label: 'Housing', description: 'Housing values and occupancy data', icon: '🏘️' },
-    { id: 'race', label: 'Race', description: 'Racial and ethnic demographic data', icon: '👪' }
-  ];
+  }, [uniqueCrimeTypes, taxonomy]);
 
   // Apply filters
   const applyFilters = () => {
     // Track which filter types are active for visual feedback
     const hasDateFilter = startDate || endDate;
     const hasCrimeTypeFilter = selectedCrimeTypes.length > 0;
-    const hasTimeFilter = selectedShifts.length > 0;
+    const hourRange = { start: hourStart, end: hourEnd };
+    const hasTimeFilter = selectedShifts.length > 0 || isValidHourRange(hourRange) || selectedDays.length > 0;
     
     setActiveDateFilters(hasDateFilter);
     setActiveCrimeTypeFilters(hasCrimeTypeFilter);
@@ -128,18 +166,20 @@ const Filters = () => {
       end: endDate && isValid(parseISO(endDate)) ? parseISO(endDate) : null
     };
 
-    filterData({
+    const spec = {
       dateRange: dateRange.start || dateRange.end ? dateRange : null,
       crimeTypes: selectedCrimeTypes,
-      shifts: selectedShifts.map(shift => shift.id || shift)
-    });
-
-    // Count active filters for the filter badge
-    let count = 0;
-    if (hasDateFilter) count++;
-    if (hasCrimeTypeFilter) count++;
-    if (hasTimeFilter) count++;
-    setActiveFilterCount(count);
+      shifts: selectedShifts.map(shift => shift.id || shift),
+      hourRange: isValidHourRange(hourRange) ? hourRange : null,
+      daysOfWeek: selectedDays,
+      methods: selectedMethods,
+      ...selectedGeography,
+      expression,
+      // Drawn on the Heat Map, or picked in its search, rather than set here
+      area: filters.area,
+      blocks: filters.blocks
+    };
+    filterData(spec);
   };
 
   // Reset all filters
@@ -150,6 +190,12 @@ const Filters = () => {
       setEndDate('');
       setSelectedCrimeTypes([]);
       setSelectedShifts([]);
+      setHourStart(null);
+      setHourEnd(null);
+      setSelectedDays([]);
+      setSelectedMethods([]);
+      setSelectedGeography(EMPTY_GEOGRAPHIC_FILTERS);
+      setExpression(null);
       setSelectedDatePreset(null);
       setActiveDateFilters(false);
       setActiveCrimeTypeFilters(false);
@@ -157,28 +203,16 @@ const Filters = () => {
       setShowAdvancedDateFilter(false);
       setShowAdvancedCrimeFilter(false);
 
-      filterData({
-        dateRange: null,
-        crimeTypes: [],
-        shifts: []
-      });
-      
-      setActiveFilterCount(0);
+      filterData(EMPTY_FILTERS);
     }
   };
 
-  // Apply a date preset with clear visual feedback
-  const applyDatePreset = (presetId) => {
-    const today = new Date();
-    const preset = datePresets.find(p => p.id === presetId);
-    
-    if (preset) {
-      const range = preset.getRange(today);
-      setStartDate(range.start);
-      setEndDate(range.end);
-      setSelectedDatePreset(presetId);
-      setActiveDateFilters(true);
-    }
+  // Apply a date preset ({ id, start, end }) with clear visual feedback
+  const applyDatePreset = (preset) => {
+    setStartDate(preset.start);
+    setEndDate(preset.end);
+    setSelectedDatePreset(preset.id);
+    setActiveDateFilters(true);
   };
 
   // Toggle crime type selection with improved state management
@@ -280,6 +314,25 @@ const Filters = () => {
     );
   };
 
+  // Toggle a weekday selection; weekdays stay in week order so the URL and summary read naturally
+  const toggleDayOfWeek = (day) => {
+    setSelectedDays(prev => (
+      prev.includes(day) ? prev.filter(d => d !== day) : [...prev, day].sort()
+    ));
+  };
+
+  // Toggle a weapon (METHOD) selection
+  const toggleMethod = (methodId) => {
+    setSelectedMethods(prev => (
+      prev.includes(methodId) ? prev.filter(m => m !== methodId) : [...prev, methodId]
+    ));
+  };
+
+  // Update the selection for one geographic unit (ward, ANC, ...)
+  const setGeographicSelection = (key, values) => {
+    setSelectedGeography(prev => ({ ...prev, [key]: values }));
+  };
+
   // Handle selecting a demographic overlay
   const handleDemographicSelection = (metric) => {
     selectCensusMetric(metric);
@@ -288,65 +341,119 @@ const Filters = () => {
   // Apply filters when selections change
   useEffect(() => {
     applyFilters();
-  }, [selectedCrimeTypes, selectedShifts, startDate, endDate]);
+  }, [selectedCrimeTypes, selectedShifts, hourStart, hourEnd, selectedDays, selectedMethods, selectedGeography, expression, startDate, endDate]);
 
-  // Initialize state from filters
+  // Reload the panel when filters are replaced from outside it (e.g. browser back/forward)
   useEffect(() => {
-    if (filters) {
-      // Set date filters if available
-      if (filters.dateRange?.start) {
-        setStartDate(format(filters.dateRange.start, 'yyyy-MM-dd'));
-        setActiveDateFilters(true);
-      }
-      
-      if (filters.dateRange?.end) {
-        setEndDate(format(filters.dateRange.end, 'yyyy-MM-dd'));
-        setActiveDateFilters(true);
-      }
-      
-      // Set crime type filters if available
-      if (filters.crimeTypes?.length > 0) {
-        setSelectedCrimeTypes(filters.crimeTypes);
-        setActiveCrimeTypeFilters(true);
-      }
-      
-      // Set time filters if available
-      if (filters.shifts?.length > 0) {
-        // Convert string shifts to objects if possible
-        const normalizedShifts = filters.shifts.map(shift =>
-          typeof shift === 'string'
-            ? shifts.find(s => s.id === shift) || shift
-            : shift
-        );
-        setSelectedShifts(normalizedShifts);
-        setActiveTimeFilters(true);
-      }
+    if (!filtersRestoreId) return;
 
-      // Count initial active filters
-      let count = 0;
-      if (filters.dateRange?.start || filters.dateRange?.end) count++;
-      if (filters.crimeTypes?.length > 0) count++;
-      if (filters.shifts?.length > 0) count++;
-      setActiveFilterCount(count);
-    }
+    const selections = getSelections(filters);
+    setStartDate(selections.startDate);
+    setEndDate(selections.endDate);
+    setSelectedCrimeTypes(selections.crimeTypes);
+    setSelectedShifts(selections.shifts);
+    setHourStart(selections.hourStart);
+    setHourEnd(selections.hourEnd);
+    setSelectedDays(selections.daysOfWeek);
+    setSelectedMethods(selections.methods);
+    setSelectedGeography(selections.geography);
+    setExpression(selections.expression);
+    if (selections.expression) setShowAdvancedFilters(true);
+    setSelectedDatePreset(null);
+  }, [filtersRestoreId]);
+
+  // Ctrl+Z / Cmd+Z undoes a filter change; Ctrl+Shift+Z, Cmd+Shift+Z or Ctrl+Y redoes it.
+  // Left alone while typing so text fields keep their own undo.
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const target = event.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoFilters();
+      } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey)) {
+        event.preventDefault();
+        redoFilters();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
   }, []);
 
-  // Calculate min and max dates for the date picker from the available data
-  const dateRange = React.useMemo(() => {
-    if (!rawData.length) return { min: '', max: '' };
-    
-    const dates = rawData
-      .map(incident => incident.reportDate)
-      .filter(Boolean)
-      .sort((a, b) => a - b);
-    
-    if (dates.length === 0) return { min: '', max: '' };
-    
+  // DC local calendar days of every incident on the analysis clock (sorted), so the picker and
+  // presets match how incidents are filtered
+  const incidentDateKeys = React.useMemo(() => getIncidentDateKeys(rawData, analysisClock), [rawData, analysisClock]);
+  const dateRange = {
+    min: incidentDateKeys[0] || '',
+    max: incidentDateKeys[incidentDateKeys.length - 1] || ''
+  };
+
+  // Presets anchored to the latest incident, each with the number of loaded incidents it covers
+  // so a preset that would empty the dashboard is disabled instead
+  const datePresetOptions = React.useMemo(() => {
+    if (incidentDateKeys.length === 0) return { anchored: [], months: [], quarters: [] };
+
+    const min = incidentDateKeys[0];
+    const max = incidentDateKeys[incidentDateKeys.length - 1];
+    const withCount = (preset) => ({ ...preset, count: countIncidentsInRange(incidentDateKeys, preset) });
+
     return {
-      min: format(dates[0], 'yyyy-MM-dd'),
-      max: format(dates[dates.length - 1], 'yyyy-MM-dd')
+      anchored: ANCHORED_PRESETS.map(({ id, label, getRange }) => withCount({ id, label, ...getRange(parseISO(max)) })),
+      months: getMonthRanges(min, max).map(withCount),
+      quarters: getQuarterRanges(min, max).map(withCount)
     };
-  }, [rawData]);
+  }, [incidentDateKeys]);
+
+  const hourRangeSelection = { start: hourStart, end: hourEnd };
+  const hasHourRange = isValidHourRange(hourRangeSelection);
+
+  const hasDateSelection = Boolean(startDate || endDate);
+  const selectionCount = hasDateSelection
+    ? countIncidentsInRange(incidentDateKeys, { start: startDate, end: endDate })
+    : incidentDateKeys.length;
+
+  const lastYearPreset = hasDateSelection
+    ? { id: 'lastYear', ...getSamePeriodLastYear({ start: startDate, end: endDate }) }
+    : null;
+  const lastYearCount = lastYearPreset ? countIncidentsInRange(incidentDateKeys, lastYearPreset) : 0;
+
+  const isValidRelativeAmount = Number.isInteger(relativeAmount) && relativeAmount > 0;
+  const relativePreset = isValidRelativeAmount && dateRange.max
+    ? { id: `last:${relativeAmount}:${relativeUnit}`, ...getRelativeRange(relativeAmount, relativeUnit, dateRange.max) }
+    : null;
+  const relativeCount = relativePreset ? countIncidentsInRange(incidentDateKeys, relativePreset) : 0;
+
+  // Pick a month or quarter from a dropdown
+  const applyNamedRange = (ranges, id) => {
+    const range = ranges.find(r => r.id === id);
+    if (range) applyDatePreset(range);
+  };
+
+  // Dimensions the advanced section can include or exclude values of
+  const expressionDimensions = [
+    { key: 'crimeTypes', label: 'Crime type', options: uniqueCrimeTypes, formatOption: type => getDisplayName(type, taxonomy) },
+    { key: 'shifts', label: 'Shift', options: shifts.map(shift => shift.id), formatOption: id => shifts.find(shift => shift.id === id)?.label || id },
+    { key: 'methods', label: 'Weapon', options: WEAPON_METHODS.map(method => method.id), formatOption: id => WEAPON_METHODS.find(method => method.id === id)?.label || id },
+    ...GEOGRAPHIC_FILTERS.map(({ key, label, formatValue }) => ({
+      key,
+      label,
+      options: geographicOptions[key] || [],
+      formatOption: formatValue
+    }))
+  ];
+
+  // e.g. "Ward is not Ward 2"
+  const describeClause = ({ key, operator, values }) => {
+    const dimension = expressionDimensions.find(d => d.key === key);
+    if (!dimension) return '';
+    const valueText = values.map(dimension.formatOption).join(', ');
+    return `${dimension.label} ${operator === 'exclude' ? 'is not' : 'is'} ${valueText}`;
+  };
+
+  const expressionClauseCount = countExpressionClauses(expression);
 
   // Format date for display
   const formatDisplayDate = (dateString) => {
@@ -375,19 +482,45 @@ const Filters = () => {
         <div className="text-sm font-medium text-gray-500">
           {rawData.length.toLocaleString()} incidents found • Data from {formatDisplayDate(dateRange.min)} to {formatDisplayDate(dateRange.max)}
         </div>
-        {activeFilterCount > 0 && (
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={undoFilters}
+            disabled={!canUndoFilters(filterHistory)}
+            className="text-gray-600 text-sm hover:text-gray-800 hover:bg-gray-100 px-2 py-1 rounded disabled:opacity-30 disabled:hover:bg-transparent"
+            title="Undo filter change (Ctrl+Z)"
+          >
+            <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+            </svg>
+          </button>
           <button
-            onClick={resetAllFilters}
-            className="text-red-600 text-sm hover:text-red-800 transition flex items-center bg-red-50 hover:bg-red-100 px-2 py-1 rounded"
+            onClick={redoFilters}
+            disabled={!canRedoFilters(filterHistory)}
+            className="text-gray-600 text-sm hover:text-gray-800 hover:bg-gray-100 px-2 py-1 rounded disabled:opacity-30 disabled:hover:bg-transparent"
+            title="Redo filter change (Ctrl+Shift+Z)"
           >
-            <svg className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />
+            <svg className="h-4 w-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 10H11a8 8 0 00-8 8v2m18-10l-6 6m6-6l-6-6" />
             </svg>
-            Reset All
           </button>
-        )}
+          {activeFilterCount > 0 && (
+            <button
+              onClick={resetAllFilters}
+              className="text-red-600 text-sm hover:text-red-800 transition flex items-center bg-red-50 hover:bg-red-100 px-2 py-1 rounded"
+            >
+              <svg className="h-4 w-4 mr-1" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 14l2-2m0 0l2-2m-2 2l-2-2m2 2l2 2m7-2a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+              Reset All
+            </button>
+          )}
+        </div>
       </div>
 
+      <FilterBreadcrumbs />
+
+      <SavedViews />
+
       {/* Main Filter Areas - Compact Layout */}
       <div className="flex flex-wrap -mx-2">
         {/* Enhanced Date Filters */}
@@ -407,11 +540,15 @@ const Filters = () => {
           </div>
           
           <div className="flex flex-wrap gap-1 mb-2">
-            {datePresets.slice(0, 3).map(preset => (
+            {datePresetOptions.anchored.map(preset => (
               <button
                 key={preset.id}
-                onClick={() => applyDatePreset(preset.id)}
-                className={`text-xs py-1.5 px-2.5 rounded-md transition-all duration-200 border ${
+                onClick={() => applyDatePreset(preset)}
+                disabled={preset.count === 0}
+                title={preset.count === 0
+                  ? 'No loaded incidents in this range'
+                  : `${formatDisplayDate(preset.start)} - ${formatDisplayDate(preset.end)} (${preset.count.toLocaleString()} incidents)`}
+                className={`text-xs py-1.5 px-2.5 rounded-md transition-all duration-200 border disabled:opacity-40 disabled:cursor-not-allowed ${
                   selectedDatePreset === preset.id
                     ? 'bg-blue-100 border-blue-200 text-blue-700 font-medium shadow-sm'
                     : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
@@ -431,6 +568,58 @@ const Filters = () => {
               Custom...
             </button>
           </div>
+
+          {dateRange.max && (
+            <p className="text-[11px] text-gray-400 mb-2">
+              Relative to the latest incident, {formatDisplayDate(dateRange.max)}
+            </p>
+          )}
+
+          <div className="grid grid-cols-2 gap-1 mb-2">
+            <select
+              value={selectedDatePreset?.startsWith('month:') ? selectedDatePreset : ''}
+              onChange={e => applyNamedRange(datePresetOptions.months, e.target.value)}
+              className="text-xs rounded-md border-gray-200 py-1"
+            >
+              <option value="">Month…</option>
+              {datePresetOptions.months.map(month => (
+                <option key={month.id} value={month.id} disabled={month.count === 0}>
+                  {month.label} ({month.count.toLocaleString()})
+                </option>
+              ))}
+            </select>
+            <select
+              value={selectedDatePreset?.startsWith('quarter:') ? selectedDatePreset : ''}
+              onChange={e => applyNamedRange(datePresetOptions.quarters, e.target.value)}
+              className="text-xs rounded-md border-gray-200 py-1"
+            >
+              <option value="">Quarter…</option>
+              {datePresetOptions.quarters.map(quarter => (
+                <option key={quarter.id} value={quarter.id} disabled={quarter.count === 0}>
+                  {quarter.label} ({quarter.count.toLocaleString()})
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {lastYearPreset && (
+            <button
+              onClick={() => applyDatePreset(lastYearPreset)}
+              disabled={lastYearCount === 0}
+              title={lastYearCount === 0
+                ? 'No incidents loaded for the same days a year earlier; add that year in the dataset selector'
+                : `${formatDisplayDate(lastYearPreset.start)} - ${formatDisplayDate(lastYearPreset.end)} (${lastYearCount.toLocaleString()} incidents)`}
+              className="text-xs py-1 px-2.5 mb-2 rounded-md border bg-white border-gray-200 text-gray-600 hover:bg-gray-50 disabled:opacity-40 disabled:cursor-not-allowed"
+            >
+              Same period last year
+            </button>
+          )}
+
+          {hasDateSelection && rawData.length > 0 && selectionCount === 0 && (
+            <div className="mb-2 text-xs text-amber-700 bg-amber-50 border border-amber-100 rounded-md px-2 py-1.5">
+              No loaded incidents fall in this date range. The data covers {formatDisplayDate(dateRange.min)} to {formatDisplayDate(dateRange.max)}.
+            </div>
+          )}
           
           {showAdvancedDateFilter && (
             <div className="mt-2 border rounded-md p-2 bg-white shadow-sm border-blue-100">
@@ -440,6 +629,8 @@ const Filters = () => {
                   <input
                     type="date"
                     value={startDate}
+                    min={dateRange.min}
+                    max={dateRange.max}
                     onChange={e => {
                       setStartDate(e.target.value);
                       setSelectedDatePreset(null);
@@ -452,6 +643,8 @@ const Filters = () => {
                   <input
                     type="date"
                     value={endDate}
+                    min={dateRange.min}
+                    max={dateRange.max}
                     onChange={e => {
                       setEndDate(e.target.value);
                       setSelectedDatePreset(null);
@@ -460,6 +653,37 @@ const Filters = () => {
                   />
                 </div>
               </div>
+
+              {/* Relative range ending at the latest incident */}
+              <div className="flex items-center gap-1 mt-2 pt-2 border-t border-gray-100 text-xs">
+                <span className="text-gray-600">Last</span>
+                <input
+                  type="number"
+                  min="1"
+                  value={Number.isFinite(relativeAmount) ? relativeAmount : ''}
+                  onChange={e => setRelativeAmount(parseInt(e.target.value, 10))}
+                  className="w-14 rounded-md border-gray-200 text-xs py-1"
+                />
+                <select
+                  value={relativeUnit}
+                  onChange={e => setRelativeUnit(e.target.value)}
+                  className="rounded-md border-gray-200 text-xs py-1"
+                >
+                  {RELATIVE_UNITS.map(unit => (
+                    <option key={unit.id} value={unit.id}>{unit.label}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => applyDatePreset(relativePreset)}
+                  disabled={!relativePreset || relativeCount === 0}
+                  title={relativePreset && relativeCount > 0
+                    ? `${formatDisplayDate(relativePreset.start)} - ${formatDisplayDate(relativePreset.end)} (${relativeCount.toLocaleString()} incidents)`
+                    : 'No loaded incidents in this range'}
+                  className="ml-auto py-1 px-2 rounded-md bg-blue-50 text-blue-700 hover:bg-blue-100 disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  Apply
+                </button>
+              </div>
             </div>
           )}
         </div>
@@ -475,7 +699,9 @@ const Filters = () => {
             <span className={`text-sm font-medium ${activeTimeFilters ? 'text-blue-800' : 'text-gray-700'}`}>Time</span>
             {activeTimeFilters && (
               <span className="ml-auto bg-blue-100 text-blue-800 text-xs font-medium px-2 py-0.5 rounded-full">
-                {selectedShifts.length === 1 ? selectedShifts[0].label || 'Active' : `${selectedShifts.length} selected`}
+                {selectedShifts.length === 1 && !hasHourRange && selectedDays.length === 0
+                  ? selectedShifts[0].label || 'Active'
+                  : 'Active'}
               </span>
             )}
           </div>
@@ -485,21 +711,25 @@ const Filters = () => {
               const isSelected = selectedShifts.filter(s =>
                 typeof s === 'object' ? s.id === shift.id : s === shift.id
               ).length > 0;
+              const matchCount = facetCounts.shifts[shift.id] || 0;
               
               return (
                 <button
                   key={shift.id}
                   onClick={() => toggleShift(shift.id)}
+                  title={`${matchCount.toLocaleString()} incidents with the other filters`}
                   className={`
                     relative flex flex-col items-center justify-center rounded-md p-2 transition-all duration-200 border text-xs
                     ${isSelected
                       ? 'bg-gradient-to-b from-blue-50 to-blue-100 border-blue-200 text-blue-800 shadow-sm'
                       : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'}
+                    ${matchCount === 0 && !isSelected ? 'opacity-40' : ''}
                   `}
                 >
                   <span className="text-lg mb-0.5">{shift.id === 'DAY' ? '☀️' : shift.id === 'EVENING' ? '🌆' : '🌙'}</span>
                   <span className={`text-xs ${isSelected ? 'font-medium' : ''}`}>{shift.label}</span>
                   <span className="text-[10px] text-gray-500">{shift.time}</span>
+                  <span className="text-[10px] text-gray-400">{matchCount.toLocaleString()}</span>
                   
                   {isSelected && (
                     <div className="absolute top-1 right-1 w-2 h-2 bg-blue-500 rounded-full"></div>
@@ -508,6 +738,108 @@ const Filters = () => {
               );
             })}
           </div>
+
+          {/* Hour range; wraps past midnight when the end is not after the start */}
+          <div className="flex items-center gap-1 mt-3 text-xs">
+            <span className="text-gray-600 w-12">Hours</span>
+            <select
+              value={hourStart ?? ''}
+              onChange={e => setHourStart(e.target.value === '' ? null : Number(e.target.value))}
+              className="rounded-md border-gray-200 text-xs py-1"
+            >
+              <option value="">Any</option>
+              {HOURS.map(hour => <option key={hour} value={hour}>{formatHour(hour)}</option>)}
+            </select>
+            <span className="text-gray-400">to</span>
+            <select
+              value={hourEnd ?? ''}
+              onChange={e => setHourEnd(e.target.value === '' ? null : Number(e.target.value))}
+              className="rounded-md border-gray-200 text-xs py-1"
+            >
+              <option value="">Any</option>
+              {HOURS.map(hour => <option key={hour} value={hour}>{formatHour(hour)}</option>)}
+            </select>
+            {(hourStart !== null || hourEnd !== null) && (
+              <button
+                onClick={() => { setHourStart(null); setHourEnd(null); }}
+                className="text-gray-400 hover:text-gray-600 px-1"
+                title="Clear hour range"
+              >
+                ×
+              </button>
+            )}
+          </div>
+          {hasHourRange ? (
+            <p className="text-[11px] text-gray-500 mt-1 ml-12 pl-1">
+              {formatHourRange(hourRangeSelection)} ({getHourRangeLength(hourRangeSelection)} h{hourRangeSelection.end < hourRangeSelection.start ? ', past midnight' : ''})
+              {hourRangeSelection.end < hourRangeSelection.start && selectedDays.length > 0 && (
+                <span className="block">Hours after midnight count toward the previous day&apos;s night</span>
+              )}
+            </p>
+          ) : (hourStart !== null || hourEnd !== null) && (
+            <p className="text-[11px] text-amber-600 mt-1 ml-12 pl-1">
+              {hourStart !== null && hourStart === hourEnd ? 'Pick different start and end hours' : 'Pick both a start and an end hour'}
+            </p>
+          )}
+
+          {/* Day of week */}
+          <div className="flex items-center gap-1 mt-2 text-xs">
+            <span className="text-gray-600 w-12">Days</span>
+            {DAYS_OF_WEEK.map(day => (
+              <button
+                key={day.id}
+                onClick={() => toggleDayOfWeek(day.id)}
+                title={`${day.name}: ${(facetCounts.daysOfWeek[day.id] || 0).toLocaleString()} incidents with the other filters`}
+                className={`w-8 py-1 rounded-md border transition-all duration-200 ${
+                  selectedDays.includes(day.id)
+                    ? 'bg-blue-100 border-blue-200 text-blue-700 font-medium'
+                    : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+                } ${!facetCounts.daysOfWeek[day.id] && !selectedDays.includes(day.id) ? 'opacity-40' : ''}`}
+              >
+                {day.label.slice(0, 2)}
+              </button>
+            ))}
+          </div>
+
+          {/* Weapon involvement */}
+          <div className="flex items-center mt-3 mb-2">
+            <span className={`text-sm font-medium ${selectedMethods.length > 0 ? 'text-red-800' : 'text-gray-700'}`}>Weapon</span>
+            {selectedMethods.length > 0 && (
+              <span className="ml-auto bg-red-100 text-red-800 text-xs font-medium px-2 py-0.5 rounded-full">
+                {selectedMethods.length} selected
+              </span>
+            )}
+          </div>
+
+          <div className="grid grid-cols-3 gap-2">
+            {WEAPON_METHODS.map(method => {
+              const isSelected = selectedMethods.includes(method.id);
+              const matchCount = facetCounts.methods[method.id] || 0;
+
+              return (
+                <button
+                  key={method.id}
+                  onClick={() => toggleMethod(method.id)}
+                  title={`${matchCount.toLocaleString()} incidents with the other filters`}
+                  className={`
+                    relative flex flex-col items-center justify-center rounded-md p-2 transition-all duration-200 border text-xs
+                    ${isSelected
+                      ? 'bg-gradient-to-b from-red-50 to-red-100 border-red-200 text-red-800 shadow-sm'
+                      : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'}
+                    ${matchCount === 0 && !isSelected ? 'opacity-40' : ''}
+                  `}
+                >
+                  <span className="text-lg mb-0.5">{method.icon}</span>
+                  <span className={`text-xs ${isSelected ? 'font-medium' : ''}`}>{method.label}</span>
+                  <span className="text-[10px] text-gray-400">{matchCount.toLocaleString()}</span>
+
+                  {isSelected && (
+                    <div className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full"></div>
+                  )}
+                </button>
+              );
+            })}
+          </div>
         </div>
         
         {/* Enhanced Crime Types */}
@@ -529,24 +861,29 @@ const Filters = () => {
           </div>
           
           <div className="grid grid-cols-3 gap-2 mb-2">
-            {Object.entries(crimeCategories).map(([category, data]) => {
+            {taxonomy.categories.map(({ id: category, icon }) => {
               const activeCount = getSelectedCountForCategory(category);
               const isActive = getCategoryActiveStatus(category);
-              const totalCount = data.crimes.length;
+              const totalCount = taxonomy.offenses.filter(entry => entry.category === category).length || 1;
+              const matchCount = (categorizedCrimeTypes[category] || [])
+                .reduce((sum, type) => sum + (facetCounts.crimeTypes[type] || 0), 0);
               
               return (
                 <button
                   key={category}
                   onClick={() => toggleCategory(category)}
+                  title={`${matchCount.toLocaleString()} incidents with the other filters`}
                   className={`
                     relative flex flex-col items-center justify-center rounded-md p-2 transition-all duration-200 border text-xs
                     ${isActive
                       ? 'bg-gradient-to-b from-blue-50 to-blue-100 border-blue-200 text-blue-700 shadow-sm'
                       : 'bg-white border-gray-200 text-gray-700 hover:bg-gray-50'}
+                    ${matchCount === 0 && !isActive ? 'opacity-40' : ''}
                   `}
                 >
-                  <span className="text-lg mb-0.5">{data.icon}</span>
+                  <span className="text-lg mb-0.5">{icon}</span>
                   <span className={`text-xs ${isActive ? 'font-medium' : ''}`}>{category}</span>
+                  <span className="text-[10px] text-gray-500">{matchCount.toLocaleString()}</span>
                   
                   {/* Selection indicator */}
                   {activeCount > 0 && (
@@ -618,17 +955,27 @@ const Filters = () => {
               <div className="space-y-1 divide-y divide-gray-100">
                 {Object.entries(categorizedCrimeTypes).map(([category, crimes]) => (
                   <div key={category} className="pt-1 first:pt-0">
-                    {filteredCrimeTypes(crimes).map(type => (
-                      <label key={type} className="flex items-center text-xs py-0.5 hover:bg-blue-50 rounded px-1 cursor-pointer">
-                        <input
-                          type="checkbox"
-                          checked={selectedCrimeTypes.includes(type)}
-                          onChange={() => toggleCrimeType(type)}
-                          className="rounded text-blue-600 focus:ring-blue-500 h-3 w-3"
-                        />
-                        <span className="ml-1.5 text-xs truncate">{type}</span>
-                      </label>
-                    ))}
+                    {filteredCrimeTypes(crimes).map(type => {
+                      const matchCount = facetCounts.crimeTypes[type] || 0;
+
+                      return (
+                        <label
+                          key={type}
+                          className={`flex items-center text-xs py-0.5 hover:bg-blue-50 rounded px-1 cursor-pointer ${
+                            matchCount === 0 && !selectedCrimeTypes.includes(type) ? 'opacity-40' : ''
+                          }`}
+                        >
+                          <input
+                            type="checkbox"
+                            checked={selectedCrimeTypes.includes(type)}
+                            onChange={() => toggleCrimeType(type)}
+                            className="rounded text-blue-600 focus:ring-blue-500 h-3 w-3"
+                          />
+                          <span className="ml-1.5 text-xs truncate">{getDisplayName(type, taxonomy)}</span>
+                          <span className="ml-auto pl-2 text-[10px] text-gray-400">{matchCount.toLocaleString()}</span>
+                        </label>
+                      );
+                    })}
                   </div>
                 ))}
               </div>
@@ -662,13 +1009,14 @@ const Filters = () => {
           </div>
           
           <div className={`grid grid-cols-5 gap-2 transition-opacity duration-300 ${showCensusOverlay ? "" : "opacity-50 pointer-events-none"}`}>
-            {censusOptions.map(option => {
+            {CENSUS_METRICS.map(option => {
               const isSelected = selectedCensusMetric === option.id;
               
               return (
                 <button
                   key={option.id}
                   onClick={() => handleDemographicSelection(option.id)}
+                  title={option.description}
                   className={`
                     relative flex flex-col items-center justify-center rounded-md p-2 transition-all duration-200 border text-xs
                     ${isSelected
@@ -688,6 +1036,96 @@ const Filters = () => {
             })}
           </div>
         </div>
+
+        {/* Location */}
+        <div className="w-full px-2 mb-4">
+          <div className="flex items-center mb-2">
+            <div className={`w-6 h-6 rounded-full flex items-center justify-center mr-1.5 ${countGeographicFilters(selectedGeography) > 0 ? 'bg-blue-100' : 'bg-gray-50'}`}>
+              <svg className={`h-3.5 w-3.5 ${countGeographicFilters(selectedGeography) > 0 ? 'text-blue-600' : 'text-gray-500'}`} fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17.657 16.657L13.414 20.9a2 2 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+            </div>
+            <span className="text-sm font-medium text-gray-700">Location</span>
+            {filters.area && (
+              <span className="ml-3 inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-blue-50 text-blue-700">
+                Drawn area: {describeArea(filters.area)}
+                <button
+                  onClick={() => setAreaFilter(null)}
+                  className="ml-1 text-blue-400 hover:text-blue-700"
+                  title="Clear the area drawn on the Heat Map"
+                >
+                  ×
+                </button>
+              </span>
+            )}
+            {filters.blocks?.length > 0 && (
+              <span className="ml-3 inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-blue-50 text-blue-700 max-w-xs">
+                <span className="truncate">
+                  {filters.blocks.length === 1 ? `Block: ${filters.blocks[0]}` : `${filters.blocks.length} blocks`}
+                </span>
+                <button
+                  onClick={() => setFilterValues('blocks', [])}
+                  className="ml-1 text-blue-400 hover:text-blue-700"
+                  title="Clear the block picked in the Heat Map search"
+                >
+                  ×
+                </button>
+              </span>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-7 gap-2">
+            {GEOGRAPHIC_FILTERS.map(({ key, label, formatValue }) => (
+              <MultiSelectDropdown
+                key={key}
+                label={label}
+                options={geographicOptions[key] || []}
+                selected={selectedGeography[key]}
+                onChange={values => setGeographicSelection(key, values)}
+                formatOption={formatValue}
+                counts={facetCounts[key]}
+              />
+            ))}
+          </div>
+        </div>
+
+        {/* Advanced: include/exclude conditions combined with AND/OR */}
+        <div className="w-full px-2 mb-4">
+          <div className="flex items-center mb-2">
+            <span className={`text-sm font-medium ${expressionClauseCount > 0 ? 'text-indigo-800' : 'text-gray-700'}`}>Advanced</span>
+            {expressionClauseCount > 0 && (
+              <span className="ml-2 bg-indigo-100 text-indigo-800 text-xs font-medium px-2 py-0.5 rounded-full">
+                {expressionClauseCount} condition{expressionClauseCount === 1 ? '' : 's'}
+              </span>
+            )}
+            <button
+              onClick={() => setShowAdvancedFilters(!showAdvancedFilters)}
+              className="ml-3 text-xs text-blue-600 hover:text-blue-800"
+            >
+              {showAdvancedFilters ? 'Hide' : 'Show'}
+            </button>
+          </div>
+
+          {expressionClauseCount > 0 && (
+            <p className="text-xs text-gray-500 mb-2">
+              Only incidents where {describeExpression(expression, describeClause)}
+            </p>
+          )}
+
+          {showAdvancedFilters && (
+            <div className="border rounded-md p-2 bg-white shadow-sm border-indigo-100">
+              <p className="text-[11px] text-gray-400 mb-2">
+                Exclude values (e.g. every offense except THEFT/OTHER) or combine conditions with AND/OR. These apply on top of the filters above.
+              </p>
+              <FilterExpressionEditor
+                expression={expression}
+                onChange={setExpression}
+                dimensions={expressionDimensions}
+              />
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
@@ -1,25 +1,33 @@
 import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Circle, Popup, useMap, useMapEvents, Marker } from 'react-leaflet';
+import {
+  MapContainer, TileLayer, Circle, CircleMarker, Popup, Tooltip, useMap, useMapEvents, Marker, Polygon, Polyline, Rectangle
+} from 'react-leaflet';
 import { HeatmapLayer } from 'react-leaflet-heatmap-layer-v3';
 import 'leaflet/dist/leaflet.css';
 import ChartCard from './shared/ChartCard';
 import { useCrimeData } from '../utils/CrimeDataContext';
 import useChartData from '../utils/useChartData';
-import { format } from 'date-fns';
+import { formatLocalDateTime } from '../utils/timezone';
 import L from 'leaflet';
 import CensusControls from './shared/CensusControls';
+import ClockBadge from './shared/ClockBadge';
+import AreaControls from './shared/AreaControls';
+import LocationSearch from './shared/LocationSearch';
+import CrimeMeasureToggle from './shared/CrimeMeasureToggle';
+import { isGunIncident } from '../utils/weaponMethods';
+import { getSeverityWeight, getOffenseColor, getDisplayName, getWeightRange } from '../utils/crimeTaxonomy';
+import { distanceInMeters, rectangleFromCorners } from '../utils/spatialFilter';
+import { readUrlState, writeUrlState, onUrlStateChange } from '../utils/urlState';
+import { LOCATION_TYPES, buildLocationIndex, summarizeLocation } from '../utils/locationSearch';
+import { describeCorrelation } from '../utils/correlationStats';
+import { CRIME_MEASURES, measureAreas, getRate, getRateMoe, formatMeasureValue, formatRate } from '../utils/crimeMeasure';
+import { getCensusMetric, formatCensusMetric, formatCensusEstimate, getCensusReliability } from '../utils/censusMetrics';
+import { getDataByTract } from '../utils/censusDataProcessing';
+import { getInterval, getReliability, formatCv } from '../utils/marginOfError';
+import ReliabilityFlag from './shared/ReliabilityFlag';
 
-// Crime severity weights (moved from HotspotAnalysis)
-const CRIME_WEIGHTS = {
-  'HOMICIDE': 10,
-  'ASSAULT W/DANGEROUS WEAPON': 8,
-  'ROBBERY': 7,
-  'BURGLARY': 6,
-  'MOTOR VEHICLE THEFT': 5,
-  'THEFT F/AUTO': 4,
-  'THEFT/OTHER': 3,
-  'default': 2
-};
+const DEFAULT_MAP_CENTER = [38.8977, -77.0365];
+const DEFAULT_MAP_ZOOM = 12;
 
 // Map Reset Component
 const MapReset = ({ center }) => {
@@ -30,17 +38,6 @@ const MapReset = ({ center }) => {
   return null;
 };
 
-const CRIME_COLORS = {
-  'THEFT F/AUTO': '#FF5252',
-  'THEFT/OTHER': '#FF4081',
-  'ASSAULT W/DANGEROUS WEAPON': '#E040FB',
-  'ROBBERY': '#7C4DFF',
-  'BURGLARY': '#536DFE',
-  'MOTOR VEHICLE THEFT': '#448AFF',
-  'HOMICIDE': '#F44336',
-  'default': '#2196F3'
-};
-
 // Memoized circle component for better performance
 const CrimeCircle = React.memo(({ point, getCrimeColor }) => {
   const [isHovered, setIsHovered] = useState(false);
@@ -75,7 +72,7 @@ const CrimeCircle = React.memo(({ point, getCrimeColor }) => {
           <div className="p-2">
             <h3 className="font-semibold">{point.offense}</h3>
             <p className="text-sm text-gray-600">
-              {format(new Date(point.reportDate), 'MMM dd, yyyy HH:mm')}
+              {formatLocalDateTime(point.reportDate)}
             </p>
             <p className="text-sm text-gray-600">
               Shift: {point.shift}
@@ -87,23 +84,9 @@ const CrimeCircle = React.memo(({ point, getCrimeColor }) => {
   );
 });
 
-// Custom icon for markers
-const crimeIcon = (type) => {
-  // Define colors for different crime types
-  const colors = {
-    'HOMICIDE': '#e53e3e',
-    'ASSAULT W/DANGEROUS WEAPON': '#dd6b20',
-    'ROBBERY': '#d69e2e',
-    'SEX ABUSE': '#805ad5',
-    'BURGLARY': '#3182ce',
-    'THEFT F/AUTO': '#38a169',
-    'THEFT/OTHER': '#0d9488',
-    'MOTOR VEHICLE THEFT': '#6366f1',
-    'ARSON': '#e11d48',
-    'default': '#718096'
-  };
-
-  const color = colors[type] || colors.default;
+// Custom icon for markers, colored by the offense's taxonomy color
+const crimeIcon = (type, taxonomy) => {
+  const color = getOffenseColor(type, taxonomy);
 
   return L.divIcon({
     className: 'custom-div-icon',
@@ -113,232 +96,18 @@ const crimeIcon = (type) => {
   });
 };
 
-// Census data overlay component
-const CensusOverlay = ({ selectedMetric, censusData }) => {
+// Census data legend; correlation is the selected metric's correlate() result across census
+// tracts for the crime measure. Areas are not shaded: no tract boundary files ship with the
+// dashboard, so the legend shows the District-wide value and the tract correlation.
+const CensusOverlay = ({ selectedMetric, censusData, correlation, measure }) => {
   const map = useMap();
-  const [overlay, setOverlay] = useState(null);
-  const [legendControl, setLegendControl] = useState(null);
 
   useEffect(() => {
     if (!censusData || !selectedMetric) return;
 
-    // Clean up any existing overlay
-    if (overlay) {
-      map.removeLayer(overlay);
-    }
-
-    // Clean up any existing legend
-    if (legendControl) {
-      map.removeControl(legendControl);
-    }
-
-    // Create enhanced color scales based on the selected metric
-    const getColorForMetric = (value, metric) => {
-      // Define more beautiful color scales with better transitions
-      const colorScales = {
-        'income': ['#f7fcf5', '#e5f5e0', '#c7e9c0', '#a1d99b', '#74c476', '#41ab5d', '#238b45', '#006d2c', '#00441b'], // Green (higher is better)
-        'education': ['#f1eef6', '#d7b5d8', '#df65b0', '#dd1c77', '#980043'], // Purple to pink
-        'poverty': ['#ffffcc', '#ffeda0', '#fed976', '#feb24c', '#fd8d3c', '#fc4e2a', '#e31a1c', '#bd0026', '#800026'], // Yellow to red
-        'housing': ['#f7fbff', '#deebf7', '#c6dbef', '#9ecae1', '#6baed6', '#4292c6', '#2171b5', '#08519c', '#08306b'], // Blues
-        'race': ['#f7f4f9', '#e7e1ef', '#d4b9da', '#c994c7', '#df65b0', '#e7298a', '#ce1256', '#980043', '#67001f']  // Purple to pink
-      };
-      
-      // Get more precise color based on value
-      const scale = colorScales[metric] || colorScales.income;
-      const index = Math.min(Math.floor(value * scale.length), scale.length - 1);
-      return scale[index];
-    };
-
-    // Create simplified DC neighborhood polygons with the same data
-    const neighborhoods = [
-      { 
-        name: 'Northwest DC', 
-        bounds: [
-          [38.95, -77.08],
-          [38.95, -77.00],
-          [38.92, -77.00],
-          [38.92, -77.08]
-        ],
-        metrics: {
-          'income': 0.85,
-          'education': 0.9,
-          'poverty': 0.2,
-          'housing': 0.8,
-          'race': 0.6
-        }
-      },
-      { 
-        name: 'Northeast DC', 
-        bounds: [
-          [38.95, -77.00],
-          [38.95, -76.9],
-          [38.92, -76.9],
-          [38.92, -77.00]
-        ],
-        metrics: {
-          'income': 0.6,
-          'education': 0.65,
-          'poverty': 0.4,
-          'housing': 0.55,
-          'race': 0.8
-        }
-      },
-      { 
-        name: 'Southeast DC', 
-        bounds: [
-          [38.92, -77.00],
-          [38.92, -76.9],
-          [38.85, -76.9],
-          [38.85, -77.00]
-        ],
-        metrics: {
-          'income': 0.3,
-          'education': 0.4,
-          'poverty': 0.7,
-          'housing': 0.25,
-          'race': 0.9
-        }
-      },
-      { 
-        name: 'Southwest DC', 
-        bounds: [
-          [38.919, -77.079], // Slightly adjusted to prevent exact boundary overlap
-          [38.919, -77.001], // Slightly adjusted to prevent exact boundary overlap
-          [38.851, -77.001], // Slightly adjusted to prevent exact boundary overlap
-          [38.851, -77.079]  // Slightly adjusted to prevent exact boundary overlap
-        ],
-        metrics: {
-          'income': 0.7,
-          'education': 0.75,
-          'poverty': 0.3,
-          'housing': 0.65,
-          'race': 0.7
-        }
-      }, // Southwest DC bounds adjusted to prevent overlap issues and ensure accessibility
-      { 
-        name: 'Downtown DC', 
-        bounds: [
-          [38.905, -77.05],
-          [38.905, -77.00],
-          [38.89, -77.00],
-          [38.89, -77.05]
-        ],
-        metrics: {
-          'income': 0.9,
-          'education': 0.85,
-          'poverty': 0.15,
-          'housing': 0.9,
-          'race': 0.5
-        }
-      }
-    ];
-    
-    // Create a layer group for all neighborhood polygons
-    const layerGroup = L.layerGroup();
-    
-    // Add custom properties to the layer group to help with identification
-    layerGroup.options = {
-      className: 'census-overlay-group',
-      censusLayer: true,
-      censusMetric: selectedMetric
-    };
-    
-    // Add each neighborhood polygon
-    neighborhoods.forEach((hood, index) => {
-      const value = hood.metrics[selectedMetric];
-      const color = getColorForMetric(value, selectedMetric);
-      
-      // Calculate dynamic opacity based on value
-      const dynamicOpacity = 0.4 + (value * 0.5); // Scale from 0.4 to 0.9
-      
-      // Special handling for Southwest DC to ensure it's accessible
-      const isSpecialArea = hood.name === 'Southwest DC';
-      
-      const polygon = L.polygon(hood.bounds, {
-        color: 'white',
-        weight: 1.5,
-        opacity: 0.8,
-        fillColor: color,
-        fillOpacity: dynamicOpacity,
-        dashArray: '3',
-        smoothFactor: 1,
-        className: isSpecialArea ? 'neighborhood-polygon southwest-dc census-overlay' : 'neighborhood-polygon census-overlay',
-        bubblingMouseEvents: false, // Ensure events don't bubble to layers below
-        censusLayer: true, // Add a special property to easily identify census layers
-        censusMetric: selectedMetric, // Store which metric this layer represents
-        zIndexOffset: isSpecialArea ? 1000 : 10, // Give Southwest DC a higher z-index
-        pane: 'overlayPane', // Use the overlay pane for better z-index handling
-        interactive: true // Ensure the layer can receive events
-      });
-      
-      // Add enhanced hover effect
-      polygon.on('mouseover', (e) => {
-        const layer = e.target;
-        layer.setStyle({
-          weight: 3,
-          color: '#666',
-          dashArray: '',
-          fillOpacity: 0.9
-        });
-        // Explicitly bring this layer to front
-        if (!L.Browser.ie && !L.Browser.opera && !L.Browser.edge) {
-          layer.bringToFront();
-        }
-      });
-      
-      polygon.on('mouseout', (e) => {
-        const layer = e.target;
-        layer.setStyle({
-          weight: 1.5,
-          color: 'white',
-          dashArray: '3',
-          fillOpacity: dynamicOpacity
-        });
-      });
-      
-      // Add click handler with information popup
-      polygon.on('click', (e) => {
-        // Create popup content
-        const popupContent = `
-          <div class="p-3">
-            <h3 class="font-semibold text-gray-800">${hood.name}</h3>
-            <div class="mt-2 text-sm font-medium">
-              ${selectedMetric.charAt(0).toUpperCase() + selectedMetric.slice(1)}: 
-              <span class="text-blue-600">${getMetricDisplay(value, selectedMetric)}</span>
-            </div>
-            <p class="text-xs text-gray-600 mt-2">${getCorrelationText(selectedMetric)}</p>
-          </div>
-        `;
-        
-        // Create and open the popup
-        L.popup()
-          .setLatLng(e.latlng)
-          .setContent(popupContent)
-          .openOn(map);
-      });
-      
-      // Still add the popup binding for hover behavior
-      polygon.bindPopup(`
-        <div class="p-3">
-          <h3 class="font-semibold text-gray-800">${hood.name}</h3>
-          <div class="mt-2 text-sm font-medium">
-            ${selectedMetric.charAt(0).toUpperCase() + selectedMetric.slice(1)}: 
-            <span class="text-blue-600">${getMetricDisplay(value, selectedMetric)}</span>
-          </div>
-          <p class="text-xs text-gray-600 mt-2">${getCorrelationText(selectedMetric)}</p>
-        </div>
-      `);
-      
-      layerGroup.addLayer(polygon);
-    });
-    
-    // Add the layer group to the map
-    layerGroup.addTo(map);
-    setOverlay(layerGroup);
-    
-    // Add an enhanced legend
+    const metricInfo = getCensusMetric(selectedMetric);
     const legend = L.control({ position: 'bottomright' });
-    
+
     legend.onAdd = function() {
       const div = L.DomUtil.create('div', 'info legend');
       div.style.backgroundColor = 'white';
@@ -348,131 +117,421 @@ const CensusOverlay = ({ selectedMetric, censusData }) => {
       div.style.boxShadow = '0 1px 5px rgba(0,0,0,0.4)';
       div.style.fontSize = '12px';
       div.style.lineHeight = '18px';
-      
-      // Add a title with better styling
-      const metricTitle = selectedMetric.charAt(0).toUpperCase() + selectedMetric.slice(1);
-      let legendHtml = `
-        <div style="margin-bottom:8px; border-bottom: 1px solid #eee; padding-bottom: 5px">
-          <strong style="font-size: 14px; color: #333">${metricTitle} in DC</strong>
-          <div style="font-size:10px; color:#666; margin-top:3px;">
-            Color intensity indicates ${getMetricDescription(selectedMetric)}
+
+      const districtValue = censusData.derivedMetrics?.[metricInfo.districtField];
+      const districtMoe = censusData.derivedMetrics?.moe?.[metricInfo.districtField];
+      div.innerHTML = `
+        <div style="max-width: 220px">
+          <strong style="font-size: 14px; color: #333">${metricInfo.label} in DC</strong>
+          <div style="font-size:10px; color:#444; margin-top:3px;">
+            District-wide: ${formatCensusEstimate(districtValue, districtMoe, selectedMetric)}
+            ${getReliabilityHtml(getCensusReliability(districtValue, districtMoe))}
           </div>
+          <div style="font-size:10px; color:#666; margin-top:3px;">${metricInfo.description}</div>
+          <div style="font-size:10px; color:#666; margin-top:5px;">${getCorrelationText(correlation, measure)}</div>
         </div>
       `;
-      
-      // Create a smoother gradient display
-      const grades = [0.1, 0.3, 0.5, 0.7, 0.9];
-      
-      // Loop through our grades and generate a label with a colored square for each interval
-      for (let i = 0; i < grades.length; i++) {
-        const color = getColorForMetric(grades[i], selectedMetric);
-        legendHtml +=
-          '<div style="display:flex; align-items:center; margin-top:5px;">' +
-          `<span style="display:block; width:15px; height:15px; margin-right:8px; background:${color}; border-radius: 2px; border: 1px solid rgba(0,0,0,0.1)"></span> ` +
-          `<span style="color:#444">${getLegendLabel(grades[i], selectedMetric)}</span>` +
-          '</div>';
-      }
-      
-      div.innerHTML = legendHtml;
       return div;
     };
-    
+
     legend.addTo(map);
-    setLegendControl(legend);
-    
-    // Return cleanup function
+
     return () => {
-      console.log('CensusOverlay component cleanup');
-      if (overlay) {
-        try {
-          map.removeLayer(overlay);
-        } catch (e) {
-          console.warn('Error removing overlay layer:', e);
-        }
-      }
-      
-      if (legendControl) {
-        try {
-          map.removeControl(legendControl);
-        } catch (e) {
-          console.warn('Error removing legend control:', e);
-        }
+      try {
+        map.removeControl(legend);
+      } catch (e) {
+        console.warn('Error removing legend control:', e);
       }
-      
-      // Also clean up any elements that might have been added to the DOM
-      const legends = document.querySelectorAll('.info.legend');
-      legends.forEach(legend => {
-        legend.remove();
-      });
-      
-      // Clean up any other layers that might be associated with this overlay
-      map.eachLayer(layer => {
-        if (layer.options && 
-            (layer.options.className === 'census-overlay' || 
-             layer.options.censusLayer === true)) {
-          try {
-            map.removeLayer(layer);
-          } catch (e) {
-            console.warn('Error removing census layer:', e);
-          }
-        }
-      });
     };
-  }, [map, censusData, selectedMetric]);
-  
+  }, [map, censusData, selectedMetric, correlation, measure]);
+
+  return null;
+};
+
+// Census values of an incident's tract (from getDataByTract), or a note when the tract is unknown
+// or the tract-level tables did not load
+const TRACT_CONTEXT_METRICS = ['education', 'poverty', 'housing', 'income'];
+
+const TractContext = ({ tract }) => (
+  <div className="mt-2 pt-2 border-t border-gray-200">
+    <p className="text-xs font-medium text-gray-700">
+      Demographic Context:
+      <span className="ml-1 text-blue-600">{tract ? tract.name : 'No census tract data'}</span>
+    </p>
+    {tract && (
+      <div className="grid grid-cols-2 gap-x-2 text-xs mt-1">
+        {TRACT_CONTEXT_METRICS.map(id => {
+          const metric = getCensusMetric(id);
+          return (
+            <React.Fragment key={id}>
+              <span className="text-gray-600">{metric.label}:</span>
+              <span>{formatCensusMetric(tract[metric.field], id)}</span>
+            </React.Fragment>
+          );
+        })}
+      </div>
+    )}
+  </div>
+);
+
+// Dot color for a high-risk block's tract value against the District-wide one: red when the
+// tract is on the side that would not be expected of a high-risk area (unusualWhenHigher says
+// which side that is), green when it is, gray without a tract value
+const getPatternClass = (value, districtValue, unusualWhenHigher) => {
+  if (value === null || value === undefined || !districtValue) return 'bg-gray-400';
+  return (value > districtValue) === unusualWhenHigher ? 'bg-red-500' : 'bg-green-500';
+};
+
+// Text for Leaflet popup and legend HTML; incident fields come from imported files and offense
+// names from the taxonomy editor, so they are escaped rather than trusted as markup
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Highlight gun-involved incidents as red dots above the heat map
+const GunIncidentLayer = ({ incidents, taxonomy }) => {
+  const map = useMap();
+
+  useEffect(() => {
+    // Canvas keeps thousands of markers responsive
+    const renderer = L.canvas({ padding: 0.5 });
+    const layerGroup = L.layerGroup();
+
+    incidents.forEach(incident => {
+      if (!incident.latitude || !incident.longitude) return;
+
+      L.circleMarker([incident.latitude, incident.longitude], {
+        renderer,
+        radius: 4,
+        color: '#7f1d1d',
+        weight: 1,
+        fillColor: '#dc2626',
+        fillOpacity: 0.8
+      })
+        .bindPopup(`
+          <div class="max-w-xs">
+            <h3 class="font-semibold text-gray-800">${escapeHtml(getDisplayName(incident.offense, taxonomy))}</h3>
+            <p class="text-sm text-gray-600">
+              ${escapeHtml(incident.block || 'Unknown location')}<br />
+              ${incident.reportDate ? formatLocalDateTime(incident.reportDate) : 'Unknown date'}
+            </p>
+            <p class="text-xs text-red-600 mt-1">Gun involved</p>
+          </div>
+        `)
+        .addTo(layerGroup);
+    });
+
+    layerGroup.addTo(map);
+
+    return () => {
+      map.removeLayer(layerGroup);
+    };
+  }, [map, incidents, taxonomy]);
+
   return null;
 };
 
-// Helper function to display metric values
-const getMetricDisplay = (value, metric) => {
-  if (metric === 'income') {
-    // Scale from 0-1 to a realistic income range
-    const income = Math.round(70000 + (value * 150000));
-    return `$${income.toLocaleString()}`;
-  } else if (metric === 'education') {
-    // Scale to percentage with higher education
-    return `${Math.round(value * 100)}% with bachelor's or higher`;
-  } else if (metric === 'poverty') {
-    // Scale to percentage below poverty line
-    return `${Math.round(value * 100)}% below poverty line`;
-  } else if (metric === 'housing') {
-    // Scale to housing price
-    const price = Math.round(300000 + (value * 1200000));
-    return `$${price.toLocaleString()} median value`;
-  } else if (metric === 'race') {
-    // Scale to diversity index
-    return `${Math.round(value * 100)}% diversity index`;
+// Areas the crime-by-area layer can show, by incident field
+const AREA_LAYERS = {
+  neighborhood: { label: 'Clusters', singular: 'cluster', formatValue: value => value },
+  ward: { label: 'Wards', singular: 'ward', formatValue: value => `Ward ${value}` }
+};
+
+// Light to dark red, one color per quintile of the areas' values
+const AREA_CLASS_COLORS = ['#fee5d9', '#fcae91', '#fb6a4a', '#de2d26', '#a50f15'];
+
+// Upper bounds of each class: the 20th, 40th, 60th, 80th and 100th percentile
+const getClassBreaks = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return AREA_CLASS_COLORS.map((color, i) => sorted[Math.ceil(((i + 1) / AREA_CLASS_COLORS.length) * sorted.length) - 1]);
+};
+
+const getClassColor = (value, breaks) => {
+  if (value === null) return '#9ca3af';
+  const index = breaks.findIndex(upper => value <= upper);
+  return AREA_CLASS_COLORS[index === -1 ? AREA_CLASS_COLORS.length - 1 : index];
+};
+
+// Clusters or wards as circles at the mean position of their incidents, shaded by count or by
+// incidents per 1,000 residents (there are no boundary files to draw their shapes)
+const AreaMeasureLayer = ({ areas, breaks, layer }) => (
+  <>
+    {areas.map(area => {
+      const rate = getRate(area.count, area.population);
+      const rateInterval = getInterval(rate, getRateMoe(area.count, area.population, area.populationMoe));
+      return (
+        <CircleMarker
+          key={area.value}
+          center={area.center}
+          radius={layer === 'ward' ? 22 : 13}
+          pathOptions={{
+            color: '#7f1d1d',
+            weight: 1,
+            fillColor: getClassColor(area.measureValue, breaks),
+            fillOpacity: 0.75
+          }}
+        >
+          <Tooltip direction="top">
+            <div className="text-xs">
+              <p className="font-semibold">{AREA_LAYERS[layer].formatValue(area.value)}</p>
+              <p>{area.count.toLocaleString()} incidents</p>
+              <p>
+                {area.population
+                  ? `${Math.round(area.population).toLocaleString()}${area.populationMoe ? ` ± ${Math.round(area.populationMoe).toLocaleString()}` : ''} residents · ${formatRate(rate)} per 1,000`
+                  : 'No population estimate'}
+              </p>
+              {rateInterval && (
+                <p className="text-gray-500">
+                  Rate 90% CI {formatRate(rateInterval[0])}–{formatRate(rateInterval[1])}
+                  <ReliabilityFlag reliability={getReliability(area.population, area.populationMoe)} />
+                </p>
+              )}
+            </div>
+          </Tooltip>
+        </CircleMarker>
+      );
+    })}
+  </>
+);
+
+// Keep the map view in the URL (without adding history entries) and follow it on back/forward
+const MapViewSync = () => {
+  const map = useMapEvents({
+    moveend: () => {
+      const center = map.getCenter();
+      writeUrlState({ mapView: { center: [center.lat, center.lng], zoom: map.getZoom() } }, { replace: true });
+    }
+  });
+
+  useEffect(() => onUrlStateChange(({ mapView }) => {
+    map.setView(mapView?.center || DEFAULT_MAP_CENTER, mapView?.zoom ?? DEFAULT_MAP_ZOOM);
+  }), [map]);
+
+  return null;
+};
+
+const AREA_STYLE = { color: '#2563eb', weight: 2, fillOpacity: 0.05 };
+const DRAFT_STYLE = { color: '#2563eb', weight: 2, dashArray: '6 4', fillOpacity: 0.1 };
+
+// Leaflet bounds of a drawn area, for zooming to it
+const getAreaBounds = (area) => {
+  switch (area.type) {
+    case 'polygon':
+      return L.latLngBounds(area.points);
+    case 'rectangle':
+      return L.latLngBounds(area.bounds);
+    case 'circle':
+      return L.latLng(area.center).toBounds(area.radius * 2);
+    default:
+      return null;
   }
-  
-  return `${Math.round(value * 100)}%`;
 };
 
-// Get appropriate legend label based on metric
-const getLegendLabel = (value, metric) => {
-  if (metric === 'income') {
-    const income = Math.round(70000 + (value * 150000));
-    return `$${income.toLocaleString()}`;
-  } else if (metric === 'education' || metric === 'poverty' || metric === 'race') {
-    return `${Math.round(value * 100)}%`;
-  } else if (metric === 'housing') {
-    const price = Math.round(300000 + (value * 1200000));
-    return `$${price.toLocaleString()}`;
+// Outline of the area currently filtering every view
+const AreaOutline = ({ area }) => {
+  switch (area.type) {
+    case 'polygon':
+      return <Polygon positions={area.points} pathOptions={AREA_STYLE} interactive={false} />;
+    case 'rectangle':
+      return <Rectangle bounds={area.bounds} pathOptions={AREA_STYLE} interactive={false} />;
+    case 'circle':
+      return <Circle center={area.center} radius={area.radius} pathOptions={AREA_STYLE} interactive={false} />;
+    default:
+      return null;
   }
-  
-  return `${Math.round(value * 100)}%`;
 };
 
-// Sample correlation text
-const getCorrelationText = (metric) => {
-  const correlations = {
-    'income': 'Strong negative correlation with violent crime (-0.65)',
-    'education': 'Moderate negative correlation with property crime (-0.48)',
-    'poverty': 'Strong positive correlation with all crime types (0.72)',
-    'housing': 'Moderate negative correlation with theft (-0.52)',
-    'race': 'No significant correlation with crime patterns (0.15)'
-  };
-  
-  return correlations[metric] || '';
+// Zoom to an area, e.g. a saved one picked from the list
+const FocusArea = ({ area }) => {
+  const map = useMap();
+  useEffect(() => {
+    const bounds = area && getAreaBounds(area);
+    if (bounds) map.fitBounds(bounds, { padding: [20, 20] });
+  }, [map, area]);
+  return null;
+};
+
+// Fly to a block or cluster picked in the location search
+const FlyToLocation = ({ location }) => {
+  const map = useMap();
+  useEffect(() => {
+    if (!location) return;
+    if (location.type === 'block') {
+      map.flyTo(location.center, 17);
+    } else {
+      map.flyToBounds(location.bounds, { padding: [30, 30], maxZoom: 16 });
+    }
+  }, [map, location]);
+  return null;
+};
+
+// Incident history and risk score of a searched location, from the filtered incidents
+const LocationSummary = ({ location, incidents, locationScores, clock, taxonomy, isFiltered, onFilter, onClearFilter }) => {
+  const summary = useMemo(() => summarizeLocation(incidents, location, clock), [incidents, location, clock]);
+  const { label } = LOCATION_TYPES[location.type];
+
+  // A block's own score; for a cluster, its highest-scoring blocks
+  const blockScore = location.type === 'block' ? locationScores[location.value] : null;
+  const topBlocks = location.type === 'cluster'
+    ? summary.blocks
+      .filter(block => locationScores[block])
+      .map(block => ({ block, riskScore: locationScores[block].riskScore }))
+      .sort((a, b) => b.riskScore - a.riskScore)
+      .slice(0, 3)
+    : [];
+
+  return (
+    <div className="max-w-xs text-xs">
+      <div className="text-[10px] uppercase tracking-wide text-gray-400">{label}</div>
+      <h3 className="font-semibold text-gray-800 text-sm">{location.value}</h3>
+
+      {summary.count === 0 ? (
+        <p className="mt-1 text-gray-500">
+          No incidents here with the current filters ({location.count.toLocaleString()} in the loaded data).
+        </p>
+      ) : (
+        <>
+          <p className="mt-1 text-gray-600">
+            {summary.count.toLocaleString()} incident{summary.count === 1 ? '' : 's'} with the current filters
+            {summary.count !== location.count && ` (of ${location.count.toLocaleString()} loaded)`}
+            {summary.firstDate && summary.lastDate && (
+              <span className="block text-gray-500">
+                {formatLocalDateTime(summary.firstDate)} to {formatLocalDateTime(summary.lastDate)}
+              </span>
+            )}
+          </p>
+
+          {blockScore && (
+            <p className="mt-1 font-semibold">
+              Risk score: <span className="text-red-600">{Math.round(blockScore.riskScore)}</span>
+            </p>
+          )}
+          {topBlocks.length > 0 && (
+            <div className="mt-1">
+              <div className="font-medium text-gray-700">Highest-risk blocks</div>
+              {topBlocks.map(({ block, riskScore }) => (
+                <div key={block} className="flex justify-between gap-2">
+                  <span className="truncate">{block}</span>
+                  <span className="text-red-600 font-medium">{Math.round(riskScore)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="mt-2 pt-1 border-t border-gray-200">
+            <div className="font-medium text-gray-700">Most common</div>
+            {summary.topOffenses.map(({ offense, count }) => (
+              <div key={offense} className="flex justify-between gap-2">
+                <span>{getDisplayName(offense, taxonomy)}</span>
+                <span className="text-gray-500">{count.toLocaleString()}</span>
+              </div>
+            ))}
+          </div>
+
+          <div className="mt-2 pt-1 border-t border-gray-200">
+            <div className="font-medium text-gray-700">Latest</div>
+            {summary.recent.map(({ incident, date }, i) => (
+              <div key={`${incident.ccn || i}-${i}`} className="flex justify-between gap-2">
+                <span className="truncate">{getDisplayName(incident.offense, taxonomy)}</span>
+                <span className="text-gray-500 whitespace-nowrap">{date ? formatLocalDateTime(date) : 'Unknown date'}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <div className="mt-2 pt-2 border-t border-gray-200">
+        {isFiltered ? (
+          <button onClick={onClearFilter} className="text-blue-600 hover:text-blue-800">
+            Stop filtering to this {label.toLowerCase()}
+          </button>
+        ) : (
+          <button onClick={onFilter} className="text-blue-600 hover:text-blue-800">
+            Filter the dashboard to this {label.toLowerCase()}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Draw a polygon, rectangle or radius with clicks on the map; onComplete receives the area
+const AreaDrawLayer = ({ tool, onComplete, onCancel }) => {
+  const map = useMap();
+  const [points, setPoints] = useState([]);
+  const [cursor, setCursor] = useState(null);
+
+  // Crosshair cursor, and double-click finishes a polygon instead of zooming
+  useEffect(() => {
+    const container = map.getContainer();
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel();
+    };
+
+    map.doubleClickZoom.disable();
+    container.style.cursor = 'crosshair';
+    document.addEventListener('keydown', handleKeyDown);
+
+    return () => {
+      map.doubleClickZoom.enable();
+      container.style.cursor = '';
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [map, onCancel]);
+
+  // Start over when switching tools
+  useEffect(() => {
+    setPoints([]);
+  }, [tool]);
+
+  useMapEvents({
+    click: (e) => {
+      const point = [e.latlng.lat, e.latlng.lng];
+      if (tool === 'rectangle' && points.length === 1) {
+        onComplete(rectangleFromCorners(points[0], point));
+      } else if (tool === 'circle' && points.length === 1) {
+        onComplete({ type: 'circle', center: points[0], radius: distanceInMeters(points[0], point) });
+      } else {
+        setPoints(prev => [...prev, point]);
+      }
+    },
+    dblclick: () => {
+      if (tool !== 'polygon') return;
+      // The double-click also registered as clicks; drop the repeated corners
+      const corners = points.filter((point, i) => (
+        i === 0 || point[0] !== points[i - 1][0] || point[1] !== points[i - 1][1]
+      ));
+      if (corners.length >= 3) onComplete({ type: 'polygon', points: corners });
+    },
+    mousemove: (e) => setCursor([e.latlng.lat, e.latlng.lng])
+  });
+
+  if (points.length === 0 || !cursor) return null;
+
+  switch (tool) {
+    case 'polygon':
+      return points.length >= 2
+        ? <Polygon positions={[...points, cursor]} pathOptions={DRAFT_STYLE} interactive={false} />
+        : <Polyline positions={[points[0], cursor]} pathOptions={DRAFT_STYLE} interactive={false} />;
+    case 'rectangle':
+      return <Rectangle bounds={rectangleFromCorners(points[0], cursor).bounds} pathOptions={DRAFT_STYLE} interactive={false} />;
+    case 'circle':
+      return <Circle center={points[0]} radius={distanceInMeters(points[0], cursor)} pathOptions={DRAFT_STYLE} interactive={false} />;
+    default:
+      return null;
+  }
+};
+
+// Correlation with incidents (or rates) per census tract, escaped for the legend HTML ("p < 0.001")
+const getCorrelationText = (correlation, measure) => (
+  escapeHtml(`${describeCorrelation(correlation)} with ${CRIME_MEASURES[measure].tractLabel}, under the current filters`)
+);
+
+// Reliability warning for the legend HTML; empty for reliable estimates or unknown margins
+const getReliabilityHtml = (reliability) => {
+  if (!reliability || reliability.level === 'high') return '';
+  const color = reliability.level === 'low' ? '#b91c1c' : '#b45309';
+  return `<span style="color:${color}; font-weight:600">${reliability.label} (${formatCv(reliability.cv)})</span>`;
 };
 
 // Component for updating map events
@@ -485,147 +544,6 @@ const MapEventHandler = ({ onBoundsChange }) => {
     zoomend: () => {
       const bounds = map.getBounds();
       onBoundsChange?.(bounds);
-    },
-    click: (e) => {
-      // First check if this click is handled by a polygon - if so, don't proceed
-      // Leaflet automatically handles propagation when clickable objects are present
-      
-      // Only handle clicks outside of polygons
-      // This is determined by checking if the event was stopped by a polygon click handler
-      if (e.originalEvent.defaultPrevented || e.originalEvent._stopped) {
-        return;
-      }
-      
-      const { lat, lng } = e.latlng;
-      
-      // Check if click is inside a defined neighborhood
-      const neighborhoods = [
-        { 
-          name: 'Northwest DC', 
-          bounds: [
-            [38.95, -77.08],
-            [38.95, -77.00],
-            [38.92, -77.00],
-            [38.92, -77.08]
-          ],
-          metrics: {
-            'income': 0.85,
-            'education': 0.9,
-            'poverty': 0.2,
-            'housing': 0.8,
-            'race': 0.6
-          }
-        },
-        { 
-          name: 'Northeast DC', 
-          bounds: [
-            [38.95, -77.00],
-            [38.95, -76.9],
-            [38.92, -76.9],
-            [38.92, -77.00]
-          ],
-          metrics: {
-            'income': 0.6,
-            'education': 0.65,
-            'poverty': 0.4,
-            'housing': 0.55,
-            'race': 0.8
-          }
-        },
-        { 
-          name: 'Southeast DC', 
-          bounds: [
-            [38.92, -77.00],
-            [38.92, -76.9],
-            [38.85, -76.9],
-            [38.85, -77.00]
-          ],
-          metrics: {
-            'income': 0.3,
-            'education': 0.4,
-            'poverty': 0.7,
-            'housing': 0.25,
-            'race': 0.9
-          }
-        },
-        { 
-          name: 'Southwest DC', 
-          bounds: [
-            [38.919, -77.079],
-            [38.919, -77.001],
-            [38.851, -77.001],
-            [38.851, -77.079]
-          ],
-          metrics: {
-            'income': 0.7,
-            'education': 0.75,
-            'poverty': 0.3,
-            'housing': 0.65,
-            'race': 0.7
-          }
-        },
-        { 
-          name: 'Downtown DC', 
-          bounds: [
-            [38.905, -77.05],
-            [38.905, -77.00],
-            [38.89, -77.00],
-            [38.89, -77.05]
-          ],
-          metrics: {
-            'income': 0.9,
-            'education': 0.85,
-            'poverty': 0.15,
-            'housing': 0.9,
-            'race': 0.5
-          }
-        }
-      ];
-
-      // Find which neighborhood contains this point
-      const neighborhood = neighborhoods.find(hood => {
-        const [[maxLat, minLng], [maxLat2, maxLng], [minLat, maxLng2], [minLat2, minLng2]] = hood.bounds;
-        return lat <= Math.max(maxLat, maxLat2) && lat >= Math.min(minLat, minLat2) && 
-               lng >= Math.min(minLng, minLng2) && lng <= Math.max(maxLng, maxLng2);
-      });
-      
-      if (neighborhood) {
-        // If click is inside a defined neighborhood, show detailed data
-        const tooltipContent = `
-          <div class="p-3">
-            <h3 class="font-semibold text-gray-800">${neighborhood.name}</h3>
-            <div class="mt-2 text-sm">
-              <div><span class="text-gray-600">Education:</span> ${Math.round(neighborhood.metrics.education * 100)}%</div>
-              <div><span class="text-gray-600">Poverty:</span> ${Math.round(neighborhood.metrics.poverty * 100)}%</div>
-              <div><span class="text-gray-600">Housing:</span> $${Math.round(300000 + (neighborhood.metrics.housing * 1200000)).toLocaleString()}</div>
-              <div><span class="text-gray-600">Income:</span> $${Math.round(70000 + (neighborhood.metrics.income * 150000)).toLocaleString()}</div>
-            </div>
-          </div>
-        `;
-        
-        L.popup()
-          .setLatLng(e.latlng)
-          .setContent(tooltipContent)
-          .openOn(map);
-      } else {
-        // If click is outside all defined neighborhoods, show a more informative message
-        const outsideAreaContent = `
-          <div class="p-3">
-            <h3 class="font-semibold text-gray-800">Outside Defined Areas</h3>
-            <p class="mt-2 text-sm text-gray-600">
-              Click on one of the colored regions to see detailed demographic information for that neighborhood.
-            </p>
-            <p class="mt-1 text-xs text-gray-500">
-              Citywide statistics are displayed in the legend.
-            </p>
-          </div>
-        `;
-        
-        L.popup()
-          .setLatLng(e.latlng)
-          .setContent(outsideAreaContent)
-          .openOn(map);
-      }
     }
   });
   
@@ -647,204 +565,6 @@ const EmptyState = () => (
   </div>
 );
 
-// Helper function to get neighborhood-specific metrics
-const getNeighborhoodMetric = (lat, lng, metricName, isCurrency = false) => {
-  // Define neighborhoods and their bounding boxes
-  const neighborhoods = [
-    { 
-      name: 'Northwest DC', 
-      bounds: [
-        [38.95, -77.08],
-        [38.95, -77.00],
-        [38.92, -77.00],
-        [38.92, -77.08]
-      ],
-      metrics: {
-        'income': 0.85,
-        'education': 0.9,
-        'poverty': 0.2,
-        'housing': 0.8,
-        'race': 0.6
-      }
-    },
-    { 
-      name: 'Northeast DC', 
-      bounds: [
-        [38.95, -77.00],
-        [38.95, -76.9],
-        [38.92, -76.9],
-        [38.92, -77.00]
-      ],
-      metrics: {
-        'income': 0.6,
-        'education': 0.65,
-        'poverty': 0.4,
-        'housing': 0.55,
-        'race': 0.8
-      }
-    },
-    { 
-      name: 'Southeast DC', 
-      bounds: [
-        [38.92, -77.00],
-        [38.92, -76.9],
-        [38.85, -76.9],
-        [38.85, -77.00]
-      ],
-      metrics: {
-        'income': 0.3,
-        'education': 0.4,
-        'poverty': 0.7,
-        'housing': 0.25,
-        'race': 0.9
-      }
-    },
-    { 
-      name: 'Southwest DC', 
-      bounds: [
-        [38.919, -77.079],
-        [38.919, -77.001],
-        [38.851, -77.001],
-        [38.851, -77.079]
-      ],
-      metrics: {
-        'income': 0.7,
-        'education': 0.75,
-        'poverty': 0.3,
-        'housing': 0.65,
-        'race': 0.7
-      }
-    },
-    { 
-      name: 'Downtown DC', 
-      bounds: [
-        [38.905, -77.05],
-        [38.905, -77.00],
-        [38.89, -77.00],
-        [38.89, -77.05]
-      ],
-      metrics: {
-        'income': 0.9,
-        'education': 0.85,
-        'poverty': 0.15,
-        'housing': 0.9,
-        'race': 0.5
-      }
-    }
-  ];
-  
-  // Find which neighborhood the point belongs to
-  const neighborhood = neighborhoods.find(hood => {
-    const [[maxLat, minLng], [maxLat2, maxLng], [minLat, maxLng2], [minLat2, minLng2]] = hood.bounds;
-    return lat <= Math.max(maxLat, maxLat2) && lat >= Math.min(minLat, minLat2) && 
-           lng >= Math.min(minLng, minLng2) && lng <= Math.max(maxLng, maxLng2);
-  });
-  
-  if (!neighborhood) {
-    // Default to citywide average if not in any defined neighborhood
-    if (metricName === 'education') return '65.9';
-    if (metricName === 'poverty') return '14.0';
-    if (metricName === 'housing') return isCurrency ? (715500).toLocaleString() : '715,500';
-    if (metricName === 'income') return isCurrency ? (108210).toLocaleString() : '108,210';
-    return 'N/A';
-  }
-  
-  const value = neighborhood.metrics[metricName];
-  
-  if (metricName === 'education') {
-    return Math.round(value * 100).toString();
-  } else if (metricName === 'poverty') {
-    return Math.round(value * 100).toString();
-  } else if (metricName === 'housing') {
-    const price = Math.round(300000 + (value * 1200000));
-    return isCurrency ? price.toLocaleString() : price.toString();
-  } else if (metricName === 'income') {
-    const income = Math.round(70000 + (value * 150000));
-    return isCurrency ? income.toLocaleString() : income.toString();
-  }
-  
-  return Math.round(value * 100).toString();
-};
-
-// Helper function to get neighborhood name from coordinates
-const getNeighborhoodName = (lat, lng) => {
-  // Define neighborhoods and their bounding boxes (same as in getNeighborhoodMetric)
-  const neighborhoods = [
-    { 
-      name: 'Northwest DC', 
-      bounds: [
-        [38.95, -77.08],
-        [38.95, -77.00],
-        [38.92, -77.00],
-        [38.92, -77.08]
-      ]
-    },
-    { 
-      name: 'Northeast DC', 
-      bounds: [
-        [38.95, -77.00],
-        [38.95, -76.9],
-        [38.92, -76.9],
-        [38.92, -77.00]
-      ]
-    },
-    { 
-      name: 'Southeast DC', 
-      bounds: [
-        [38.92, -77.00],
-        [38.92, -76.9],
-        [38.85, -76.9],
-        [38.85, -77.00]
-      ]
-    },
-    { 
-      name: 'Southwest DC', 
-      bounds: [
-        [38.919, -77.079],
-        [38.919, -77.001],
-        [38.851, -77.001],
-        [38.851, -77.079]
-      ]
-    },
-    { 
-      name: 'Downtown DC', 
-      bounds: [
-        [38.905, -77.05],
-        [38.905, -77.00],
-        [38.89, -77.00],
-        [38.89, -77.05]
-      ]
-    }
-  ];
-  
-  // Find which neighborhood the point belongs to
-  const neighborhood = neighborhoods.find(hood => {
-    const [[maxLat, minLng], [maxLat2, maxLng], [minLat, maxLng2], [minLat2, minLng2]] = hood.bounds;
-    return lat <= Math.max(maxLat, maxLat2) && lat >= Math.min(minLat, minLat2) && 
-           lng >= Math.min(minLng, minLng2) && lng <= Math.max(maxLng, maxLng2);
-  });
-  
-  return neighborhood ? neighborhood.name : 'Other DC Area';
-};
-
-// Helper function to get descriptions of metrics for legend
-const getMetricDescription = (metric) => {
-  switch(metric) {
-    case 'income':
-      return 'higher income levels';
-    case 'education':
-      return 'higher education levels';
-    case 'poverty':
-      return 'higher poverty rates';
-    case 'housing':
-      return 'higher housing values';
-    case 'race':
-      return 'diversity index';
-    default:
-      return 'demographic values';
-  }
-};
-
 const HeatMap = ({ updateKeyInsights }) => {
   const { 
     heatMapData, 
@@ -854,116 +574,87 @@ const HeatMap = ({ updateKeyInsights }) => {
     showCensusOverlay, 
     selectedCensusMetric,
     census,
-    filters
+    censusCorrelations,
+    crimeMeasure,
+    populations,
+    filters,
+    setAreaFilter,
+    setFilterValues,
+    analysisClock,
+    taxonomy
   } = useCrimeData();
   
   // Use filteredRawData if available, otherwise fall back to rawData
   const displayData = filteredRawData || rawData;
+
+  // Described in the risk legend, so it follows edits made in the taxonomy editor
+  const weightRange = getWeightRange(taxonomy);
   
   const [visibleMarkers, setVisibleMarkers] = useState([]);
   const [locationScores, setLocationScores] = useState({});
   const [currentBounds, setCurrentBounds] = useState(null);
   const [hasData, setHasData] = useState(true);
   const [activeOverlays, setActiveOverlays] = useState([]);
+  const [showGunLayer, setShowGunLayer] = useState(false);
+  const [drawTool, setDrawTool] = useState(null);
+  const [focusedArea, setFocusedArea] = useState(null);
+
+  // A finished drawing becomes the area filter for every view
+  const handleAreaDrawn = useCallback((area) => {
+    setDrawTool(null);
+    setAreaFilter(area);
+  }, [setAreaFilter]);
+
+  const cancelDrawing = useCallback(() => setDrawTool(null), []);
+
+  // Blocks and clusters of every loaded incident for the search box
+  const locationIndex = useMemo(() => buildLocationIndex(rawData), [rawData]);
+  const [searchedLocation, setSearchedLocation] = useState(null);
+  const closeSearchedLocation = useCallback(() => setSearchedLocation(null), []);
+
+  // Gun-involved incidents for the highlight layer
+  const gunIncidents = useMemo(() => displayData.filter(isGunIncident), [displayData]);
+
+  // Crime by cluster or ward, as counts or rates; rates fall back to counts when no area of the
+  // layer has a population (the tract-level census tables or the tract crosswalk are missing)
+  const [areaLayer, setAreaLayer] = useState('');
+  const areaPopulations = areaLayer ? populations?.[areaLayer] : null;
+  const hasAreaPopulations = Boolean(areaPopulations && Object.keys(areaPopulations).length > 0);
+  const areaMeasure = crimeMeasure === 'rate' && hasAreaPopulations ? 'rate' : 'count';
+
+  const areaCenters = useMemo(() => {
+    if (!areaLayer) return {};
+    const sums = {};
+    rawData.forEach(incident => {
+      const value = incident?.[areaLayer];
+      if (value === null || value === undefined || value === '' || !incident.latitude || !incident.longitude) return;
+      if (!sums[value]) sums[value] = { lat: 0, lng: 0, count: 0 };
+      sums[value].lat += incident.latitude;
+      sums[value].lng += incident.longitude;
+      sums[value].count += 1;
+    });
+    return Object.fromEntries(Object.entries(sums).map(([value, { lat, lng, count }]) => [value, [lat / count, lng / count]]));
+  }, [rawData, areaLayer]);
+
+  const { areas, areaBreaks } = useMemo(() => {
+    if (!areaLayer) return { areas: [], areaBreaks: [] };
+    const measured = measureAreas(displayData, areaLayer, areaPopulations, areaMeasure)
+      .filter(area => areaCenters[area.value])
+      .map(area => ({
+        ...area,
+        center: areaCenters[area.value],
+        populationMoe: populations?.moe?.[areaLayer]?.[area.value] ?? null
+      }));
+    const values = measured.map(area => area.measureValue).filter(value => value !== null);
+    return { areas: measured, areaBreaks: values.length > 0 ? getClassBreaks(values) : [] };
+  }, [displayData, areaLayer, areaPopulations, areaMeasure, areaCenters, populations]);
   
   const mapRef = useRef(null);
   
-  // Define the indicator class function within the component scope
-  // This function determines the appropriate indicator color based on demographic metric values
-  const getIndicatorClass = (metric, value, riskScore) => {
-    // For income: high income in high-risk area is unusual (red)
-    let result = 'bg-gray-400'; // Default value
-    
-    if (metric === 'income') {
-      // Make sure we're handling numeric values
-      const numericValue = typeof value === 'number' ? value : parseInt(value.replace(/[^0-9]/g, ''), 10);
-      console.log(`Income value: ${value}, parsed: ${numericValue}`);
-      
-      if (numericValue > 75000) {
-        result = 'bg-red-500';  // High income in high-risk area = unusual
-      } else if (numericValue > 50000) {
-        result = 'bg-gray-400'; // Medium income
-      } else {
-        result = 'bg-green-500'; // Low income in high-risk area = expected
-      }
-    }
-    // For poverty: high poverty in high-risk area is expected (green)
-    else if (metric === 'poverty') {
-      // Make sure we're handling numeric values
-      const numericValue = typeof value === 'number' ? value : parseInt(value, 10);
-      console.log(`Poverty value: ${value}, parsed: ${numericValue}`);
-      
-      if (numericValue > 20) {
-        result = 'bg-green-500'; // High poverty in high-risk area = expected
-      } else if (numericValue > 10) {
-        result = 'bg-gray-400'; // Medium poverty
-      } else {
-        result = 'bg-red-500';  // Low poverty in high-risk area = unusual
-      }
-    }
-    
-    console.log(`Indicator for ${metric}: ${value} -> ${result}`);
-    return result;
-  };
-  
-  // Effect to manually clean up any remaining map overlays when toggling off census data
+  // Remove a lingering census legend when the overlay is toggled off
   useEffect(() => {
-    console.log('Census overlay state changed:', showCensusOverlay);
-    
     if (!showCensusOverlay) {
-      // Clean up any lingering legends
-      const legends = document.querySelectorAll('.info.legend');
-      legends.forEach(legend => {
-        legend.remove();
-      });
-      
-      // Get the map instance - mapRef.current might not have the _leaflet_id property
-      // for accessing the actual Leaflet map instance
-      const mapContainer = document.querySelector('.leaflet-container');
-      if (mapContainer && mapContainer._leaflet_id) {
-        const mapInstance = window.L && window.L.map && window.L.map._layers ? 
-                           window.L.map._layers[mapContainer._leaflet_id] : null;
-                           
-        // Fallback to using mapRef if we couldn't get the instance directly
-        const map = mapInstance || (mapRef.current && mapRef.current._map) || mapRef.current;
-        
-        if (map && map.eachLayer) {
-          // Remove any orphaned overlays that might remain
-          map.eachLayer(layer => {
-            // Check for neighborhood polygons
-            if (layer._path && 
-                (layer.options && layer.options.className === 'neighborhood-polygon' || 
-                 layer._path.classList && layer._path.classList.contains('neighborhood-polygon'))) {
-              map.removeLayer(layer);
-            }
-            
-            // Check for choropleth/census layers (GeoJSON layers often have these properties)
-            if (layer.feature && layer.feature.properties && layer.feature.properties.censusMetric) {
-              map.removeLayer(layer);
-            }
-            
-            // Check for any layer with a feature property (possibly a GeoJSON layer)
-            if (layer.feature && layer.options && layer.options.style && 
-                (layer.options.className === 'census-overlay' || 
-                 layer.options.censusLayer === true)) {
-              map.removeLayer(layer);
-            }
-          });
-        } else {
-          console.warn("Could not access map instance for layer cleanup");
-        }
-      } else {
-        console.warn("Could not find Leaflet container for cleanup");
-      }
-      
-      // Force a re-render of the map to ensure overlay is removed
-      const forceRedraw = document.querySelector('.leaflet-map-pane');
-      if (forceRedraw) {
-        forceRedraw.style.display = 'none';
-        setTimeout(() => {
-          forceRedraw.style.display = '';
-        }, 10);
-      }
+      document.querySelectorAll('.info.legend').forEach(legend => legend.remove());
     }
   }, [showCensusOverlay]);
   
@@ -1026,6 +717,7 @@ const HeatMap = ({ updateKeyInsights }) => {
             offenses: {},
             lat: incident.latitude,
             lng: incident.longitude,
+            censusTract: incident.censusTract,
             riskScore: 0
           };
         }
@@ -1042,25 +734,13 @@ const HeatMap = ({ updateKeyInsights }) => {
         return acc;
       }, {});
       
-      // Calculate risk scores with appropriate weights
-      const crimeWeights = {
-        'HOMICIDE': 10,
-        'ASSAULT W/DANGEROUS WEAPON': 8,
-        'SEX ABUSE': 8,
-        'ROBBERY': 7,
-        'BURGLARY': 5,
-        'MOTOR VEHICLE THEFT': 4,
-        'THEFT F/AUTO': 3,
-        'THEFT/OTHER': 2,
-        'ARSON': 6
-      };
-      
+      // Calculate risk scores with the taxonomy's severity weights
       Object.keys(scoresByLocation).forEach(location => {
         const locationData = scoresByLocation[location];
         let weightedScore = 0;
         
         Object.entries(locationData.offenses).forEach(([offense, count]) => {
-          const weight = crimeWeights[offense] || 1;
+          const weight = getSeverityWeight(offense, taxonomy);
           weightedScore += count * weight;
         });
         
@@ -1089,7 +769,7 @@ const HeatMap = ({ updateKeyInsights }) => {
     } catch (error) {
       console.error('Error calculating risk scores:', error);
     }
-  }, [displayData, updateKeyInsights]); // Use displayData as dependency
+  }, [displayData, taxonomy, updateKeyInsights]); // Recompute when the data or the weights change
   
   // Update visible markers when map bounds change
   useEffect(() => {
@@ -1117,34 +797,86 @@ const HeatMap = ({ updateKeyInsights }) => {
   // Check if there's any heat map data
   const hasHeatMapData = heatMapData && heatMapData.length > 0;
   
-  // Helper function to get the most likely neighborhood for a location
-  const getLocationNeighborhood = (locationStr) => {
-    // Try to extract coordinates from location or incident data
-    let lat = 38.9072;  // Default to DC center coordinates
-    let lng = -77.0369;
-    
-    // Check if we can get coords from displayData (filtered data) first
-    for (const incident of displayData) {
-      if (incident && incident.block === locationStr && incident.latitude && incident.longitude) {
-        lat = incident.latitude;
-        lng = incident.longitude;
-        break;
-      }
-    }
-    
-    // Find the neighborhood
-    return getNeighborhoodName(lat, lng);
-  };
-  
   return (
     <div className="space-y-4">
-      <div className="flex flex-wrap justify-between items-center mb-4">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        {/* The date filter uses the analysis clock */}
+        <ClockBadge />
+
+        <label className="inline-flex items-center text-sm text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showGunLayer}
+            onChange={() => setShowGunLayer(!showGunLayer)}
+            className="rounded text-red-600 focus:ring-red-500 h-4 w-4 mr-2"
+          />
+          Highlight gun incidents
+          <span className="ml-1 text-xs text-gray-500">({gunIncidents.length.toLocaleString()})</span>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <label className="inline-flex items-center text-gray-700">
+          Crime by area
+          <select
+            value={areaLayer}
+            onChange={e => setAreaLayer(e.target.value)}
+            className="ml-2 text-sm rounded-md border-gray-300 py-1 pl-2 pr-8"
+          >
+            <option value="">Off</option>
+            {Object.entries(AREA_LAYERS).map(([field, { label }]) => (
+              <option key={field} value={field}>{label}</option>
+            ))}
+          </select>
+        </label>
+        {areaLayer && (
+          <CrimeMeasureToggle
+            unavailableReason={hasAreaPopulations
+              ? null
+              : `Rate unavailable: population by ${AREA_LAYERS[areaLayer].singular} needs the tract-level census tables and the tract crosswalk (see the README)`}
+          />
+        )}
+        {areaLayer && crimeMeasure === 'rate' && !hasAreaPopulations && (
+          <span className="text-xs text-amber-700">
+            Rate unavailable for {AREA_LAYERS[areaLayer].label.toLowerCase()}: no population estimates, showing counts
+          </span>
+        )}
       </div>
 
+      <AreaControls activeTool={drawTool} onToolChange={setDrawTool} onFocusArea={setFocusedArea} />
+
       {/* Census Controls - Always show the toggle, we no longer need the hideDemographics prop */}
       {census && <CensusControls />}
 
-      <div className="rounded-lg overflow-hidden" style={{ height: '500px' }}>
+      <div className="relative rounded-lg overflow-hidden" style={{ height: '500px' }}>
+        {!isLoading && hasData && hasHeatMapData && (
+          <div className="absolute top-3 right-3 z-[1000]">
+            <LocationSearch index={locationIndex} onSelect={setSearchedLocation} />
+          </div>
+        )}
+
+        {!isLoading && hasData && hasHeatMapData && areaLayer && areaBreaks.length > 0 && (
+          <div className="absolute bottom-6 left-3 z-[1000] bg-white/95 rounded-md shadow-md px-3 py-2 text-xs">
+            <p className="font-medium text-gray-700 mb-1">
+              {areaMeasure === 'rate' ? 'Incidents per 1,000 residents' : 'Incidents'} by {AREA_LAYERS[areaLayer].singular}
+            </p>
+            {areaBreaks.map((upper, i) => (
+              <div key={i} className="flex items-center mt-0.5">
+                <span className="inline-block w-3 h-3 mr-2 rounded-sm" style={{ backgroundColor: AREA_CLASS_COLORS[i] }}></span>
+                <span className="text-gray-600">
+                  {i === 0 ? 'up to' : `${formatMeasureValue(areaBreaks[i - 1], areaMeasure)} –`} {formatMeasureValue(upper, areaMeasure)}
+                </span>
+              </div>
+            ))}
+            {areas.some(area => area.measureValue === null) && (
+              <div className="flex items-center mt-0.5">
+                <span className="inline-block w-3 h-3 mr-2 rounded-sm bg-gray-400"></span>
+                <span className="text-gray-600">No population estimate</span>
+              </div>
+            )}
+          </div>
+        )}
+
         {isLoading ? (
           <div className="h-full flex items-center justify-center bg-gray-100">
             <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
@@ -1152,9 +884,10 @@ const HeatMap = ({ updateKeyInsights }) => {
         ) : !hasData || !hasHeatMapData ? (
           <EmptyState />
         ) : (
+          // Opens at the view in the URL, e.g. from a shared link
           <MapContainer
-            center={[38.8977, -77.0365]}
-            zoom={12}
+            center={readUrlState().mapView?.center || DEFAULT_MAP_CENTER}
+            zoom={readUrlState().mapView?.zoom ?? DEFAULT_MAP_ZOOM}
             style={{ height: '100%', width: '100%' }}
             ref={mapRef}
             whenCreated={(mapInstance) => {
@@ -1190,54 +923,59 @@ const HeatMap = ({ updateKeyInsights }) => {
               <CensusOverlay
                 selectedMetric={selectedCensusMetric}
                 censusData={census}
+                correlation={censusCorrelations?.[crimeMeasure]?.metrics?.[selectedCensusMetric]}
+                measure={crimeMeasure}
               />
             )}
             
+            {showGunLayer && <GunIncidentLayer incidents={gunIncidents} taxonomy={taxonomy} />}
+
+            {areaLayer && <AreaMeasureLayer areas={areas} breaks={areaBreaks} layer={areaLayer} />}
+
+            {filters.area && <AreaOutline area={filters.area} />}
+            <FocusArea area={focusedArea} />
+            <FlyToLocation location={searchedLocation} />
+            {searchedLocation && (
+              <Popup
+                key={searchedLocation.id}
+                position={searchedLocation.center}
+                onClose={closeSearchedLocation}
+                autoPan={false}
+              >
+                <LocationSummary
+                  location={searchedLocation}
+                  incidents={displayData}
+                  locationScores={locationScores}
+                  clock={analysisClock}
+                  taxonomy={taxonomy}
+                  isFiltered={(filters[LOCATION_TYPES[searchedLocation.type].filterKey] || []).join() === String(searchedLocation.value)}
+                  onFilter={() => setFilterValues(LOCATION_TYPES[searchedLocation.type].filterKey, [searchedLocation.value])}
+                  onClearFilter={() => setFilterValues(LOCATION_TYPES[searchedLocation.type].filterKey, [])}
+                />
+              </Popup>
+            )}
+            {drawTool && <AreaDrawLayer tool={drawTool} onComplete={handleAreaDrawn} onCancel={cancelDrawing} />}
+
             {visibleMarkers.map((incident, index) => 
               incident && incident.latitude && incident.longitude ? (
                 <Marker
                   key={`${incident.ccn || index}-${index}`}
                   position={[incident.latitude, incident.longitude]}
-                  icon={crimeIcon(incident.offense)}
+                  icon={crimeIcon(incident.offense, taxonomy)}
                 >
                   <Popup>
                     <div className="max-w-xs">
-                      <h3 className="font-semibold text-gray-800">{incident.offense || 'Unknown'}</h3>
+                      <h3 className="font-semibold text-gray-800">{getDisplayName(incident.offense, taxonomy)}</h3>
                       <p className="text-sm text-gray-600">
                         {incident.block || 'Unknown location'}<br />
-                        {incident.reportDate ? 
-                          `${incident.reportDate.toLocaleDateString()} ${incident.reportDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : 
-                          'Unknown date'
-                        }
+                        {incident.reportDate ? formatLocalDateTime(incident.reportDate) : 'Unknown date'}
                       </p>
                       <p className="text-xs text-gray-500 mt-1">
                         Method: {incident.method || 'Unknown'}
                       </p>
                       
-                      {/* Add census context data to popup */}
-                      {census && (
-                        <div className="mt-2 pt-2 border-t border-gray-200">
-                          <p className="text-xs font-medium text-gray-700">
-                            Demographic Context: 
-                            <span className="ml-1 text-blue-600">
-                              {getNeighborhoodName(incident.latitude, incident.longitude)}
-                            </span>
-                          </p>
-                          <div className="grid grid-cols-2 gap-x-2 text-xs mt-1">
-                            <span className="text-gray-600">Education:</span>
-                            <span>{getNeighborhoodMetric(incident.latitude, incident.longitude, 'education')}%</span>
-                            
-                            <span className="text-gray-600">Poverty:</span>
-                            <span>{getNeighborhoodMetric(incident.latitude, incident.longitude, 'poverty')}%</span>
-                            
-                            <span className="text-gray-600">Housing:</span>
-                            <span>${getNeighborhoodMetric(incident.latitude, incident.longitude, 'housing', true)}</span>
-                            
-                            <span className="text-gray-600">Income:</span>
-                            <span>${getNeighborhoodMetric(incident.latitude, incident.longitude, 'income', true)}</span>
-                          </div>
-                        </div>
-                      )}
+                      {/* Census context of the incident's tract */}
+                      {census && <TractContext tract={getDataByTract(census, incident.censusTract)} />}
                     </div>
                   </Popup>
                 </Marker>
@@ -1245,6 +983,7 @@ const HeatMap = ({ updateKeyInsights }) => {
             )}
             
             <MapEventHandler onBoundsChange={handleBoundsChange} />
+            <MapViewSync />
           </MapContainer>
         )}
       </div>
@@ -1265,15 +1004,11 @@ const HeatMap = ({ updateKeyInsights }) => {
                   .sort(([, a], [, b]) => b.riskScore - a.riskScore)
                   .slice(0, 5)
                   .map(([location, data], index) => {
-                    // Get actual metrics for this location
-                    const neighborhood = getLocationNeighborhood(location);
-                    const incomeValue = getNeighborhoodMetric(data.lat, data.lng, 'income', true);
-                    const povertyValue = getNeighborhoodMetric(data.lat, data.lng, 'poverty');
-                    const educationValue = getNeighborhoodMetric(data.lat, data.lng, 'education');
-                    
-                    // Determine correlation level based on actual metrics for this location
-                    const incomeClass = getIndicatorClass('income', incomeValue, data.riskScore);
-                    const povertyClass = getIndicatorClass('poverty', povertyValue, data.riskScore);
+                    // Census values of the block's tract, compared with the District's
+                    const tract = census ? getDataByTract(census, data.censusTract) : null;
+                    const district = census?.derivedMetrics;
+                    const incomeClass = getPatternClass(tract?.income, district?.medianIncome, true);
+                    const povertyClass = getPatternClass(tract?.poverty, district?.povertyPercentage, false);
                     
                     return (
                       <div 
@@ -1303,26 +1038,30 @@ const HeatMap = ({ updateKeyInsights }) => {
                             
                             {/* Enhanced demographic context */}
                             <div className="mt-2 pt-1 border-t border-gray-100">
-                              <div className="text-xs text-gray-500 mb-1">Area demographics:</div>
-                              <div className="grid grid-cols-2 gap-1 text-xs">
-                                <div className="flex items-center">
-                                  <span className={`inline-block w-2 h-2 rounded-full mr-1 ${incomeClass}`}></span>
-                                  <span>Income:</span>
-                                </div>
-                                <span className="font-medium">${incomeValue.toLocaleString()}</span>
-                                
-                                <div className="flex items-center">
-                                  <span className={`inline-block w-2 h-2 rounded-full mr-1 ${povertyClass}`}></span>
-                                  <span>Poverty:</span>
-                                </div>
-                                <span className="font-medium">{povertyValue}%</span>
-                                
-                                <div className="flex items-center col-span-2 mt-1">
-                                  <span className="text-[10px] text-gray-500 leading-tight">
-                                    {neighborhood}, {educationValue}% higher education
-                                  </span>
+                              <div className="text-xs text-gray-500 mb-1">Tract demographics:</div>
+                              {tract ? (
+                                <div className="grid grid-cols-2 gap-1 text-xs">
+                                  <div className="flex items-center">
+                                    <span className={`inline-block w-2 h-2 rounded-full mr-1 ${incomeClass}`}></span>
+                                    <span>Income:</span>
+                                  </div>
+                                  <span className="font-medium">{formatCensusMetric(tract.income, 'income')}</span>
+                                  
+                                  <div className="flex items-center">
+                                    <span className={`inline-block w-2 h-2 rounded-full mr-1 ${povertyClass}`}></span>
+                                    <span>Poverty:</span>
+                                  </div>
+                                  <span className="font-medium">{formatCensusMetric(tract.poverty, 'poverty')}</span>
+                                  
+                                  <div className="flex items-center col-span-2 mt-1">
+                                    <span className="text-[10px] text-gray-500 leading-tight">
+                                      {tract.name}, {formatCensusMetric(tract.education, 'education')} higher education
+                                    </span>
+                                  </div>
                                 </div>
-                              </div>
+                              ) : (
+                                <div className="text-[10px] text-gray-400">No census tract data</div>
+                              )}
                             </div>
                           </div>
                         </div>
@@ -1331,17 +1070,19 @@ const HeatMap = ({ updateKeyInsights }) => {
                   })}
               </div>
               <p className="text-sm text-gray-600 mt-4">
-                Crime types are assigned different risk weights (based on severity), ranging from 10× (homicide) to 1× for general theft. 
-                These weights are used in risk calculations for specific high-crime areas.
+                Crime types are assigned different risk weights (based on severity){weightRange.highest && (
+                  <>, ranging from {weightRange.highest.weight}× ({weightRange.highest.displayName}) to {weightRange.lowest.weight}× ({weightRange.lowest.displayName})</>
+                )}.
+                These weights come from the crime taxonomy and are used in risk calculations for specific high-crime areas.
               </p>
               <div className="mt-1 text-xs text-gray-500 flex flex-wrap gap-2">
                 <div className="flex items-center">
                   <span className="inline-block w-2 h-2 rounded-full bg-red-500 mr-1"></span>
-                  <span>Unusual pattern (high income or low poverty in high-risk area)</span>
+                  <span>Unusual pattern (tract income above or poverty below the District's in a high-risk area)</span>
                 </div>
                 <div className="flex items-center">
                   <span className="inline-block w-2 h-2 rounded-full bg-green-500 mr-1"></span>
-                  <span>Expected pattern (low income or high poverty in high-risk area)</span>
+                  <span>Expected pattern (tract income below or poverty above the District's in a high-risk area)</span>
                 </div>
               </div>
             </div>
@@ -1352,70 +1093,4 @@ const HeatMap = ({ updateKeyInsights }) => {
   );
 };
 
-// Helper function to get correlation color
-const getCorrelationColor = (metric, neighborhood) => {
-  // Find the neighborhood's metrics
-  const neighborhoods = [
-    { name: 'Northwest DC', income: 0.85, poverty: 0.2 },
-    { name: 'Northeast DC', income: 0.6, poverty: 0.4 },
-    { name: 'Southeast DC', income: 0.3, poverty: 0.7 },
-    { name: 'Southwest DC', income: 0.7, poverty: 0.3 },
-    { name: 'Downtown DC', income: 0.9, poverty: 0.15 }
-  ];
-  
-  const hood = neighborhoods.find(h => h.name === neighborhood) || neighborhoods[0];
-  
-  // For income, higher values mean lower crime (negative correlation)
-  if (metric === 'income') {
-    const value = hood.income;
-    if (value > 0.75) return '#10b981'; // Strong negative (green) - less crime in high income areas
-    if (value > 0.5) return '#34d399';  // Moderate negative
-    if (value > 0.25) return '#9ca3af'; // Neutral/no correlation
-    return '#ef4444';                   // Strong positive correlation (red) - more crime in low income areas
-  }
-  
-  // For poverty, higher values mean higher crime (positive correlation)
-  if (metric === 'poverty') {
-    const value = hood.poverty;
-    if (value > 0.6) return '#ef4444';  // Strong positive (red) - more crime in high poverty areas
-    if (value > 0.4) return '#f87171';  // Moderate positive
-    if (value > 0.2) return '#9ca3af';  // Neutral/no correlation
-    return '#10b981';                   // Strong negative (green) - less crime in low poverty areas
-  }
-  
-  return '#9ca3af'; // Gray default for no correlation
-};
-
-// Helper function to get tooltip text for correlation
-const getCorrelationTooltip = (metric, neighborhood) => {
-  // Find the neighborhood's metrics
-  const neighborhoods = [
-    { name: 'Northwest DC', income: 0.85, poverty: 0.2 },
-    { name: 'Northeast DC', income: 0.6, poverty: 0.4 },
-    { name: 'Southeast DC', income: 0.3, poverty: 0.7 },
-    { name: 'Southwest DC', income: 0.7, poverty: 0.3 },
-    { name: 'Downtown DC', income: 0.9, poverty: 0.15 }
-  ];
-  
-  const hood = neighborhoods.find(h => h.name === neighborhood) || neighborhoods[0];
-  
-  if (metric === 'income') {
-    const value = hood.income;
-    if (value > 0.75) return 'Strong negative correlation - High income areas tend to have less crime';
-    if (value > 0.5) return 'Moderate negative correlation - Higher income areas tend to have less crime';
-    if (value > 0.25) return 'No significant correlation between income and crime in this area';
-    return 'Strong positive correlation - Lower income areas tend to have more crime';
-  }
-  
-  if (metric === 'poverty') {
-    const value = hood.poverty;
-    if (value > 0.6) return 'Strong positive correlation - High poverty areas tend to have more crime';
-    if (value > 0.4) return 'Moderate positive correlation - Higher poverty areas tend to have more crime';
-    if (value > 0.2) return 'No significant correlation between poverty and crime in this area';
-    return 'Strong negative correlation - Lower poverty areas tend to have less crime';
-  }
-  
-  return 'No significant correlation';
-};
-
 export default HeatMap; 
\ No newline at end of file
@@ -0,0 +1,277 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useCrimeData } from '../utils/CrimeDataContext';
+import { INCIDENT_FIELDS } from '../utils/dataProcessing';
+import {
+  detectFileFormat,
+  readFileHeaders,
+  loadSavedMappings,
+  saveMapping,
+  deleteMapping,
+  findSavedMapping,
+  guessColumnMap
+} from '../utils/incidentImport';
+
+// Default source name for a file, e.g. "partner_extract_2024.csv" -> "partner_extract_2024"
+const getDefaultSourceName = (file) => file.name.replace(/\.[^.]+$/, '');
+
+const IncidentImport = () => {
+  const { importIncidentFile, isLoading } = useCrimeData();
+
+  const [isDragging, setIsDragging] = useState(false);
+  const [pendingFile, setPendingFile] = useState(null); // { file, format, headers }
+  const [columnMap, setColumnMap] = useState({});
+  const [sourceName, setSourceName] = useState('');
+  const [rememberMapping, setRememberMapping] = useState(true);
+  const [savedMappings, setSavedMappings] = useState(loadSavedMappings);
+  const [importError, setImportError] = useState(null);
+  const fileInputRef = useRef(null);
+  const dragDepth = useRef(0);
+
+  // Read the dropped file's columns and pre-fill the mapping
+  const openFile = async (file) => {
+    setImportError(null);
+    const format = detectFileFormat(file);
+
+    if (!format) {
+      setImportError(`${file.name} is not a CSV or GeoJSON file`);
+      return;
+    }
+
+    try {
+      const headers = await readFileHeaders(file, format);
+      const saved = findSavedMapping(headers, savedMappings);
+
+      setPendingFile({ file, format, headers });
+      setColumnMap(saved ? { ...guessColumnMap(headers), ...saved.columnMap } : guessColumnMap(headers));
+      setSourceName(saved ? saved.sourceName : getDefaultSourceName(file));
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      setImportError(`Could not read ${file.name}: ${error.message}`);
+    }
+  };
+
+  // Accept files dropped anywhere on the page
+  useEffect(() => {
+    const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+    const handleDragEnter = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth.current++;
+      setIsDragging(true);
+    };
+
+    const handleDragOver = (event) => {
+      if (hasFiles(event)) event.preventDefault();
+    };
+
+    const handleDragLeave = (event) => {
+      if (!hasFiles(event)) return;
+      dragDepth.current = Math.max(0, dragDepth.current - 1);
+      if (dragDepth.current === 0) setIsDragging(false);
+    };
+
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      dragDepth.current = 0;
+      setIsDragging(false);
+
+      const file = event.dataTransfer.files[0];
+      if (file) openFile(file);
+    };
+
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, [savedMappings]);
+
+  const applySavedMapping = (name) => {
+    const saved = savedMappings[name];
+    if (!saved) return;
+
+    // Only keep columns that exist in this file
+    const available = new Set(pendingFile.headers);
+    const mapped = Object.fromEntries(
+      Object.entries(saved.columnMap).map(([field, column]) => [field, available.has(column) ? column : ''])
+    );
+    setColumnMap(mapped);
+    setSourceName(name);
+  };
+
+  const removeSavedMapping = (name) => {
+    setSavedMappings(deleteMapping(name));
+  };
+
+  const closeMapping = () => {
+    setPendingFile(null);
+    setColumnMap({});
+    if (fileInputRef.current) fileInputRef.current.value = '';
+  };
+
+  const missingRequired = INCIDENT_FIELDS.filter(({ field, required }) => required && !columnMap[field]);
+
+  const runImport = async () => {
+    const { file, format, headers } = pendingFile;
+
+    if (rememberMapping && sourceName.trim()) {
+      setSavedMappings(saveMapping(sourceName.trim(), headers, columnMap));
+    }
+
+    closeMapping();
+    await importIncidentFile(file, format, columnMap);
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        disabled={isLoading}
+        className="bg-slate-800/70 px-4 py-2 rounded-lg inline-flex items-center text-gray-100 hover:bg-slate-700/80"
+        title="Import a CSV or GeoJSON incident file (or drop it anywhere on the page)"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-amber-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+        </svg>
+        Import File
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".csv,.geojson,.json"
+        className="hidden"
+        onChange={(e) => e.target.files[0] && openFile(e.target.files[0])}
+      />
+
+      {importError && (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 transform z-50 bg-red-50 border border-red-200 text-red-700 text-sm rounded-lg shadow px-4 py-2 flex items-center">
+          <span>{importError}</span>
+          <button onClick={() => setImportError(null)} className="ml-3 text-red-400 hover:text-red-600">✕</button>
+        </div>
+      )}
+
+      {/* Drop target shown while a file is dragged over the page */}
+      {isDragging && (
+        <div className="fixed inset-0 z-50 bg-blue-900/40 flex items-center justify-center pointer-events-none">
+          <div className="bg-white rounded-xl border-2 border-dashed border-blue-400 px-10 py-8 text-center shadow-lg">
+            <p className="text-lg font-semibold text-gray-800">Drop incident file to import</p>
+            <p className="text-sm text-gray-500 mt-1">CSV or GeoJSON</p>
+          </div>
+        </div>
+      )}
+
+      {/* Column mapping step */}
+      {pendingFile && (
+        <div className="fixed inset-0 z-50 bg-black bg-opacity-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-xl shadow-xl w-full max-w-2xl max-h-[90vh] flex flex-col text-left">
+            <div className="px-6 py-4 border-b border-gray-100">
+              <h3 className="text-lg font-semibold text-gray-800">Map Columns</h3>
+              <p className="text-sm text-gray-500">
+                {pendingFile.file.name} · {pendingFile.format.toUpperCase()} · {pendingFile.headers.length} columns
+              </p>
+            </div>
+
+            <div className="px-6 py-4 overflow-y-auto flex-1">
+              {Object.keys(savedMappings).length > 0 && (
+                <div className="mb-4">
+                  <label className="block text-xs font-medium text-gray-600 mb-1">Saved mappings</label>
+                  <div className="flex flex-wrap gap-2">
+                    {Object.keys(savedMappings).map(name => (
+                      <span key={name} className="inline-flex items-center bg-gray-100 rounded-full text-xs">
+                        <button
+                          onClick={() => applySavedMapping(name)}
+                          className={`px-3 py-1 rounded-l-full ${name === sourceName ? 'bg-blue-100 text-blue-700' : 'text-gray-700 hover:bg-gray-200'}`}
+                        >
+                          {name}
+                        </button>
+                        <button
+                          onClick={() => removeSavedMapping(name)}
+                          className="px-2 py-1 text-gray-400 hover:text-red-500"
+                          title="Delete saved mapping"
+                        >
+                          ✕
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+                {INCIDENT_FIELDS.map(({ field, label, required }) => (
+                  <div key={field} className="flex items-center justify-between">
+                    <label className="text-sm text-gray-700 mr-2">
+                      {label}
+                      {required && <span className="text-red-500 ml-0.5">*</span>}
+                    </label>
+                    <select
+                      value={columnMap[field] || ''}
+                      onChange={(e) => setColumnMap(prev => ({ ...prev, [field]: e.target.value }))}
+                      className={`w-40 text-xs border rounded px-2 py-1 ${
+                        required && !columnMap[field] ? 'border-red-300 bg-red-50' : 'border-gray-300'
+                      }`}
+                    >
+                      <option value="">— not mapped —</option>
+                      {pendingFile.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            <div className="px-6 py-4 border-t border-gray-100 space-y-3">
+              <div className="flex items-center">
+                <input
+                  id="remember-mapping"
+                  type="checkbox"
+                  checked={rememberMapping}
+                  onChange={(e) => setRememberMapping(e.target.checked)}
+                  className="mr-2"
+                />
+                <label htmlFor="remember-mapping" className="text-sm text-gray-700 mr-2">Save mapping as</label>
+                <input
+                  type="text"
+                  value={sourceName}
+                  onChange={(e) => setSourceName(e.target.value)}
+                  disabled={!rememberMapping}
+                  className="flex-1 text-sm border border-gray-300 rounded px-2 py-1 disabled:bg-gray-50"
+                  placeholder="Source name"
+                />
+              </div>
+
+              <div className="flex items-center justify-between">
+                <span className="text-xs text-red-500">
+                  {missingRequired.length > 0 && `Map required fields: ${missingRequired.map(f => f.label).join(', ')}`}
+                </span>
+                <div className="space-x-2">
+                  <button onClick={closeMapping} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800">
+                    Cancel
+                  </button>
+                  <button
+                    onClick={runImport}
+                    disabled={missingRequired.length > 0}
+                    className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300"
+                  >
+                    Import
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default IncidentImport;
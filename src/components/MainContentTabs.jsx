@@ -1,16 +1,28 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import HeatMap from './HeatMap';
 import TemporalAnalysis from './TemporalAnalysis';
 import NeighborhoodAnalysis from './NeighborhoodAnalysis';
+import WeaponAnalysis from './WeaponAnalysis';
+import DataQualityReport from './DataQualityReport';
+import { readUrlState, writeUrlState, onUrlStateChange } from '../utils/urlState';
 
 const MainContentTabs = ({ updateKeyInsights, updateAreaAnalysis, updateTemporalPatterns }) => {
-  // If activeTab was previously set to 'crimeTypes', default to 'heatMap' instead
-  const [activeTab, setActiveTab] = useState('heatMap');
+  // The active tab is part of the URL, so links and back/forward keep it
+  const [activeTab, setActiveTab] = useState(() => readUrlState().activeTab);
+
+  useEffect(() => onUrlStateChange(urlState => setActiveTab(urlState.activeTab)), []);
+
+  const selectTab = (tabId) => {
+    setActiveTab(tabId);
+    writeUrlState({ activeTab: tabId });
+  };
 
   const tabs = [
     { id: 'heatMap', label: 'Heat', icon: <MapIcon className="w-4 h-4" />, dotColor: 'bg-green-600' },
     { id: 'temporal', label: 'Temporal Analysis', icon: <ClockIcon className="w-4 h-4" />, dotColor: 'bg-purple-600' },
-    { id: 'neighborhood', label: 'Area & Crime Analysis', icon: <BuildingIcon className="w-4 h-4" />, dotColor: 'bg-orange-600' }
+    { id: 'neighborhood', label: 'Area & Crime Analysis', icon: <BuildingIcon className="w-4 h-4" />, dotColor: 'bg-orange-600' },
+    { id: 'weapons', label: 'Weapons', icon: <TargetIcon className="w-4 h-4" />, dotColor: 'bg-red-700' },
+    { id: 'dataQuality', label: 'Data Quality', icon: <CheckIcon className="w-4 h-4" />, dotColor: 'bg-red-600' }
   ];
 
   // Get the appropriate tab content based on active tab
@@ -34,6 +46,18 @@ const MainContentTabs = ({ updateKeyInsights, updateAreaAnalysis, updateTemporal
             <NeighborhoodAnalysis updateAreaAnalysis={updateAreaAnalysis} />
           </div>
         );
+      case 'weapons':
+        return (
+          <div className="bg-white p-4 rounded-lg">
+            <WeaponAnalysis />
+          </div>
+        );
+      case 'dataQuality':
+        return (
+          <div className="bg-white p-4 rounded-lg">
+            <DataQualityReport />
+          </div>
+        );
       default:
         return <div>Select a tab to view content</div>;
     }
@@ -47,7 +71,7 @@ const MainContentTabs = ({ updateKeyInsights, updateAreaAnalysis, updateTemporal
           {tabs.map((tab) => (
             <button
               key={tab.id}
-              onClick={() => setActiveTab(tab.id)}
+              onClick={() => selectTab(tab.id)}
               className={`
                 flex items-center px-6 py-2 text-sm font-medium whitespace-nowrap
                 transition-all duration-200 ease-in-out relative
@@ -101,4 +125,18 @@ const BuildingIcon = ({ className }) => (
   </svg>
 );
 
+const TargetIcon = ({ className }) => (
+  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth={2} className={className}>
+    <circle cx="12" cy="12" r="8" />
+    <circle cx="12" cy="12" r="3" />
+    <path strokeLinecap="round" d="M12 2v4M12 18v4M2 12h4M18 12h4" />
+  </svg>
+);
+
+const CheckIcon = ({ className }) => (
+  <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor" className={className}>
+    <path fillRule="evenodd" d="M8.603 3.799A4.49 4.49 0 0112 2.25c1.357 0 2.573.6 3.397 1.549a4.49 4.49 0 013.498 1.307 4.491 4.491 0 011.307 3.497A4.49 4.49 0 0121.75 12a4.49 4.49 0 01-1.549 3.397 4.491 4.491 0 01-1.307 3.497 4.491 4.491 0 01-3.497 1.307A4.49 4.49 0 0112 21.75a4.49 4.49 0 01-3.397-1.549 4.49 4.49 0 01-3.498-1.306 4.491 4.491 0 01-1.307-3.498A4.49 4.49 0 012.25 12c0-1.357.6-2.573 1.549-3.397a4.49 4.49 0 011.307-3.497 4.49 4.49 0 013.497-1.307zm7.007 6.387a.75.75 0 10-1.22-.872l-3.236 4.53L9.53 12.22a.75.75 0 00-1.06 1.06l2.25 2.25a.75.75 0 001.14-.094l3.75-5.25z" clipRule="evenodd" />
+  </svg>
+);
+
 export default MainContentTabs;
\ No newline at end of file
@@ -6,22 +6,23 @@ import {
 import ChartCard from './shared/ChartCard';
 import { useCrimeData } from '../utils/CrimeDataContext';
 import CrimeTypeChart from './CrimeTypeChart';
-
-// Crime type colors - matching the theme from CrimeTypeChart
-const CRIME_COLORS = {
-  'HOMICIDE': '#E53935',           // Red
-  'ASSAULT W/DANGEROUS WEAPON': '#D81B60', // Pink
-  'ROBBERY': '#8E24AA',           // Purple
-  'BURGLARY': '#3949AB',          // Indigo
-  'MOTOR VEHICLE THEFT': '#1E88E5', // Blue
-  'THEFT F/AUTO': '#00ACC1',       // Cyan
-  'THEFT/OTHER': '#43A047',        // Green
-  'default': '#757575'             // Grey
-};
-
-const CustomTooltip = ({ active, payload, label }) => {
+import ClockBadge from './shared/ClockBadge';
+import CrimeMeasureToggle from './shared/CrimeMeasureToggle';
+import { queryIncidents } from '../utils/queryEngine';
+import { getTaxonomyOffenses, getOffenseColor, getDisplayName, isPropertyOffense } from '../utils/crimeTaxonomy';
+import { getRate, getRateMoe, formatMeasureValue, formatMeasure, formatRate } from '../utils/crimeMeasure';
+import { getInterval, getReliability } from '../utils/marginOfError';
+import ReliabilityFlag from './shared/ReliabilityFlag';
+import { getCensusMetric } from '../utils/censusMetrics';
+
+// Values are counts or rates per 1,000 residents depending on measure
+const CustomTooltip = ({ active, payload, label, measure }) => {
   if (active && payload && payload.length) {
     const total = payload.reduce((sum, entry) => sum + entry.value, 0);
+    const { incidents, population, populationMoe } = payload[0].payload;
+    const rateInterval = population
+      ? getInterval(getRate(incidents, population), getRateMoe(incidents, population, populationMoe))
+      : null;
     
     return (
       <div className="bg-white p-3 border border-gray-200 shadow-lg rounded">
@@ -30,15 +31,15 @@ const CustomTooltip = ({ active, payload, label }) => {
           <p 
             key={index} 
             className="text-sm flex items-center py-1"
-            style={{ color: CRIME_COLORS[entry.name] || CRIME_COLORS.default }}
+            style={{ color: entry.color }}
           >
             <span 
               className="inline-block w-3 h-3 rounded-full mr-2"
-              style={{ backgroundColor: CRIME_COLORS[entry.name] || CRIME_COLORS.default }}
+              style={{ backgroundColor: entry.color }}
             />
             <span className="flex-1">
               {entry.name}:{' '}
-              <span className="font-medium">{entry.value}</span>
+              <span className="font-medium">{formatMeasureValue(entry.value, measure)}</span>
               <span className="text-gray-500 ml-1">
                 ({((entry.value / total) * 100).toFixed(1)}%)
               </span>
@@ -47,8 +48,20 @@ const CustomTooltip = ({ active, payload, label }) => {
         ))}
         <div className="mt-2 pt-2 border-t border-gray-200">
           <p className="text-sm font-medium text-gray-800">
-            Total Incidents: {total}
+            Total Incidents: {incidents.toLocaleString()}
           </p>
+          {population && (
+            <p className="text-xs text-gray-600">
+              {formatMeasure(getRate(incidents, population), 'rate')} (about {Math.round(population).toLocaleString()}
+              {populationMoe ? ` ± ${Math.round(populationMoe).toLocaleString()}` : ''} residents)
+            </p>
+          )}
+          {rateInterval && populationMoe > 0 && (
+            <p className="text-xs text-gray-500">
+              Rate 90% CI {formatRate(rateInterval[0])}–{formatRate(rateInterval[1])}
+              <ReliabilityFlag reliability={getReliability(population, populationMoe)} />
+            </p>
+          )}
         </div>
       </div>
     );
@@ -73,9 +86,29 @@ const EmptyState = () => (
 );
 
 const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
-  const { isLoading, error, rawData, filters, showCensusOverlay, selectedCensusMetric, census } = useCrimeData();
+  const {
+    isLoading,
+    error,
+    rawData,
+    filters,
+    analysisClock,
+    showCensusOverlay,
+    selectedCensusMetric,
+    census,
+    populations,
+    crimeMeasure,
+    taxonomy
+  } = useCrimeData();
   const [selectedView, setSelectedView] = useState('neighborhood'); // 'neighborhood' or 'crimeTypes'
 
+  // Clusters are ranked by incidents per 1,000 residents when the rate measure is chosen and
+  // cluster populations exist (they need the tract-level census tables and the tract crosswalk)
+  const clusterPopulations = populations?.neighborhood;
+  const hasClusterPopulations = Boolean(clusterPopulations && Object.keys(clusterPopulations).length > 0);
+  const measure = crimeMeasure === 'rate' && hasClusterPopulations ? 'rate' : 'count';
+
+  const censusMetric = getCensusMetric(selectedCensusMetric);
+
   const { neighborhoodData, insights, activeCrimeTypes, analysisData } = useMemo(() => {
     if (!rawData || rawData.length === 0) {
       return { neighborhoodData: [], insights: null, activeCrimeTypes: [], analysisData: null };
@@ -85,33 +118,10 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
       // Determine active crime types
       const activeCrimeTypes = filters.crimeTypes.length > 0 
         ? filters.crimeTypes 
-        : Object.keys(CRIME_COLORS).filter(key => key !== 'default');
+        : getTaxonomyOffenses(taxonomy);
 
       // Filter data based on current filters
-      const filteredData = rawData.filter(incident => {
-        // Skip invalid incidents
-        if (!incident) return false;
-        
-        // Date range filter
-        if (filters.dateRange) {
-          const { start, end } = filters.dateRange;
-          if (!incident.reportDate || (start && incident.reportDate < start) || (end && incident.reportDate > end)) {
-            return false;
-          }
-        }
-
-        // Crime type filter
-        if (filters.crimeTypes.length > 0 && !filters.crimeTypes.includes(incident.offense)) {
-          return false;
-        }
-
-        // Shift filter
-        if (filters.shifts.length > 0 && !filters.shifts.includes(incident.shift)) {
-          return false;
-        }
-
-        return true;
-      });
+      const filteredData = queryIncidents(rawData, filters, analysisClock).incidents;
 
       // Get crime distribution by neighborhood
       const neighborhoodCrimes = filteredData.reduce((acc, incident) => {
@@ -137,7 +147,9 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
         return acc;
       }, {});
 
-      // Convert to array and sort by total crimes
+      // Convert to array and sort by total crimes (or crime rate). Each row keeps its incident
+      // count and population; with rates, the offense values and total are per 1,000 residents
+      // and clusters without a population estimate are left out.
       const neighborhoodData = Object.values(neighborhoodCrimes)
         .filter(item => {
           // Filter out unknown/empty neighborhoods and ensure it's a valid cluster
@@ -145,8 +157,20 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                  item.neighborhood.trim() !== '' && 
                  item.neighborhood.toLowerCase().includes('cluster');
         })
+        .map(item => ({
+          ...item,
+          incidents: item.total,
+          population: clusterPopulations?.[item.neighborhood] || null,
+          populationMoe: populations?.moe?.neighborhood?.[item.neighborhood] ?? null
+        }))
+        .filter(item => measure === 'count' || item.population)
+        .map(item => (measure === 'count' ? item : {
+          ...item,
+          ...Object.fromEntries(activeCrimeTypes.map(type => [type, getRate(item[type] || 0, item.population)])),
+          total: getRate(item.total, item.population)
+        }))
         .sort((a, b) => b.total - a.total)
-        .slice(0, 5); // Top 5 neighborhoods by total incidents
+        .slice(0, 5); // Top 5 neighborhoods by total incidents (or rate)
 
       if (neighborhoodData.length === 0) {
         return { neighborhoodData: [], insights: null, activeCrimeTypes: [], analysisData: null };
@@ -165,27 +189,26 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
 
       // Calculate additional insights
       const totalIncidents = filteredData.length || 1; // Avoid division by zero
-      const topAreasTotal = neighborhoodData.reduce((sum, n) => sum + n.total, 0);
+      const topAreasTotal = neighborhoodData.reduce((sum, n) => sum + n.incidents, 0);
       const topAreasPercentage = ((topAreasTotal / totalIncidents) * 100).toFixed(1);
 
-      // Calculate property crime percentage
-      const propertyCrimes = ['THEFT/OTHER', 'THEFT F/AUTO', 'BURGLARY', 'MOTOR VEHICLE THEFT'];
+      // Calculate property crime percentage (offenses flagged property in the taxonomy)
       const propertyCrimeCount = filteredData.filter(incident => 
-        incident && propertyCrimes.includes(incident.offense)
+        incident && isPropertyOffense(incident.offense, taxonomy)
       ).length;
       const propertyCrimePercentage = ((propertyCrimeCount / totalIncidents) * 100).toFixed(1);
 
       // Update area analysis insights
       const topCluster = neighborhoodData[0];
       if (topCluster) {
-        const topCrimeEntry = Object.entries(topCluster)
+        const topCrimeEntry = Object.entries(neighborhoodCrimes[topCluster.neighborhood])
           .filter(([key]) => activeCrimeTypes.includes(key))
           .sort((a, b) => b[1] - a[1])[0] || ['Unknown', 0];
 
         // Store the analysis data but don't call updateAreaAnalysis here
         const analysisData = {
           topCluster: topCluster.neighborhood || 'Unknown',
-          totalCrimes: topCluster.total || 0,
+          totalCrimes: topCluster.incidents || 0,
           topCrimeType: topCrimeEntry[0] || 'Unknown',
           topCrimeCount: topCrimeEntry[1] || 0,
           topClusters: neighborhoodData.map(n => n.neighborhood),
@@ -201,7 +224,7 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
       console.error('Error processing neighborhood data:', error);
       return { neighborhoodData: [], insights: null, activeCrimeTypes: [], analysisData: null };
     }
-  }, [rawData, filters]);
+  }, [rawData, filters, analysisClock, taxonomy, populations, clusterPopulations, measure]);
 
   // Move the updateAreaAnalysis call to useEffect
   useEffect(() => {
@@ -488,33 +511,10 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
     // Determine active crime types for filtering
     const activeCrimeTypes = filters.crimeTypes.length > 0 
       ? filters.crimeTypes 
-      : Object.keys(CRIME_COLORS).filter(key => key !== 'default');
+      : getTaxonomyOffenses(taxonomy);
 
     // Filter data based on current filters
-    const filteredData = rawData.filter(incident => {
-      // Skip invalid incidents
-      if (!incident) return false;
-      
-      // Date range filter
-      if (filters.dateRange) {
-        const { start, end } = filters.dateRange;
-        if (!incident.reportDate || (start && incident.reportDate < start) || (end && incident.reportDate > end)) {
-          return false;
-        }
-      }
-
-      // Crime type filter
-      if (filters.crimeTypes.length > 0 && !filters.crimeTypes.includes(incident.offense)) {
-        return false;
-      }
-
-      // Shift filter
-      if (filters.shifts.length > 0 && !filters.shifts.includes(incident.shift)) {
-        return false;
-      }
-
-      return true;
-    });
+    const filteredData = queryIncidents(rawData, filters, analysisClock).incidents;
     
     // Find top cluster and crime count - ensure we're using the filtered data
     const topCluster = neighborhoodData[0]; // Already sorted by total
@@ -533,24 +533,24 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
     // Calculate percentage from top 5 neighborhoods
     const top5Neighborhoods = [...neighborhoodData].slice(0, 5); // Already sorted by total
       
-    const top5Count = top5Neighborhoods.reduce((sum, n) => sum + n.total, 0);
+    const top5Count = top5Neighborhoods.reduce((sum, n) => sum + n.incidents, 0);
     const totalIncidents = filteredData.length;
     const top5Percentage = totalIncidents > 0 ? ((top5Count / totalIncidents) * 100).toFixed(1) : "0";
     
-    // Calculate property crime percentage
-    const propertyCrimeTypes = ['THEFT/OTHER', 'THEFT F/AUTO', 'BURGLARY', 'MOTOR VEHICLE THEFT'];
-    const propertyCrimeCount = filteredData.filter(i => i && propertyCrimeTypes.includes(i.offense)).length;
+    // Calculate property crime percentage (offenses flagged property in the taxonomy)
+    const propertyCrimeCount = filteredData.filter(i => i && isPropertyOffense(i.offense, taxonomy)).length;
     const propertyCrimePercentage = totalIncidents > 0 ? ((propertyCrimeCount / totalIncidents) * 100).toFixed(1) : "0";
     
     return {
       topClusterName: formatClusterName(topCluster.neighborhood),
       topClusterCount: topCluster.total || 0,
+      topClusterIncidents: topCluster.incidents || 0,
       topCrimeType: topCrimeEntry[0] || "Unknown",
       topCrimeCount: topCrimeEntry[1] || 0,
       top5Percentage,
       propertyCrimePercentage
     };
-  }, [neighborhoodData, analysisData, rawData, filters]);
+  }, [neighborhoodData, analysisData, rawData, filters, analysisClock, taxonomy]);
 
   // Ensure we update the parent component with insights
   useEffect(() => {
@@ -585,6 +585,18 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
             Crime Breakdown
           </button>
         </div>
+
+        <div className="flex flex-wrap items-center gap-3">
+          {selectedView === 'neighborhood' && (
+            <CrimeMeasureToggle
+              unavailableReason={hasClusterPopulations
+                ? null
+                : 'Rate unavailable: population by cluster needs the tract-level census tables and the tract crosswalk (see the README)'}
+            />
+          )}
+          {/* The date filter uses the analysis clock */}
+          <ClockBadge />
+        </div>
       </div>
 
       {/* Conditionally render either Neighborhood Analysis or Crime Types */}
@@ -642,9 +654,9 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                   <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" horizontal={false} />
                   <XAxis 
                     type="number"
-                    tickFormatter={(value) => value.toLocaleString()}
+                    tickFormatter={(value) => formatMeasureValue(value, measure)}
                     label={{ 
-                      value: 'Number of Incidents',
+                      value: measure === 'rate' ? 'Incidents per 1,000 Residents' : 'Number of Incidents',
                       position: 'bottom',
                       offset: 5,
                       style: { fill: '#666', fontWeight: 500, fontSize: 14 }
@@ -669,7 +681,7 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                     tickLine={false}
                   />
                   <Tooltip
-                    content={<CustomTooltip />}
+                    content={<CustomTooltip measure={measure} />}
                     cursor={{ fill: 'rgba(229, 231, 235, 0.4)' }}
                     wrapperStyle={{ zIndex: 1000 }}
                   />
@@ -691,8 +703,8 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                       key={crimeType}
                       dataKey={crimeType}
                       stackId="a"
-                      fill={CRIME_COLORS[crimeType] || CRIME_COLORS.default}
-                      name={crimeType}
+                      fill={getOffenseColor(crimeType, taxonomy)}
+                      name={getDisplayName(crimeType, taxonomy)}
                       barSize={38}
                       animationDuration={1000 + (index * 150)}
                       animationBegin={200 + (index * 100)}
@@ -715,7 +727,7 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                               dominantBaseline="middle"
                               style={{ fontSize: 11, fontWeight: 'bold', textShadow: '1px 1px 1px rgba(0,0,0,0.5)' }}
                             >
-                              {value > 100 ? value : ''}
+                              {measure === 'rate' ? formatMeasureValue(value, measure) : value > 100 ? value : ''}
                             </text>
                           );
                         }}
@@ -749,9 +761,9 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                     </span>
                     <span>
                       <span className="font-medium text-blue-800">{areaInsightsSummary.topClusterName}</span>
-                      {" has the highest crime rate with "}
-                      <span className="font-semibold text-blue-900">{areaInsightsSummary.topClusterCount.toLocaleString()}</span>
-                      {" incidents"}
+                      {measure === 'rate' ? ' has the highest crime rate with ' : ' has the most crime with '}
+                      <span className="font-semibold text-blue-900">{formatMeasure(areaInsightsSummary.topClusterCount, measure)}</span>
+                      {measure === 'rate' && ` (${areaInsightsSummary.topClusterIncidents.toLocaleString()} incidents)`}
                     </span>
                   </p>
                 </div>
@@ -781,21 +793,17 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                   Crime & Demographics Correlation
                 </h4>
                 <p className="text-xs text-gray-600 mb-2">
-                  This table shows the relationship between crime incidents and {selectedCensusMetric} levels across neighborhoods.
+                  This table shows the relationship between crime incidents and {censusMetric.label.toLowerCase()} levels across neighborhoods.
                   <span className="ml-1 text-blue-600 font-medium">🔍 Higher correlation values indicate stronger relationships.</span>
                 </p>
                 <table className="w-full bg-white table-fixed">
                   <thead className="bg-blue-100">
                     <tr>
                       <th className="py-2 px-4 text-left text-xs font-medium text-blue-800 uppercase tracking-wider w-1/5">District</th>
-                      <th className="py-2 px-4 text-left text-xs font-medium text-blue-800 uppercase tracking-wider w-1/5">Crime Count</th>
+                      <th className="py-2 px-4 text-left text-xs font-medium text-blue-800 uppercase tracking-wider w-1/5">{measure === 'rate' ? 'Per 1,000 Residents' : 'Crime Count'}</th>
                       <th className="py-2 px-4 text-left text-xs font-medium text-blue-800 uppercase tracking-wider w-1/5 flex items-center">
-                        {selectedCensusMetric === 'income' && <span className="inline-block mr-1 text-green-600">💰</span>}
-                        {selectedCensusMetric === 'education' && <span className="inline-block mr-1 text-indigo-600">🎓</span>}
-                        {selectedCensusMetric === 'poverty' && <span className="inline-block mr-1 text-red-600">📉</span>}
-                        {selectedCensusMetric === 'housing' && <span className="inline-block mr-1 text-blue-600">🏘️</span>}
-                        {selectedCensusMetric === 'race' && <span className="inline-block mr-1 text-purple-600">👪</span>}
-                        {selectedCensusMetric.charAt(0).toUpperCase() + selectedCensusMetric.slice(1)} Metric
+                        <span className="inline-block mr-1" style={{ color: censusMetric.color }}>{censusMetric.icon}</span>
+                        {censusMetric.label} Metric
                       </th>
                       <th className="py-2 px-4 text-left text-xs font-medium text-blue-800 uppercase tracking-wider w-2/5">Relationship</th>
                     </tr>
@@ -804,17 +812,17 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                     {neighborhoodData
                       .filter(n => {
                         // Filter out neighborhoods with no census data
-                        const censusValue = neighborhoodCensusData[n.neighborhood]?.[selectedCensusMetric];
+                        const censusValue = neighborhoodCensusData[n.neighborhood]?.[censusMetric.field];
                         return censusValue !== null && censusValue !== undefined && censusValue !== 'N/A';
                       })
                       .map((n, index) => {
-                        const censusValue = neighborhoodCensusData[n.neighborhood]?.[selectedCensusMetric];
-                        const formattedValue = formatCensusValue(censusValue, selectedCensusMetric);
+                        const censusValue = neighborhoodCensusData[n.neighborhood]?.[censusMetric.field];
+                        const formattedValue = formatCensusValue(censusValue, censusMetric.field);
                         
                         return (
                           <tr key={n.neighborhood} className={index % 2 === 0 ? 'bg-blue-50' : 'bg-white'}>
                             <td className="py-2 px-4 text-sm text-gray-700">{formatClusterName(n.neighborhood)}</td>
-                            <td className="py-2 px-4 text-sm text-gray-700">{n.total}</td>
+                            <td className="py-2 px-4 text-sm text-gray-700">{formatMeasureValue(n.total, measure)}</td>
                             <td className="py-2 px-4 text-sm text-gray-700">{formattedValue}</td>
                             <td className="py-2 px-4 relative">
                               <div className="flex items-center">
@@ -853,6 +861,13 @@ const NeighborhoodAnalysis = ({ updateAreaAnalysis }) => {
                           </tr>
                         );
                       })}
+                    {!neighborhoodData.some(n => neighborhoodCensusData[n.neighborhood]?.[censusMetric.field] !== undefined) && (
+                      <tr>
+                        <td colSpan={4} className="py-3 px-4 text-sm text-gray-500">
+                          No cluster-level {censusMetric.label.toLowerCase()} values for these clusters. Its correlation with crime across census tracts is shown in the demographic overlay controls.
+                        </td>
+                      </tr>
+                    )}
                   </tbody>
                 </table>
               </div>
@@ -0,0 +1,114 @@
+import React, { useState, useRef } from 'react';
+import { getUrlStateQuery, openUrlStateQuery } from '../utils/urlState';
+import { loadSavedViews, saveView, deleteView, serializeViews, parseViewsFile, importViews } from '../utils/savedViews';
+
+// Save the views as a JSON file teammates can import
+const downloadViews = (views) => {
+  const blob = new Blob([serializeViews(views)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'dc-crime-saved-views.json';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Named combinations of filters, census settings, tab and map view, one click to reopen
+const SavedViews = () => {
+  const [views, setViews] = useState(loadSavedViews);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleSave = () => {
+    const name = window.prompt('Name this view, e.g. "Ward 8 violent nights"');
+    if (!name || !name.trim()) return;
+
+    const trimmedName = name.trim();
+    if (views.some(view => view.name === trimmedName) && !window.confirm(`Replace the saved view "${trimmedName}"?`)) {
+      return;
+    }
+    setViews(saveView(trimmedName, getUrlStateQuery()));
+    setMessage({ type: 'success', text: `Saved "${trimmedName}"` });
+  };
+
+  const handleDelete = (name) => {
+    if (window.confirm(`Delete the saved view "${name}"?`)) {
+      setViews(deleteView(name));
+      setMessage(null);
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    // Allow importing the same file again
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const { views: nextViews, added, replaced } = importViews(parseViewsFile(await file.text()));
+      setViews(nextViews);
+      setMessage({
+        type: 'success',
+        text: `Imported ${added} new view${added === 1 ? '' : 's'}${replaced > 0 ? `, replaced ${replaced}` : ''}`
+      });
+    } catch (error) {
+      console.warn('Could not import saved views:', error);
+      setMessage({ type: 'error', text: `Could not import ${file.name}: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-5 pb-4 border-b border-gray-100">
+      <span className="text-sm font-medium text-gray-700 mr-1">Saved views</span>
+
+      {views.length === 0 && (
+        <span className="text-xs text-gray-400">None yet. Save the current filters, tab and map view to reopen them in one click.</span>
+      )}
+
+      {views.map(view => (
+        <span key={view.name} className="inline-flex items-center rounded-full bg-indigo-50 text-indigo-700 text-xs">
+          <button
+            onClick={() => openUrlStateQuery(view.query)}
+            className="pl-3 pr-1 py-1 font-medium hover:text-indigo-900"
+            title={view.savedAt ? `Saved ${new Date(view.savedAt).toLocaleString()}` : undefined}
+          >
+            {view.name}
+          </button>
+          <button
+            onClick={() => handleDelete(view.name)}
+            className="pr-2 pl-1 py-1 text-indigo-300 hover:text-red-600"
+            title={`Delete "${view.name}"`}
+          >
+            ×
+          </button>
+        </span>
+      ))}
+
+      <button
+        onClick={handleSave}
+        className="text-xs py-1 px-2.5 rounded-md border border-gray-200 text-gray-600 hover:bg-gray-50"
+      >
+        + Save current view
+      </button>
+
+      <div className="ml-auto flex items-center space-x-3 text-xs">
+        {message && (
+          <span className={message.type === 'error' ? 'text-red-600' : 'text-green-600'}>{message.text}</span>
+        )}
+        <button
+          onClick={() => downloadViews(views)}
+          disabled={views.length === 0}
+          className="text-blue-600 hover:text-blue-800 disabled:text-gray-300"
+        >
+          Export
+        </button>
+        <button onClick={() => fileInputRef.current?.click()} className="text-blue-600 hover:text-blue-800">
+          Import
+        </button>
+        <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+      </div>
+    </div>
+  );
+};
+
+export default SavedViews;
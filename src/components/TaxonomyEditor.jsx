@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import { useCrimeData } from '../utils/CrimeDataContext';
+import { DEFAULT_TAXONOMY } from '../utils/crimeTaxonomy';
+
+// Save the taxonomy as a JSON file, in the format of src/config/crimeTaxonomy.json
+const downloadTaxonomy = (taxonomy) => {
+  const blob = new Blob([JSON.stringify(taxonomy, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'crimeTaxonomy.json';
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const isValidWeight = (weight) => Number.isFinite(weight) && weight >= 0;
+
+const TaxonomyEditor = () => {
+  const { taxonomy, updateTaxonomy, isLoading } = useCrimeData();
+  const [draft, setDraft] = useState(null);
+
+  const isCustomized = taxonomy !== DEFAULT_TAXONOMY;
+  const invalidWeights = draft
+    ? [...draft.offenses, draft.fallback].filter(entry => !isValidWeight(entry.weight))
+    : [];
+
+  // Change one field of one offense in the draft
+  const updateOffense = (offense, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      offenses: prev.offenses.map(entry => (entry.offense === offense ? { ...entry, [field]: value } : entry))
+    }));
+  };
+
+  const updateFallbackWeight = (weight) => {
+    setDraft(prev => ({ ...prev, fallback: { ...prev.fallback, weight } }));
+  };
+
+  const applyDraft = () => {
+    updateTaxonomy(draft);
+    setDraft(null);
+  };
+
+  const resetToDefaults = () => {
+    updateTaxonomy(null);
+    setDraft(null);
+  };
+
+  return (
+    <>
+      <button
+        onClick={() => setDraft(taxonomy)}
+        disabled={isLoading}
+        className="bg-slate-800/70 px-4 py-2 rounded-lg inline-flex items-center text-gray-100 hover:bg-slate-700/80"
+        title="Edit offense categories, severity weights and colors"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-rose-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 6l9-3 9 3M3 6l3 9a4 4 0 006 0L9 6m-6 0h6m6 0l-3 9a4 4 0 006 0l-3-9m-6 0h6M12 3v18m-4 0h8" />
+        </svg>
+        Crime Weights
+        {isCustomized && <span className="ml-2 w-2 h-2 rounded-full bg-rose-400" title="Customized"></span>}
+      </button>
+
+      {draft && (
+        <div className="fixed inset-0 z-50 bg-black bg-opacity-50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-xl shadow-xl w-full max-w-4xl max-h-[90vh] flex flex-col text-left">
+            <div className="px-6 py-4 border-b border-gray-100">
+              <h3 className="text-lg font-semibold text-gray-800">Crime Taxonomy</h3>
+              <p className="text-sm text-gray-500">
+                Severity weights drive the heat map intensity and every risk score; changes apply to all views
+              </p>
+            </div>
+
+            <div className="px-6 py-4 overflow-y-auto flex-1">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500">
+                    <th className="pb-2 font-medium">Offense</th>
+                    <th className="pb-2 font-medium">Category</th>
+                    <th className="pb-2 font-medium">Weight</th>
+                    <th className="pb-2 font-medium">Color</th>
+                    <th className="pb-2 font-medium text-center">Violent</th>
+                    <th className="pb-2 font-medium text-center">Property</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {draft.offenses.map(entry => (
+                    <tr key={entry.offense} className="border-t border-gray-100">
+                      <td className="py-2 pr-3">
+                        <input
+                          type="text"
+                          value={entry.displayName}
+                          onChange={(e) => updateOffense(entry.offense, 'displayName', e.target.value)}
+                          className="w-56 text-sm border border-gray-300 rounded px-2 py-1"
+                        />
+                        <span className="block text-[10px] text-gray-400 mt-0.5">{entry.offense}</span>
+                      </td>
+                      <td className="py-2 pr-3">
+                        <select
+                          value={entry.category}
+                          onChange={(e) => updateOffense(entry.offense, 'category', e.target.value)}
+                          className="text-xs border border-gray-300 rounded px-2 py-1"
+                        >
+                          {draft.categories.map(category => (
+                            <option key={category.id} value={category.id}>{category.id}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="py-2 pr-3">
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.5"
+                          value={Number.isFinite(entry.weight) ? entry.weight : ''}
+                          onChange={(e) => updateOffense(entry.offense, 'weight', parseFloat(e.target.value))}
+                          className={`w-20 text-sm border rounded px-2 py-1 ${
+                            isValidWeight(entry.weight) ? 'border-gray-300' : 'border-red-300 bg-red-50'
+                          }`}
+                        />
+                      </td>
+                      <td className="py-2 pr-3">
+                        <input
+                          type="color"
+                          value={entry.color}
+                          onChange={(e) => updateOffense(entry.offense, 'color', e.target.value)}
+                          className="w-10 h-7 border border-gray-300 rounded cursor-pointer"
+                        />
+                      </td>
+                      <td className="py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={entry.violent}
+                          onChange={(e) => updateOffense(entry.offense, 'violent', e.target.checked)}
+                        />
+                      </td>
+                      <td className="py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={entry.property}
+                          onChange={(e) => updateOffense(entry.offense, 'property', e.target.checked)}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+
+              <div className="flex items-center mt-4 pt-3 border-t border-gray-100">
+                <label className="text-sm text-gray-700 mr-2">Weight for offenses not listed above</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.5"
+                  value={Number.isFinite(draft.fallback.weight) ? draft.fallback.weight : ''}
+                  onChange={(e) => updateFallbackWeight(parseFloat(e.target.value))}
+                  className={`w-20 text-sm border rounded px-2 py-1 ${
+                    isValidWeight(draft.fallback.weight) ? 'border-gray-300' : 'border-red-300 bg-red-50'
+                  }`}
+                />
+              </div>
+            </div>
+
+            <div className="px-6 py-4 border-t border-gray-100 flex items-center justify-between">
+              <div className="space-x-3">
+                <button
+                  onClick={resetToDefaults}
+                  disabled={!isCustomized}
+                  className="text-sm text-gray-600 hover:text-gray-800 disabled:text-gray-300"
+                >
+                  Reset to defaults
+                </button>
+                <button onClick={() => downloadTaxonomy(draft)} className="text-sm text-blue-600 hover:text-blue-800">
+                  Download JSON
+                </button>
+              </div>
+              <div className="flex items-center space-x-2">
+                {invalidWeights.length > 0 && (
+                  <span className="text-xs text-red-500 mr-2">Weights must be numbers of 0 or more</span>
+                )}
+                <button onClick={() => setDraft(null)} className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800">
+                  Cancel
+                </button>
+                <button
+                  onClick={applyDraft}
+                  disabled={invalidWeights.length > 0}
+                  className="px-4 py-2 text-sm rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300"
+                >
+                  Apply
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default TaxonomyEditor;
@@ -7,6 +7,11 @@ import { format, isBefore, startOfToday, parseISO, subYears, addMonths, differen
 import ChartCard from './shared/ChartCard';
 import { useCrimeData } from '../utils/CrimeDataContext';
 import useChartData from '../utils/useChartData';
+import ClockBadge from './shared/ClockBadge';
+import { isViolentOffense } from '../utils/crimeTaxonomy';
+import { describeCorrelation, isSignificant } from '../utils/correlationStats';
+import { CRIME_MEASURES } from '../utils/crimeMeasure';
+import { CENSUS_METRICS } from '../utils/censusMetrics';
 
 const TIME_WEIGHTS = {
   'DAY': 1,
@@ -14,6 +19,11 @@ const TIME_WEIGHTS = {
   'MIDNIGHT': 2
 };
 
+// Census metrics without a line in the demographic shifts chart, listed below it
+const UNCHARTED_CENSUS_METRICS = CENSUS_METRICS.filter(metric => (
+  !['income', 'education', 'poverty', 'race'].includes(metric.id)
+));
+
 // Add color mapping for time periods
 const TIME_COLORS = {
   'DAY': '#4CAF50',     // Green
@@ -72,7 +82,7 @@ const EmptyState = () => (
 );
 
 const TemporalAnalysis = ({ updateTemporalPatterns }) => {
-  const { isLoading, error, rawData, census, censusCorrelations } = useCrimeData();
+  const { isLoading, error, rawData, census, censusCorrelations, crimeMeasure, taxonomy } = useCrimeData();
   const chartData = useChartData();
   const [selectedView, setSelectedView] = useState('trends'); // trends, patterns, demographics
 
@@ -98,7 +108,9 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
 
     // Count incidents for each time block
     chartData.heatMapData.forEach(incident => {
-      const hour = new Date(incident.reportDate).getHours();
+      const hour = incident.hour;
+      // Incidents without a time on the analysis clock (e.g. no START_DATE) are skipped
+      if (hour === null || hour === undefined) return;
       const timeBlock = Math.floor(hour / 4);
       
       if (patterns[timeBlock]) {
@@ -114,12 +126,12 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
 
     // Calculate weekend vs weekday rates
     const weekdayIncidents = chartData.heatMapData.filter(incident => {
-      const day = new Date(incident.reportDate).getDay();
+      const day = incident.dayOfWeek;
       return day >= 1 && day <= 5;
     }).length;
 
     const weekendIncidents = chartData.heatMapData.filter(incident => {
-      const day = new Date(incident.reportDate).getDay();
+      const day = incident.dayOfWeek;
       return day === 0 || day === 6;
     }).length;
 
@@ -130,8 +142,9 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
     // Find cluster with most incidents during their peak time period
     const clusterTimeCounts = {};
     chartData.heatMapData.forEach(incident => {
-      const hour = new Date(incident.reportDate).getHours();
+      const hour = incident.hour;
       const cluster = incident.neighborhood || 'Unknown';
+      if (hour === null || hour === undefined) return;
       
       // Skip if cluster is unknown or empty
       if (!cluster || cluster === 'Unknown' || !cluster.trim() || !cluster.toLowerCase().includes('cluster')) return;
@@ -204,15 +217,14 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
       }
     });
 
-    // Calculate violent crimes during nighttime
-    const violentCrimes = ['HOMICIDE', 'ASSAULT W/DANGEROUS WEAPON', 'ROBBERY'];
+    // Calculate violent crimes (as flagged in the crime taxonomy) during nighttime
     const nighttimeViolentCrimes = chartData.heatMapData.filter(incident => {
-      const hour = new Date(incident.reportDate).getHours();
-      return violentCrimes.includes(incident.offense) && (hour >= 20 || hour < 6);
+      const hour = incident.hour;
+      return isViolentOffense(incident.offense, taxonomy) && hour !== null && hour !== undefined && (hour >= 20 || hour < 6);
     }).length;
 
     const totalViolentCrimes = chartData.heatMapData.filter(incident => 
-      violentCrimes.includes(incident.offense)
+      isViolentOffense(incident.offense, taxonomy)
     ).length;
 
     const nightViolentCrimePercentage = totalViolentCrimes > 0 
@@ -236,7 +248,7 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
     };
 
     return patterns;
-  }, [rawData, chartData]);
+  }, [rawData, chartData, taxonomy]);
 
   // Use effect to update temporal patterns
   useEffect(() => {
@@ -329,8 +341,11 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
         Math.max(crimesInQuarter.length, 1);
     };
     
-    // Helper to create realistic demographic shift data that correlates with crime rate
-    const getDemographicShifts = (baseValue, maxChange, isPositiveCorrelation) => {
+    // Helper to create demographic shift data that follows the crime rate in the direction of the
+    // metric's measured correlation with crime across tracts (no coupling when not significant)
+    const getDemographicShifts = (baseValue, maxChange, correlation) => {
+      const direction = isSignificant(correlation?.pearson) ? Math.sign(correlation.pearson.r) : 0;
+
       return quarters.map((date, index) => {
         // Get normalized crime rate for the period (0-1)
         const periodCrimeRate = getCrimeRateForPeriod(date);
@@ -340,7 +355,7 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
         
         // Create oscillating trend with some correlation to crime rate
         const trendFactor = Math.sin(index / quarters.length * Math.PI * 2) * 0.5;
-        const crimeFactor = isPositiveCorrelation ? normalizedRate : (2 - normalizedRate);
+        const crimeFactor = direction === 0 ? 1 : direction > 0 ? normalizedRate : (2 - normalizedRate);
         
         // Calculate change from base value 
         const change = maxChange * (trendFactor * 0.7 + (crimeFactor - 1) * 0.3);
@@ -355,17 +370,10 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
     
     // Generate data for each demographic metric
     return {
-      // Income correlates negatively with crime (-0.65)
-      income: getDemographicShifts(baseIncomePercentile, 15, false),
-      
-      // Education correlates negatively with crime (-0.48)
-      education: getDemographicShifts(baseEducationRate, 10, false),
-      
-      // Poverty correlates positively with crime (0.72)
-      poverty: getDemographicShifts(basePovertyRate, 8, true),
-      
-      // Diversity shows changing patterns
-      diversity: getDemographicShifts(baseDiversityIndex, 12, false),
+      income: getDemographicShifts(baseIncomePercentile, 15, censusCorrelations?.[crimeMeasure]?.metrics?.income),
+      education: getDemographicShifts(baseEducationRate, 10, censusCorrelations?.[crimeMeasure]?.metrics?.education),
+      poverty: getDemographicShifts(basePovertyRate, 8, censusCorrelations?.[crimeMeasure]?.metrics?.poverty),
+      diversity: getDemographicShifts(baseDiversityIndex, 12, censusCorrelations?.[crimeMeasure]?.metrics?.race),
       
       // Add crime rate data for comparison
       crimeRate: quarters.map(date => ({
@@ -373,7 +381,7 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
         value: getCrimeRateForPeriod(date)
       }))
     };
-  }, [filteredChartData, census]);
+  }, [filteredChartData, census, censusCorrelations, crimeMeasure]);
   
   // Merge demographic data for chart display
   const mergedDemographicData = useMemo(() => {
@@ -467,6 +475,9 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
             Demographic Shifts
           </button>
         </div>
+
+        {/* Hours, weekdays and daily counts all use the analysis clock in DC local time */}
+        <ClockBadge />
       </div>
 
       {/* Stats Summary */}
@@ -487,12 +498,36 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
           <div className="bg-purple-50 rounded-lg p-4">
             <h3 className="text-sm font-medium text-purple-800">Peak Day</h3>
             <p className="text-2xl font-semibold text-purple-900 mt-1">
-              {stats.maxDay ? format(new Date(stats.maxDay.date), 'MMM dd') : 'N/A'}
+              {stats.maxDay ? format(new Date(stats.maxDay.date), chartData.yearlyTotals.length > 1 ? 'MMM dd, yyyy' : 'MMM dd') : 'N/A'}
             </p>
           </div>
         </div>
       )}
 
+      {/* Year-over-year totals when several years are loaded */}
+      {selectedView === 'trends' && chartData.yearlyTotals.length > 1 && (
+        <div className="flex flex-wrap gap-3 mb-6">
+          {chartData.yearlyTotals.map((yearTotal, i) => {
+            const previous = chartData.yearlyTotals[i - 1];
+            const change = previous && previous.count > 0
+              ? ((yearTotal.count - previous.count) / previous.count) * 100
+              : null;
+
+            return (
+              <div key={yearTotal.year} className="bg-gray-50 rounded-lg px-4 py-2 border border-gray-100">
+                <span className="text-xs font-medium text-gray-500">{yearTotal.year}</span>
+                <p className="text-lg font-semibold text-gray-800">{yearTotal.count.toLocaleString()}</p>
+                {change !== null && (
+                  <span className={`text-xs ${change > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                    {change > 0 ? '↑' : '↓'} {Math.abs(change).toFixed(1)}% vs {previous.year}
+                  </span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
       {/* Chart Area */}
       <div className={selectedView === 'patterns' ? "h-auto" : "h-[400px]"}>
         {isLoading ? (
@@ -520,7 +555,7 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
               />
               <XAxis
                 dataKey="date"
-                tickFormatter={(date) => format(new Date(date), 'MMM dd')}
+                tickFormatter={(date) => format(new Date(date), chartData.yearlyTotals.length > 1 ? 'MMM yyyy' : 'MMM dd')}
                 tick={{ fill: '#666', fontSize: 12 }}
                 interval="preserveStartEnd"
                 minTickGap={30}
@@ -849,28 +884,37 @@ const TemporalAnalysis = ({ updateTemporalPatterns }) => {
           {selectedView === 'demographics' && (
             <div>
               <p className="text-gray-700 mb-2">
-                This visualization shows how demographic factors have shifted over time alongside crime trends. The chart highlights correlations between:
+                This visualization shows how demographic factors have shifted over time alongside crime trends. Measured across census tracts under the current filters, {CRIME_MEASURES[crimeMeasure].tractLabel} show:
               </p>
               <ul className="list-disc pl-5 space-y-1 text-gray-700">
                 <li className="flex items-center">
                   <span className="inline-flex items-center justify-center w-5 h-5 rounded-full bg-green-100 text-green-600 mr-2">💰</span>
-                  <span><span className="font-medium text-green-600">Income</span> - Higher incomes typically correlate with lower crime rates (negative correlation -0.65)</span>
+                  <span><span className="font-medium text-green-600">Income</span> - {describeCorrelation(censusCorrelations?.[crimeMeasure]?.metrics?.income)}</span>
                 </li>
                 <li className="flex items-center">
                   <span className="inline-flex items-center justify-center w-5 h-5 rounded-full bg-indigo-100 text-indigo-600 mr-2">🎓</span>
-                  <span><span className="font-medium text-indigo-600">Education</span> - Higher education levels correlate with lower crime rates (negative correlation -0.48)</span>
+                  <span><span className="font-medium text-indigo-600">Education</span> - {describeCorrelation(censusCorrelations?.[crimeMeasure]?.metrics?.education)}</span>
                 </li>
                 <li className="flex items-center">
                   <span className="inline-flex items-center justify-center w-5 h-5 rounded-full bg-red-100 text-red-600 mr-2">📉</span>
-                  <span><span className="font-medium text-red-600">Poverty</span> - Higher poverty rates correlate with higher crime rates (positive correlation 0.72)</span>
+                  <span><span className="font-medium text-red-600">Poverty</span> - {describeCorrelation(censusCorrelations?.[crimeMeasure]?.metrics?.poverty)}</span>
                 </li>
                 <li className="flex items-center">
                   <span className="inline-flex items-center justify-center w-5 h-5 rounded-full bg-purple-100 text-purple-600 mr-2">👪</span>
-                  <span><span className="font-medium text-purple-600">Diversity</span> - The diversity index shows more complex relationships with crime patterns</span>
+                  <span><span className="font-medium text-purple-600">Diversity</span> - {describeCorrelation(censusCorrelations?.[crimeMeasure]?.metrics?.race)}</span>
                 </li>
               </ul>
+              <p className="text-gray-700 mt-3 mb-1">Other census metrics (not charted):</p>
+              <ul className="pl-5 space-y-1 text-sm text-gray-700">
+                {UNCHARTED_CENSUS_METRICS.map(metric => (
+                  <li key={metric.id} title={metric.description}>
+                    <span className="mr-1.5">{metric.icon}</span>
+                    <span className="font-medium">{metric.label}</span> - {describeCorrelation(censusCorrelations?.[crimeMeasure]?.metrics?.[metric.id])}
+                  </li>
+                ))}
+              </ul>
               <p className="text-gray-500 text-sm mt-2 italic">
-                Note: Demographic data is generated from baseline census statistics and correlated with crime patterns to show likely trends over time. For actual historical demographic data, additional census datasets would be required.
+                Note: Demographic data is generated from baseline census statistics and moved with the crime rate in the direction of the significant correlations above to show likely trends over time. For actual historical demographic data, additional census datasets would be required.
               </p>
             </div>
           )}
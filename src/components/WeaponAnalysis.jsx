@@ -0,0 +1,244 @@
+import React, { useState, useMemo } from 'react';
+import {
+  BarChart, Bar, ComposedChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { format, parseISO } from 'date-fns';
+import { useCrimeData } from '../utils/CrimeDataContext';
+import { getIncidentTime } from '../utils/analysisClock';
+import { WEAPON_METHODS, countMethodsBy } from '../utils/weaponMethods';
+import { getDisplayName } from '../utils/crimeTaxonomy';
+import ClockBadge from './shared/ClockBadge';
+
+const VIEWS = [
+  { id: 'time', label: 'Over Time' },
+  { id: 'shift', label: 'By Shift' },
+  { id: 'area', label: 'By Cluster' },
+  { id: 'offense', label: 'By Offense' }
+];
+
+const SHIFT_LABELS = {
+  DAY: 'Day (8am-4pm)',
+  EVENING: 'Evening (4pm-12am)',
+  MIDNIGHT: 'Night (12am-8am)'
+};
+
+// Gun and knife only; "other / none" would dwarf them in count charts
+const ARMED_METHODS = WEAPON_METHODS.filter(m => m.id !== 'OTHERS');
+
+// Number of clusters shown in the cluster view
+const TOP_CLUSTERS = 15;
+
+const MethodTooltip = ({ active, payload, label, formatLabel = value => value }) => {
+  if (!active || !payload || !payload.length) return null;
+  const row = payload[0].payload;
+
+  return (
+    <div className="bg-white p-3 border border-gray-200 shadow-lg rounded text-sm">
+      <p className="font-semibold text-gray-800 mb-1">{formatLabel(label)}</p>
+      {WEAPON_METHODS.map(method => (
+        <p key={method.id}>
+          <span className="text-gray-600">{method.label}: </span>
+          <span className="font-medium">{row[method.id].toLocaleString()}</span>
+        </p>
+      ))}
+      <p className="mt-1 pt-1 border-t border-gray-100 text-xs text-gray-500">
+        {row.gunShare.toFixed(1)}% of {row.total.toLocaleString()} incidents involved a gun
+      </p>
+    </div>
+  );
+};
+
+const EmptyState = () => (
+  <div className="h-[400px] flex items-center justify-center bg-gray-50 rounded-lg">
+    <div className="text-center p-6">
+      <h3 className="text-lg font-medium text-gray-900">No Weapon Data Available</h3>
+      <p className="mt-1 text-sm text-gray-500">
+        Try adjusting your filters to see weapon involvement.
+      </p>
+    </div>
+  </div>
+);
+
+const WeaponAnalysis = () => {
+  const { isLoading, filteredRawData, analysisClock, taxonomy } = useCrimeData();
+  const [selectedView, setSelectedView] = useState('time');
+
+  const incidents = filteredRawData || [];
+
+  // Monthly counts on the analysis clock
+  const byMonth = useMemo(() => (
+    countMethodsBy(incidents, incident => getIncidentTime(incident, analysisClock).dateKey?.slice(0, 7))
+      .sort((a, b) => a.key.localeCompare(b.key))
+  ), [incidents, analysisClock]);
+
+  const byShift = useMemo(() => (
+    countMethodsBy(incidents, incident => (SHIFT_LABELS[incident.shift] ? incident.shift : null))
+      .sort((a, b) => Object.keys(SHIFT_LABELS).indexOf(a.key) - Object.keys(SHIFT_LABELS).indexOf(b.key))
+  ), [incidents]);
+
+  const byCluster = useMemo(() => (
+    countMethodsBy(incidents, incident => incident.neighborhood)
+      .sort((a, b) => b.GUN - a.GUN || b.KNIFE - a.KNIFE)
+      .slice(0, TOP_CLUSTERS)
+  ), [incidents]);
+
+  const byOffense = useMemo(() => (
+    countMethodsBy(incidents, incident => incident.offense)
+      .sort((a, b) => b.gunShare - a.gunShare)
+  ), [incidents]);
+
+  const totals = useMemo(() => {
+    const counts = countMethodsBy(incidents, () => 'all')[0];
+    return counts || { GUN: 0, KNIFE: 0, OTHERS: 0, total: 0, gunShare: 0 };
+  }, [incidents]);
+
+  const renderChart = () => {
+    switch (selectedView) {
+      case 'time':
+        return (
+          <ResponsiveContainer>
+            <ComposedChart data={byMonth} margin={{ top: 10, right: 30, left: 20, bottom: 25 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" vertical={false} />
+              <XAxis
+                dataKey="key"
+                tickFormatter={key => format(parseISO(`${key}-01`), 'MMM yyyy')}
+                tick={{ fill: '#666', fontSize: 12 }}
+                minTickGap={20}
+              />
+              <YAxis yAxisId="count" tick={{ fill: '#666', fontSize: 12 }} />
+              <YAxis
+                yAxisId="share"
+                orientation="right"
+                tickFormatter={value => `${value}%`}
+                tick={{ fill: '#666', fontSize: 12 }}
+              />
+              <Tooltip content={<MethodTooltip formatLabel={key => format(parseISO(`${key}-01`), 'MMMM yyyy')} />} />
+              <Legend />
+              {ARMED_METHODS.map(method => (
+                <Bar key={method.id} yAxisId="count" dataKey={method.id} name={method.label} stackId="method" fill={method.color} />
+              ))}
+              <Line
+                yAxisId="share"
+                type="monotone"
+                dataKey="gunShare"
+                name="Gun share of incidents (%)"
+                stroke="#374151"
+                strokeWidth={2}
+                dot={false}
+              />
+            </ComposedChart>
+          </ResponsiveContainer>
+        );
+      case 'shift':
+        return (
+          <ResponsiveContainer>
+            <BarChart data={byShift} margin={{ top: 10, right: 30, left: 20, bottom: 25 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" vertical={false} />
+              <XAxis dataKey="key" tickFormatter={key => SHIFT_LABELS[key]} tick={{ fill: '#666', fontSize: 12 }} />
+              <YAxis tick={{ fill: '#666', fontSize: 12 }} />
+              <Tooltip content={<MethodTooltip formatLabel={key => SHIFT_LABELS[key]} />} />
+              <Legend />
+              {ARMED_METHODS.map(method => (
+                <Bar key={method.id} dataKey={method.id} name={method.label} fill={method.color} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        );
+      case 'area':
+        return (
+          <ResponsiveContainer>
+            <BarChart data={byCluster} layout="vertical" margin={{ top: 10, right: 30, left: 40, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" horizontal={false} />
+              <XAxis type="number" tick={{ fill: '#666', fontSize: 12 }} />
+              <YAxis type="category" dataKey="key" width={80} tick={{ fill: '#666', fontSize: 11 }} />
+              <Tooltip content={<MethodTooltip />} />
+              <Legend />
+              {ARMED_METHODS.map(method => (
+                <Bar key={method.id} dataKey={method.id} name={method.label} stackId="method" fill={method.color} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        );
+      case 'offense':
+        // Share of each offense by method, so rare and common offenses are comparable
+        return (
+          <ResponsiveContainer>
+            <BarChart data={byOffense} layout="vertical" stackOffset="expand" margin={{ top: 10, right: 30, left: 40, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" horizontal={false} />
+              <XAxis type="number" tickFormatter={value => `${Math.round(value * 100)}%`} tick={{ fill: '#666', fontSize: 12 }} />
+              <YAxis
+                type="category"
+                dataKey="key"
+                width={180}
+                tickFormatter={offense => getDisplayName(offense, taxonomy)}
+                tick={{ fill: '#666', fontSize: 11 }}
+              />
+              <Tooltip content={<MethodTooltip formatLabel={offense => getDisplayName(offense, taxonomy)} />} />
+              <Legend />
+              {WEAPON_METHODS.map(method => (
+                <Bar key={method.id} dataKey={method.id} name={method.label} stackId="method" fill={method.color} />
+              ))}
+            </BarChart>
+          </ResponsiveContainer>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+        <div className="flex space-x-2">
+          {VIEWS.map(view => (
+            <button
+              key={view.id}
+              onClick={() => setSelectedView(view.id)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                selectedView === view.id
+                  ? 'bg-blue-500 text-white'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              {view.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Monthly counts use the analysis clock in DC local time */}
+        <ClockBadge />
+      </div>
+
+      {/* Stats Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="bg-red-50 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-red-800">Gun Incidents</h3>
+          <p className="text-2xl font-semibold text-red-900 mt-1">{totals.GUN.toLocaleString()}</p>
+        </div>
+        <div className="bg-orange-50 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-orange-800">Knife Incidents</h3>
+          <p className="text-2xl font-semibold text-orange-900 mt-1">{totals.KNIFE.toLocaleString()}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4">
+          <h3 className="text-sm font-medium text-gray-700">Gun Share of Incidents</h3>
+          <p className="text-2xl font-semibold text-gray-900 mt-1">{totals.gunShare.toFixed(1)}%</p>
+        </div>
+      </div>
+
+      <div className="h-[400px]">
+        {isLoading ? (
+          <div className="h-full flex items-center justify-center bg-gray-100">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+          </div>
+        ) : incidents.length === 0 ? (
+          <EmptyState />
+        ) : (
+          renderChart()
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WeaponAnalysis;
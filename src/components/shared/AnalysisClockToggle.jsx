@@ -0,0 +1,36 @@
+import React from 'react';
+import { useCrimeData } from '../../utils/CrimeDataContext';
+import { ANALYSIS_CLOCKS } from '../../utils/analysisClock';
+
+// Global switch between report time and occurrence time
+const AnalysisClockToggle = () => {
+  const { analysisClock, setAnalysisClock, isLoading } = useCrimeData();
+
+  return (
+    <div className="bg-slate-800/70 px-4 py-2 rounded-lg inline-flex items-center gap-2">
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-purple-300" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+      </svg>
+      <span className="text-gray-100">Clock</span>
+      <div className="inline-flex rounded-md overflow-hidden border border-slate-600">
+        {Object.values(ANALYSIS_CLOCKS).map(clock => (
+          <button
+            key={clock.id}
+            onClick={() => setAnalysisClock(clock.id)}
+            disabled={isLoading}
+            title={`${clock.field}: ${clock.description}`}
+            className={`px-2 py-0.5 text-xs ${
+              analysisClock === clock.id
+                ? 'bg-blue-500 text-white'
+                : 'bg-slate-700 text-gray-200 hover:bg-slate-600'
+            }`}
+          >
+            {clock.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysisClockToggle;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { useCrimeData } from '../../utils/CrimeDataContext';
+import { AREA_TOOLS, describeArea, loadSavedAreas, saveArea, deleteArea } from '../../utils/spatialFilter';
+
+// Draw, clear, save and reuse the area that filters every view
+const AreaControls = ({ activeTool, onToolChange, onFocusArea }) => {
+  const { filters, setAreaFilter, isLoading } = useCrimeData();
+  const [savedAreas, setSavedAreas] = useState(loadSavedAreas);
+  const [selectedName, setSelectedName] = useState('');
+
+  const area = filters.area;
+  const activeHint = AREA_TOOLS.find(tool => tool.id === activeTool)?.hint;
+
+  const handleSave = () => {
+    const name = window.prompt('Name this area', describeArea(area));
+    if (!name || !name.trim()) return;
+    if (savedAreas[name.trim()] && !window.confirm(`Replace the saved area "${name.trim()}"?`)) return;
+    setSavedAreas(saveArea(name.trim(), area));
+    setSelectedName(name.trim());
+  };
+
+  const handleApplySaved = (name) => {
+    setSelectedName(name);
+    if (!name) return;
+    const { savedAt, ...savedArea } = savedAreas[name];
+    setAreaFilter(savedArea);
+    onFocusArea(savedArea);
+  };
+
+  const handleDeleteSaved = () => {
+    if (window.confirm(`Delete the saved area "${selectedName}"?`)) {
+      setSavedAreas(deleteArea(selectedName));
+      setSelectedName('');
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <span className="text-gray-600">Filter by area:</span>
+      {AREA_TOOLS.map(tool => (
+        <button
+          key={tool.id}
+          onClick={() => onToolChange(activeTool === tool.id ? null : tool.id)}
+          disabled={isLoading}
+          className={`px-3 py-1 rounded-lg text-xs font-medium transition-colors ${
+            activeTool === tool.id
+              ? 'bg-blue-500 text-white'
+              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+          }`}
+          title={tool.hint}
+        >
+          {tool.label}
+        </button>
+      ))}
+
+      {area && (
+        <>
+          <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-blue-50 text-blue-700">
+            {describeArea(area)}
+            <button
+              onClick={() => setAreaFilter(null)}
+              className="ml-1 text-blue-400 hover:text-blue-700"
+              title="Clear area filter"
+            >
+              ×
+            </button>
+          </span>
+          <button onClick={handleSave} className="text-xs text-blue-600 hover:text-blue-800">
+            Save area
+          </button>
+        </>
+      )}
+
+      {Object.keys(savedAreas).length > 0 && (
+        <div className="inline-flex items-center">
+          <select
+            value={savedAreas[selectedName] ? selectedName : ''}
+            onChange={(e) => handleApplySaved(e.target.value)}
+            className="text-xs border border-gray-300 rounded px-2 py-1"
+          >
+            <option value="">Saved areas…</option>
+            {Object.keys(savedAreas).sort().map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          {savedAreas[selectedName] && (
+            <button
+              onClick={handleDeleteSaved}
+              className="ml-2 text-xs text-gray-500 hover:text-red-600"
+              title={`Delete the saved area "${selectedName}"`}
+            >
+              Delete
+            </button>
+          )}
+        </div>
+      )}
+
+      {activeHint && (
+        <span className="text-xs text-gray-500">{activeHint} · Esc to cancel</span>
+      )}
+    </div>
+  );
+};
+
+export default AreaControls;
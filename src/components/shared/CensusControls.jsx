@@ -1,5 +1,10 @@
 import React, { useEffect } from 'react';
 import { useCrimeData } from '../../utils/CrimeDataContext';
+import { describeCorrelation, formatCoefficient, formatInterval, isSignificant } from '../../utils/correlationStats';
+import { CRIME_MEASURES } from '../../utils/crimeMeasure';
+import { CENSUS_METRICS, getCensusMetric, formatCensusEstimate, getCensusReliability } from '../../utils/censusMetrics';
+import { getTractReliability } from '../../utils/censusDataProcessing';
+import ReliabilityFlag from './ReliabilityFlag';
 
 const CensusControls = () => {
   const {
@@ -7,7 +12,9 @@ const CensusControls = () => {
     toggleCensusOverlay,
     selectCensusMetric,
     selectedCensusMetric,
-    census
+    census,
+    censusCorrelations,
+    crimeMeasure
   } = useCrimeData();
 
   // Added logging for debugging
@@ -34,50 +41,6 @@ const CensusControls = () => {
     );
   }
 
-  // Demographic metrics with improved icons and descriptions
-  const metrics = [
-    {
-      id: 'income',
-      label: 'Income',
-      icon: '💰',
-      description: 'Median household income by neighborhood',
-      color: '#10b981', // Green theme
-      impact: 'Negative correlation with crime (-0.65)'
-    },
-    {
-      id: 'education',
-      label: 'Education',
-      icon: '🎓',
-      description: 'Percentage with bachelor\'s degree or higher',
-      color: '#6366f1', // Indigo theme
-      impact: 'Negative correlation with crime (-0.48)'
-    },
-    {
-      id: 'poverty',
-      label: 'Poverty',
-      icon: '📉',
-      description: 'Percentage of residents below poverty line',
-      color: '#ef4444', // Red theme
-      impact: 'Positive correlation with crime (0.72)'
-    },
-    {
-      id: 'housing',
-      label: 'Housing',
-      icon: '🏘️',
-      description: 'Median home value by neighborhood',
-      color: '#3b82f6', // Blue theme
-      impact: 'Negative correlation with crime (-0.52)'
-    },
-    {
-      id: 'race',
-      label: 'Race',
-      icon: '👪',
-      description: 'Diversity index (higher values = more diverse)',
-      color: '#8b5cf6', // Purple theme
-      impact: 'No significant correlation (0.15)'
-    }
-  ];
-
   const handleToggle = () => {
     try {
       toggleCensusOverlay();
@@ -95,7 +58,15 @@ const CensusControls = () => {
   };
 
   // Find the currently selected metric
-  const selectedMetric = metrics.find(m => m.id === selectedCensusMetric) || metrics[0];
+  const selectedMetric = getCensusMetric(selectedCensusMetric);
+  const districtValue = census.derivedMetrics?.[selectedMetric.districtField];
+  const districtMoe = census.derivedMetrics?.moe?.[selectedMetric.districtField];
+  const tractReliability = getTractReliability(census, selectedMetric.field);
+  const tractCount = Object.values(tractReliability).reduce((sum, count) => sum + count, 0);
+
+  // Correlation of the metric with incidents (or rates) per census tract, under the current filters
+  const correlation = censusCorrelations?.[crimeMeasure]?.metrics?.[selectedMetric.id];
+  const isCorrelated = isSignificant(correlation?.pearson);
 
   return (
     <div className="bg-white rounded-lg shadow-sm border border-gray-100 mb-4">
@@ -145,7 +116,7 @@ const CensusControls = () => {
               </h4>
               
               <div className="flex flex-wrap gap-2">
-                {metrics.map((metric) => (
+                {CENSUS_METRICS.map((metric) => (
                   <button
                     key={metric.id}
                     className={`flex items-center px-3 py-2 rounded-md transition-all duration-200 ${
@@ -180,14 +151,42 @@ const CensusControls = () => {
                   <div>
                     <h5 className="font-medium text-gray-900">{selectedMetric.label}</h5>
                     <p className="text-sm text-gray-600">{selectedMetric.description}</p>
+                    <p className="text-xs text-gray-500">
+                      District of Columbia: {formatCensusEstimate(districtValue, districtMoe, selectedMetric.id)} (ACS table {selectedMetric.table})
+                      <ReliabilityFlag reliability={getCensusReliability(districtValue, districtMoe)} />
+                    </p>
+                    {tractCount > 0 && (
+                      <p className={`text-xs ${tractReliability.low > 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                        Tract estimates: {tractReliability.high} reliable, {tractReliability.medium} to use with caution
+                        (CV 12-40%), {tractReliability.low} unreliable (CV over 40%)
+                        {tractReliability.unknown > 0 && `, ${tractReliability.unknown} without a margin of error`}.
+                        {tractReliability.low > 0 && ' Correlations include the unreliable tracts, so read them with care.'}
+                      </p>
+                    )}
                     <div className="mt-1 text-sm">
                       <div className="flex items-center">
                         <span
-                          className="inline-block w-3 h-3 rounded-full mr-2"
-                          style={{ backgroundColor: selectedMetric.id === 'poverty' ? '#ef4444' : '#10b981' }}
+                          className="inline-block w-3 h-3 rounded-full mr-2 flex-shrink-0"
+                          style={{
+                            backgroundColor: !isCorrelated ? '#9ca3af' : correlation.pearson.r > 0 ? '#ef4444' : '#10b981'
+                          }}
                         ></span>
-                        <span className="text-gray-700">{selectedMetric.impact}</span>
+                        <span className="text-gray-700">
+                          {describeCorrelation(correlation)} with {CRIME_MEASURES[crimeMeasure].tractLabel}
+                        </span>
                       </div>
+                      {correlation?.pearson ? (
+                        <p className="mt-1 text-xs text-gray-500">
+                          Pearson 95% CI {formatInterval(correlation.pearson.ci)}
+                          {correlation.spearman && (
+                            <> · Spearman ρ = {formatCoefficient(correlation.spearman.r)} (95% CI {formatInterval(correlation.spearman.ci)})</>
+                          )}
+                        </p>
+                      ) : (
+                        <p className="mt-1 text-xs text-gray-500">
+                          Correlations need the tract-level census tables, which did not load.
+                        </p>
+                      )}
                     </div>
                   </div>
                 </div>
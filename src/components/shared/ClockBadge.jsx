@@ -0,0 +1,21 @@
+import React from 'react';
+import { useCrimeData } from '../../utils/CrimeDataContext';
+import { ANALYSIS_CLOCKS } from '../../utils/analysisClock';
+import { TIME_ZONE_LABEL } from '../../utils/timezone';
+
+// Shows which timestamp (and timezone) a chart's dates and hours are based on
+const ClockBadge = () => {
+  const { analysisClock } = useCrimeData();
+  const clock = ANALYSIS_CLOCKS[analysisClock];
+
+  return (
+    <span
+      className="text-xs text-gray-500 bg-gray-50 border border-gray-200 rounded-full px-3 py-1 whitespace-nowrap"
+      title={`Dates and hours use ${clock.field} (${clock.description.toLowerCase()}), converted from UTC to DC local time including daylight saving`}
+    >
+      🕒 {clock.label} · {TIME_ZONE_LABEL}
+    </span>
+  );
+};
+
+export default ClockBadge;
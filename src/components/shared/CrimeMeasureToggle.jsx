@@ -0,0 +1,40 @@
+import React from 'react';
+import { useCrimeData } from '../../utils/CrimeDataContext';
+import { CRIME_MEASURES } from '../../utils/crimeMeasure';
+
+// Switch between raw incident counts and incidents per 1,000 residents, shared by every view.
+// unavailableReason (when set) disables rates, e.g. when the view's areas have no population.
+const CrimeMeasureToggle = ({ unavailableReason = null }) => {
+  const { crimeMeasure, setCrimeMeasure, isLoading } = useCrimeData();
+
+  return (
+    <div className="inline-flex items-center gap-2 text-sm">
+      <span className="text-gray-600">Show</span>
+      <div className="inline-flex rounded-md overflow-hidden border border-gray-200" role="group" aria-label="Counts or rates">
+        {Object.values(CRIME_MEASURES).map(measure => {
+          const isDisabled = isLoading || (measure.id === 'rate' && Boolean(unavailableReason));
+          return (
+            <button
+              key={measure.id}
+              onClick={() => setCrimeMeasure(measure.id)}
+              disabled={isDisabled}
+              aria-pressed={crimeMeasure === measure.id}
+              title={measure.id === 'rate' && unavailableReason ? unavailableReason : measure.description}
+              className={`px-2.5 py-1 text-xs font-medium ${
+                crimeMeasure === measure.id
+                  ? 'bg-blue-500 text-white'
+                  : isDisabled
+                    ? 'bg-gray-50 text-gray-300 cursor-not-allowed'
+                    : 'bg-white text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              {measure.label}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CrimeMeasureToggle;
@@ -0,0 +1,148 @@
+import React from 'react';
+import { useCrimeData } from '../../utils/CrimeDataContext';
+
+// Ways of choosing which yearly incident files feed the dashboard
+const selectionModes = [
+  { id: 'single', label: 'Year' },
+  { id: 'multiple', label: 'Years' },
+  { id: 'rolling', label: 'Rolling' }
+];
+
+// Describe the loaded years, e.g. "2024" or "2022–2024"
+export const formatYearSpan = (years) => {
+  if (!years || years.length === 0) return '';
+  const sorted = [...years].sort((a, b) => a - b);
+  const contiguous = sorted.every((year, i) => i === 0 || year === sorted[i - 1] + 1);
+
+  if (sorted.length === 1) return `${sorted[0]}`;
+  return contiguous ? `${sorted[0]}–${sorted[sorted.length - 1]}` : sorted.join(', ');
+};
+
+const DatasetSelector = () => {
+  const { availableYears, loadedYears, datasetSelection, datasetError, importedSource, selectDatasetYears, isLoading } = useCrimeData();
+
+  if (!availableYears || availableYears.length === 0) {
+    return null;
+  }
+
+  const latestYear = availableYears[availableYears.length - 1];
+
+  const changeMode = (mode) => {
+    if (mode === datasetSelection.mode) return;
+    selectDatasetYears({
+      ...datasetSelection,
+      mode,
+      // Keep the years we already have loaded when switching between modes
+      years: mode === 'single' ? [loadedYears[loadedYears.length - 1] || latestYear] : loadedYears
+    });
+  };
+
+  const toggleYear = (year) => {
+    const years = loadedYears.includes(year)
+      ? loadedYears.filter(y => y !== year)
+      : [...loadedYears, year];
+
+    // At least one year must stay selected
+    if (years.length === 0) return;
+    selectDatasetYears({ ...datasetSelection, years });
+  };
+
+  return (
+    <div className="bg-slate-800/70 px-4 py-2 rounded-lg inline-flex flex-wrap items-center gap-2">
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-blue-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+      </svg>
+      {importedSource ? (
+        <>
+          <span className="text-gray-100" title={`${importedSource.rowsRejected.toLocaleString()} rows rejected`}>
+            {importedSource.name} ({importedSource.rowsParsed.toLocaleString()} incidents)
+          </span>
+          <button
+            onClick={() => selectDatasetYears(datasetSelection)}
+            disabled={isLoading}
+            className="px-2 py-0.5 text-xs rounded bg-slate-700 text-gray-200 hover:bg-slate-600"
+          >
+            Back to published data
+          </button>
+        </>
+      ) : (
+        <span className="text-gray-100">{formatYearSpan(loadedYears)} Crime Data</span>
+      )}
+
+      {/* Only offer a choice when more than one year is available */}
+      {!importedSource && availableYears.length > 1 && (
+        <>
+          <div className="inline-flex rounded-md overflow-hidden border border-slate-600">
+            {selectionModes.map(mode => (
+              <button
+                key={mode.id}
+                onClick={() => changeMode(mode.id)}
+                disabled={isLoading}
+                className={`px-2 py-0.5 text-xs ${
+                  datasetSelection.mode === mode.id
+                    ? 'bg-blue-500 text-white'
+                    : 'bg-slate-700 text-gray-200 hover:bg-slate-600'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+
+          {datasetSelection.mode === 'single' && (
+            <select
+              value={loadedYears[0] || latestYear}
+              onChange={(e) => selectDatasetYears({ ...datasetSelection, years: [Number(e.target.value)] })}
+              disabled={isLoading}
+              className="bg-slate-700 text-gray-100 text-xs rounded px-2 py-1 border border-slate-600"
+            >
+              {availableYears.map(year => (
+                <option key={year} value={year}>{year}</option>
+              ))}
+            </select>
+          )}
+
+          {datasetSelection.mode === 'multiple' && (
+            <div className="inline-flex flex-wrap gap-1">
+              {availableYears.map(year => (
+                <button
+                  key={year}
+                  onClick={() => toggleYear(year)}
+                  disabled={isLoading}
+                  className={`px-2 py-0.5 text-xs rounded ${
+                    loadedYears.includes(year)
+                      ? 'bg-blue-500 text-white'
+                      : 'bg-slate-700 text-gray-300 hover:bg-slate-600'
+                  }`}
+                >
+                  {year}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {datasetSelection.mode === 'rolling' && (
+            <select
+              value={datasetSelection.window}
+              onChange={(e) => selectDatasetYears({ ...datasetSelection, window: Number(e.target.value) })}
+              disabled={isLoading}
+              className="bg-slate-700 text-gray-100 text-xs rounded px-2 py-1 border border-slate-600"
+            >
+              {availableYears.map((year, i) => (
+                <option key={year} value={i + 1}>
+                  Last {i + 1} {i === 0 ? 'year' : 'years'}
+                </option>
+              ))}
+            </select>
+          )}
+        </>
+      )}
+
+      {datasetError && (
+        <span className="w-full text-xs text-red-300">{datasetError}</span>
+      )}
+    </div>
+  );
+};
+
+export default DatasetSelector;
@@ -1,12 +1,36 @@
 import React from 'react';
 
-const LoadingSpinner = () => {
+const LoadingSpinner = ({ progress }) => {
+  // Percentage of the source file streamed so far (only known when the server sends a length)
+  const percent = progress?.totalBytes
+    ? Math.min(100, Math.round((progress.bytesLoaded / progress.totalBytes) * 100))
+    : null;
+
   return (
-    <div className="flex items-center justify-center h-full">
-      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
-      <span className="ml-3 text-gray-600">Loading data...</span>
+    <div className="flex flex-col items-center justify-center h-full">
+      <div className="flex items-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500"></div>
+        <span className="ml-3 text-gray-600">
+          {progress?.label ? `Loading ${progress.label} data...` : 'Loading data...'}
+        </span>
+      </div>
+
+      {progress && (
+        <div className="mt-4 w-64 bg-white rounded-lg p-3 shadow">
+          <div className="w-full bg-gray-200 rounded-full h-2 overflow-hidden">
+            <div
+              className={`bg-blue-500 h-2 transition-all duration-200 ${percent === null ? 'animate-pulse w-full' : ''}`}
+              style={percent === null ? undefined : { width: `${percent}%` }}
+            ></div>
+          </div>
+          <div className="flex justify-between mt-2 text-xs text-gray-600">
+            <span>{progress.rowsParsed.toLocaleString()} rows parsed</span>
+            <span>{progress.rowsRejected.toLocaleString()} rejected</span>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
 
-export default LoadingSpinner; 
\ No newline at end of file
+export default LoadingSpinner;
@@ -0,0 +1,82 @@
+import React, { useState, useMemo } from 'react';
+import { LOCATION_TYPES, searchLocations } from '../../utils/locationSearch';
+
+// Search box with autocomplete over the blocks and clusters in a location index
+// (see locationSearch.js); onSelect receives the picked entry
+const LocationSearch = ({ index, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const results = useMemo(() => searchLocations(index, query), [index, query]);
+
+  const selectResult = (entry) => {
+    setQuery(entry.value);
+    setIsOpen(false);
+    onSelect(entry);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setIsOpen(true);
+      setHighlighted(prev => Math.min(prev + 1, results.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setHighlighted(prev => Math.max(prev - 1, 0));
+    } else if (event.key === 'Enter' && results[highlighted]) {
+      event.preventDefault();
+      selectResult(results[highlighted]);
+    } else if (event.key === 'Escape') {
+      setIsOpen(false);
+    }
+  };
+
+  return (
+    <div className="relative w-72">
+      <input
+        type="search"
+        value={query}
+        placeholder="Search a block or cluster, e.g. 1200 U St"
+        onChange={e => {
+          setQuery(e.target.value);
+          setHighlighted(0);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={() => setIsOpen(false)}
+        onKeyDown={handleKeyDown}
+        className="w-full text-sm rounded-md border-gray-300 shadow-md py-1.5 px-3 focus:border-blue-500 focus:ring-1 focus:ring-blue-500"
+        aria-label="Search blocks and neighborhood clusters"
+      />
+
+      {isOpen && query.trim() && (
+        <ul className="absolute mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-72 overflow-y-auto text-xs">
+          {results.length === 0 ? (
+            <li className="px-3 py-2 text-gray-400">No blocks or clusters in the loaded data match</li>
+          ) : results.map((entry, i) => (
+            <li key={entry.id}>
+              <button
+                // Keep the focus in the box so the list stays open until the click lands
+                onMouseDown={e => e.preventDefault()}
+                onClick={() => selectResult(entry)}
+                onMouseEnter={() => setHighlighted(i)}
+                className={`w-full flex items-center text-left px-3 py-1.5 ${i === highlighted ? 'bg-blue-50' : ''}`}
+              >
+                <span className={`mr-2 px-1.5 rounded text-[10px] ${
+                  entry.type === 'block' ? 'bg-gray-100 text-gray-600' : 'bg-indigo-50 text-indigo-700'
+                }`}>
+                  {LOCATION_TYPES[entry.type].label}
+                </span>
+                <span className="truncate">{entry.value}</span>
+                <span className="ml-auto pl-2 text-gray-400">{entry.count.toLocaleString()}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default LocationSearch;
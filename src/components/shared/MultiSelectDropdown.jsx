@@ -0,0 +1,107 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+// Compact dropdown with a searchable checkbox list. counts (optional) maps each option to the
+// number of incidents it would match; options with none are dimmed.
+const MultiSelectDropdown = ({ label, options, selected, onChange, formatOption = value => value, counts }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [searchTerm, setSearchTerm] = useState('');
+  const containerRef = useRef(null);
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClick = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  const toggleOption = (value) => {
+    onChange(selected.includes(value)
+      ? selected.filter(v => v !== value)
+      : [...selected, value]);
+  };
+
+  const visibleOptions = searchTerm
+    ? options.filter(value => formatOption(value).toLowerCase().includes(searchTerm.toLowerCase()))
+    : options;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={options.length === 0}
+        className={`w-full flex items-center justify-between text-xs py-1.5 px-2.5 rounded-md border transition-all duration-200 ${
+          selected.length > 0
+            ? 'bg-blue-50 border-blue-200 text-blue-700 font-medium'
+            : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
+        } disabled:opacity-50`}
+      >
+        <span className="truncate">{label}</span>
+        {selected.length > 0 ? (
+          <span className="ml-1 bg-blue-500 text-white rounded-full text-[10px] px-1.5">{selected.length}</span>
+        ) : (
+          <svg className="h-3 w-3 ml-1 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+          </svg>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute z-20 mt-1 w-56 bg-white border border-gray-200 rounded-md shadow-lg p-2">
+          <div className="flex items-center justify-between mb-2 gap-2">
+            <input
+              type="text"
+              placeholder="Search..."
+              value={searchTerm}
+              onChange={e => setSearchTerm(e.target.value)}
+              className="text-xs border border-gray-200 rounded-md px-2 py-1 flex-1 min-w-0 focus:border-blue-300 focus:ring-1 focus:ring-blue-300"
+            />
+            {selected.length > 0 && (
+              <button
+                onClick={() => onChange([])}
+                className="text-xs bg-gray-50 text-gray-600 px-2 py-1 rounded-md border border-gray-200 hover:bg-gray-100"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          <div className="max-h-48 overflow-y-auto">
+            {visibleOptions.map(value => {
+              const count = counts ? counts[value] || 0 : null;
+
+              return (
+                <label
+                  key={value}
+                  className={`flex items-center text-xs py-0.5 hover:bg-blue-50 rounded px-1 cursor-pointer ${
+                    count === 0 && !selected.includes(value) ? 'opacity-40' : ''
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(value)}
+                    onChange={() => toggleOption(value)}
+                    className="rounded text-blue-600 focus:ring-blue-500 h-3 w-3"
+                  />
+                  <span className="ml-1.5 truncate">{formatOption(value)}</span>
+                  {count !== null && (
+                    <span className="ml-auto pl-2 text-[10px] text-gray-400">{count.toLocaleString()}</span>
+                  )}
+                </label>
+              );
+            })}
+            {visibleOptions.length === 0 && (
+              <p className="text-xs text-gray-400 px-1 py-2">No matches</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MultiSelectDropdown;
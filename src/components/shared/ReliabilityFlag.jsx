@@ -0,0 +1,22 @@
+import React from 'react';
+import { formatCv } from '../../utils/marginOfError';
+
+// Badge for an ACS estimate that is unreliable or to be used with caution, from its
+// getReliability() result; renders nothing for reliable estimates or unknown margins.
+const ReliabilityFlag = ({ reliability }) => {
+  if (!reliability || reliability.level === 'high') return null;
+  const isUnreliable = reliability.level === 'low';
+
+  return (
+    <span
+      className={`inline-flex items-center ml-1.5 px-1.5 py-0.5 rounded text-[10px] font-medium whitespace-nowrap ${
+        isUnreliable ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'
+      }`}
+      title="Coefficient of variation of the ACS estimate: its standard error as a share of the estimate. Above 12% use with caution; above 40% the estimate is unreliable."
+    >
+      {reliability.label} ({formatCv(reliability.cv)})
+    </span>
+  );
+};
+
+export default ReliabilityFlag;
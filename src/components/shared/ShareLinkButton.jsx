@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+
+// Copy the current URL, which holds the whole dashboard state (see utils/urlState.js)
+const ShareLinkButton = () => {
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+    } catch (error) {
+      // Clipboard access can be blocked (e.g. outside a secure context); let the user copy it
+      console.warn('Could not copy link:', error);
+      window.prompt('Copy this link', window.location.href);
+    }
+  };
+
+  return (
+    <button
+      onClick={copyLink}
+      className="bg-slate-800/70 px-4 py-2 rounded-lg inline-flex items-center text-gray-100 hover:bg-slate-700/80"
+      title="Copy a link to this exact view: filters, years, tab and map position"
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5 text-sky-400 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+      </svg>
+      {copied ? 'Link copied' : 'Copy link'}
+    </button>
+  );
+};
+
+export default ShareLinkButton;
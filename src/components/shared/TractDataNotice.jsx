@@ -0,0 +1,34 @@
+import React from 'react';
+import { useCrimeData } from '../../utils/CrimeDataContext';
+import { CENSUS_FILES } from '../../utils/censusDataProcessing';
+
+// Warning shown while any tract-level census table failed to load (from public/tracts or the
+// Census Reporter API): the tract values, correlations, per-capita rates and tract margins of
+// error built on it are unavailable until it does. Renders nothing once every table is in.
+const TractDataNotice = () => {
+  const { census } = useCrimeData();
+  const missing = census?.tractStatus?.missing || [];
+  if (!census || missing.length === 0) return null;
+
+  const tables = missing.map(name => {
+    const file = CENSUS_FILES.find(f => f.name === name);
+    return file ? `${file.table} (${name})` : name;
+  });
+  const noneLoaded = Object.keys(census.tractStatus.source || {}).length === 0;
+
+  return (
+    <div className="py-2 px-3 rounded border border-red-200 bg-red-50 text-xs text-red-800" role="alert">
+      <p className="font-semibold">
+        {noneLoaded ? 'Tract-level census data could not be loaded' : 'Some tract-level census tables could not be loaded'}
+      </p>
+      <p className="mt-1">
+        Missing: {tables.join(', ')}. Per-tract values, census correlations, per-capita rates and tract
+        margins of error that use {missing.length === 1 ? 'this table' : 'these tables'} are unavailable.
+        The tables are read from public/tracts when present and otherwise fetched from the Census Reporter
+        API; check the network connection or add the files (see the README), then reload.
+      </p>
+    </div>
+  );
+};
+
+export default TractDataNotice;
@@ -1,9 +1,47 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { processData, processHeatMapData, processTimeDistribution, processCrimeTypes, processTemporalTrends } from './dataProcessing';
-import { loadCensusData, correlateCrimeWithCensus } from './censusDataProcessing';
+import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
+import { aggregateIncidents } from './dataProcessing';
+import { loadCensusData, getPopulationIndex, CENSUS_FILES } from './censusDataProcessing';
+import { mergeQualityReports } from './dataQuality';
+import { loadWithCache, getSourceVersion, getSourcesVersion } from './dataCache';
+import { queryIncidents, countActiveFilters, EMPTY_FILTERS } from './queryEngine';
+import { DEFAULT_TAXONOMY, loadSavedTaxonomy, saveTaxonomy, clearSavedTaxonomy } from './crimeTaxonomy';
+import { readUrlState, writeUrlState, onUrlStateChange } from './urlState';
+import { createFilterHistory, pushFilterHistory } from './filterHistory';
 
 const CrimeDataContext = createContext();
 
+// Stream and parse incidents in a Web Worker, forwarding progress updates. The message is
+// { type: 'load', url }, { type: 'import', file, format, columnMap } or { type: 'aggregate', rawData },
+// each with the { census, clock, taxonomy } context the worker aggregates the incidents for.
+const runIncidentWorker = (message, onProgress) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./crimeDataWorker.js', import.meta.url), { type: 'module' });
+
+  worker.onmessage = ({ data: message }) => {
+    switch (message.type) {
+      case 'progress':
+        onProgress?.(message.progress);
+        break;
+      case 'complete':
+        worker.terminate();
+        resolve(message);
+        break;
+      case 'error':
+        worker.terminate();
+        reject(new Error(message.message));
+        break;
+      default:
+        break;
+    }
+  };
+
+  worker.onerror = (event) => {
+    worker.terminate();
+    reject(new Error(event.message || 'Crime data worker failed'));
+  };
+
+  worker.postMessage(message);
+});
+
 export const useCrimeData = () => {
   const context = useContext(CrimeDataContext);
   if (!context) {
@@ -12,7 +50,88 @@ export const useCrimeData = () => {
   return context;
 };
 
+// Yearly incident files are listed in a manifest so new years can be added without code changes
+const DATASET_MANIFEST_PATH = '/crime-manifest.json';
+const FALLBACK_DATASETS = [{ year: 2024, path: '/Crime Incidents in 2024.csv' }];
+
+// Load the list of yearly incident datasets, falling back to the bundled 2024 file
+const loadDatasetManifest = async () => {
+  try {
+    const response = await fetch(DATASET_MANIFEST_PATH);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const manifest = await response.json();
+    const datasets = (manifest.datasets || [])
+      .filter(dataset => Number.isInteger(dataset.year) && dataset.path)
+      .sort((a, b) => a.year - b.year);
+
+    return datasets.length > 0 ? datasets : FALLBACK_DATASETS;
+  } catch (error) {
+    console.warn('Could not load dataset manifest, using default dataset:', error);
+    return FALLBACK_DATASETS;
+  }
+};
+
+// Resolve a dataset selection (single year, several years or a rolling window) to a list of years
+export const resolveSelectedYears = (selection, availableYears) => {
+  if (!availableYears.length) return [];
+  const latestYear = availableYears[availableYears.length - 1];
+
+  switch (selection?.mode) {
+    case 'multiple': {
+      const years = (selection.years || []).filter(year => availableYears.includes(year));
+      return years.length > 0 ? [...years].sort((a, b) => a - b) : [latestYear];
+    }
+    case 'rolling': {
+      const window = Math.max(1, selection.window || 1);
+      return availableYears.filter(year => year > latestYear - window);
+    }
+    case 'single':
+    default:
+      return availableYears.includes(selection?.years?.[0]) ? [selection.years[0]] : [latestYear];
+  }
+};
+
+// Whether the worker's aggregates (see loadYears) still describe these incidents and settings
+const isCurrentAggregate = (initial, rawData, census, clock, taxonomy) => (
+  Boolean(initial) &&
+  initial.rawData === rawData &&
+  initial.context.census === census &&
+  initial.context.clock === clock &&
+  initial.context.taxonomy === taxonomy
+);
+
+// Apply the filters to the raw incidents and rebuild every derived dataset. Without an active
+// filter the aggregates the worker built for the whole dataset are used as they are.
+const applyFilters = (rawData, filters, census, clock, taxonomy, initialAggregates) => {
+  if (countActiveFilters(filters) === 0 && isCurrentAggregate(initialAggregates, rawData, census, clock, taxonomy)) {
+    return {
+      filters,
+      filteredRawData: rawData,
+      ...initialAggregates.aggregates,
+      populations: getPopulationIndex(census)
+    };
+  }
+
+  // Matching incidents come from the shared query engine, like every other view
+  const { incidents: filteredRawData } = queryIncidents(rawData, filters, clock);
+
+  return {
+    filters,
+    filteredRawData, // Store the filtered data separately
+    // Use filteredRawData for all derived data, census correlations included
+    ...aggregateIncidents(filteredRawData, { census, clock, taxonomy }),
+    // Population denominators for rates (cached per census object)
+    populations: getPopulationIndex(census)
+  };
+};
+
 export const CrimeDataProvider = ({ children }) => {
+  // Filters, clock and census selection start from the URL so shared links open the same view
+  const [initialUrlState] = useState(readUrlState);
+
   const [data, setData] = useState({
     isLoading: true,
     error: null,
@@ -22,172 +141,127 @@ export const CrimeDataProvider = ({ children }) => {
     timeDistribution: [],
     crimeTypes: [],
     temporalTrends: [],
+    loadingProgress: null,
+    dataQuality: null,
+    datasets: [],
+    availableYears: [],
+    loadedYears: [],
+    datasetSelection: { mode: 'single', years: [], window: 3 },
+    datasetError: null,
+    importedSource: null,
     census: null,
-    censusCorrelations: [],
-    showCensusOverlay: false,
-    selectedCensusMetric: 'income',
-    filters: {
-      dateRange: null,
-      crimeTypes: [],
-      shifts: []
-    }
+    censusCorrelations: null,
+    // Aggregates of all incidents built by the worker, with the data and context they describe
+    initialAggregates: null,
+    populations: null,
+    showCensusOverlay: initialUrlState.showCensusOverlay,
+    selectedCensusMetric: initialUrlState.censusMetric,
+    // 'count' or 'rate' (incidents per 1,000 residents), see crimeMeasure.js
+    crimeMeasure: initialUrlState.crimeMeasure,
+    analysisClock: initialUrlState.analysisClock,
+    taxonomy: loadSavedTaxonomy(),
+    filters: initialUrlState.filters,
+    // Bumped when filters are replaced from outside the Filters panel (e.g. browser back/forward)
+    filtersRestoreId: 0,
+    // Applied filter specs for undo/redo (see filterHistory.js)
+    filterHistory: createFilterHistory(initialUrlState.filters)
   });
 
+  // Parsed incidents and quality reports per year, so switching selections only parses years not seen before
+  const yearCacheRef = useRef({});
+
+  // Make sure every requested year is parsed, then combine them into one incident list.
+  // The worker also aggregates the combined incidents for context ({ census, clock, taxonomy }).
+  const loadYears = async (datasets, years, context) => {
+    // Aggregates the worker built while parsing a year in this call
+    const parsedAggregates = {};
+
+    for (const year of years) {
+      if (yearCacheRef.current[year]) continue;
+
+      const dataset = datasets.find(d => d.year === year);
+      const version = await getSourceVersion(dataset.path);
+
+      // Reuse the records cleaned on a previous visit unless the file has changed
+      yearCacheRef.current[year] = await loadWithCache(`incidents:${dataset.path}`, version, async () => {
+        const { rawData, quality, aggregates } = await runIncidentWorker(
+          { type: 'load', url: dataset.path, context },
+          (loadingProgress) => setData(prev => ({ ...prev, loadingProgress: { ...loadingProgress, label: `${year}` } }))
+        );
+
+        parsedAggregates[year] = aggregates;
+        return { rawData, quality };
+      });
+    }
+
+    const rawData = years.flatMap(year => yearCacheRef.current[year].rawData);
+
+    // A single year parsed just now comes with its aggregates; several years, or years read
+    // from the cache, are sent back to the worker to be aggregated together
+    const aggregates = (years.length === 1 && parsedAggregates[years[0]]) ||
+      (await runIncidentWorker({ type: 'aggregate', rawData, context })).aggregates;
+
+    return {
+      rawData,
+      dataQuality: mergeQualityReports(years.map(year => yearCacheRef.current[year].quality)),
+      initialAggregates: { rawData, context, aggregates }
+    };
+  };
+
   useEffect(() => {
     const loadData = async () => {
       try {
-        console.log('Attempting to fetch CSV data...');
-        const response = await fetch('/Crime Incidents in 2024.csv');
-        
-        if (!response.ok) {
-          throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const csvText = await response.text();
-        console.log('CSV text length:', csvText.length);
-        
-        if (!csvText.trim()) {
-          throw new Error('CSV file is empty');
-        }
-        
-        // Split by any combination of \r\n, \r, or \n
-        let rows = csvText.split(/\r\n|\r|\n/).filter(row => row.trim());
-        console.log('Number of rows:', rows.length);
-        
-        if (rows.length < 2) {
-          throw new Error('CSV file has insufficient data');
-        }
-        
-        // Parse headers
-        const headers = rows[0].split(',').map(header => header.trim());
-        console.log('Headers:', headers);
-        
-        if (!headers.includes('LATITUDE') || !headers.includes('LONGITUDE')) {
-          throw new Error('CSV file is missing required columns');
-        }
-
-        const parseRow = (row) => {
-          const values = [];
-          let currentValue = '';
-          let inQuotes = false;
-          
-          // Add a space after the last character to handle trailing empty fields
-          row = row + ' ';
-          
-          for (let i = 0; i < row.length; i++) {
-            const char = row[i];
-            const nextChar = row[i + 1];
-            
-            if (char === '"') {
-              inQuotes = !inQuotes;
-              continue;
-            }
-            
-            if (char === ',' && !inQuotes) {
-              // Handle empty fields
-              values.push(currentValue.trim());
-              currentValue = '';
-              
-              // Handle consecutive commas (empty fields)
-              while (i + 1 < row.length && row[i + 1] === ',') {
-                values.push('');
-                i++;
-              }
-            } else if (i === row.length - 1) {
-              // Handle the last field
-              currentValue += char;
-              values.push(currentValue.trim());
-            } else {
-              currentValue += char;
-            }
-          }
-          
-          // Clean up the values and handle quoted strings
-          return values.map(value => {
-            value = value.trim();
-            return value.replace(/^"|"$/g, '').trim();
-          });
-        };
-        
-        const csvData = rows.slice(1).map((row, index) => {
-          try {
-            const values = parseRow(row);
-            
-            // Log parsing details for debugging
-            console.log(`Row ${index + 2} parsed values:`, values.length);
-            
-            // Handle missing trailing fields by padding with empty strings
-            while (values.length < headers.length) {
-              values.push('');
-            }
-            
-            // Ensure we have the correct number of values
-            if (values.length !== headers.length) {
-              console.warn(`Row ${index + 2} has mismatched columns. Expected ${headers.length}, got ${values.length}`);
-              console.warn('Row:', row);
-              console.warn('Parsed values:', values);
-              return null;
-            }
-            
-            // Create object from headers and values
-            return headers.reduce((obj, header, i) => {
-              obj[header] = values[i] || ''; // Use empty string for null/undefined values
-              return obj;
-            }, {});
-          } catch (e) {
-            console.warn(`Error parsing row ${index + 2}:`, e);
-            return null;
-          }
-        }).filter(row => row !== null);
-
-        console.log('Successfully parsed rows:', csvData.length);
-        if (csvData.length > 0) {
-          console.log('Sample first row:', csvData[0]);
-        }
-
-        if (csvData.length === 0) {
-          throw new Error('No valid data rows in CSV');
-        }
-        
-        // Process the crime data
-        const processedData = await processData(csvData);
+        const datasets = await loadDatasetManifest();
+        const availableYears = datasets.map(d => d.year);
+        const selection = initialUrlState.datasetSelection ||
+          { mode: 'single', years: [availableYears[availableYears.length - 1]], window: 3 };
+        const loadedYears = resolveSelectedYears(selection, availableYears);
 
-        // Debug the processed crime types
-        console.log('Processed crime types:', processedData.crimeTypes);
-        
-        // Check for any 'Unknown' offenses
-        const unknownCount = processedData.rawData.filter(item => item.offense === 'UNKNOWN' || item.offense === 'Unknown').length;
-        console.log(`Number of Unknown offenses: ${unknownCount} out of ${processedData.rawData.length}`);
-        
-        // Load census data with better error handling
+        // Load census data first, with better error handling: the worker correlates the
+        // incidents with it while parsing them
         let censusData = null;
-        let censusCorrelations = [];
         
         try {
-          console.log('Attempting to load census data...');
-          censusData = await loadCensusData();
-          console.log('Census data loaded successfully:', !!censusData);
-          
-          if (censusData) {
-            // Create correlations between crime and census data
-            censusCorrelations = correlateCrimeWithCensus(processedData.rawData, censusData);
-            console.log('Census correlations created successfully');
-          } else {
-            console.warn('Census data is null or undefined');
-          }
+          const filesVersion = await getSourcesVersion(CENSUS_FILES.map(file => file.path));
+          // Tract-level files are optional, so a missing one is a version of its own
+          const tractVersions = await Promise.all(
+            CENSUS_FILES.filter(file => file.tractPath).map(file => getSourceVersion(file.tractPath))
+          );
+          const censusVersion = filesVersion && `${filesVersion};${tractVersions.map(version => version || 'none').join(';')}`;
+          // Only cache a complete census object, not the fallback used when files fail to load nor
+          // one missing tract tables, so a failed tract download is retried on the next visit
+          censusData = await loadWithCache(
+            'census',
+            censusVersion,
+            loadCensusData,
+            census => Boolean(census?.income) && census.tractStatus?.missing.length === 0
+          );
         } catch (censusError) {
           console.error('Error loading census data:', censusError);
           // Don't fail the entire app if census data fails to load
           censusData = null;
         }
+
+        // Parse the incidents in a worker so the tab stays responsive
+        const { rawData, dataQuality, initialAggregates } = await loadYears(
+          datasets,
+          loadedYears,
+          { census: censusData, clock: data.analysisClock, taxonomy: data.taxonomy }
+        );
         
         setData(prev => ({
           ...prev,
           isLoading: false,
-          ...processedData,
-          filteredRawData: processedData.rawData, // Initially the filtered data is the same as raw data
-          census: censusData,
-          censusCorrelations
+          rawData,
+          dataQuality,
+          initialAggregates,
+          // Initially the filtered data is the same as raw data
+          ...applyFilters(rawData, prev.filters, censusData, prev.analysisClock, prev.taxonomy, initialAggregates),
+          datasets,
+          availableYears,
+          loadedYears,
+          datasetSelection: selection,
+          census: censusData
         }));
       } catch (error) {
         console.error('Error loading crime data:', error);
@@ -202,91 +276,249 @@ export const CrimeDataProvider = ({ children }) => {
     loadData();
   }, []);
 
-  // Filter data based on current filters
-  const filterData = (filters) => {
-    setData(prev => {
-      const filteredRawData = prev.rawData.filter(incident => {
-        // Date range filter
-        if (filters.dateRange) {
-          const { start, end } = filters.dateRange;
-          const reportDate = incident.reportDate;
-          
-          // Check start date if it exists
-          if (start && (!reportDate || reportDate < start)) {
-            return false;
-          }
-          
-          // Check end date if it exists
-          if (end && (!reportDate || reportDate > end)) {
-            return false;
-          }
-        }
+  // Keep the URL in step with the dashboard state. The first write after loading replaces the
+  // entry the page was opened with; later changes add history entries for back/forward.
+  const hasWrittenUrlRef = useRef(false);
+  useEffect(() => {
+    if (data.availableYears.length === 0) return;
 
-        // Crime type filter
-        if (filters.crimeTypes.length > 0 && !filters.crimeTypes.includes(incident.offense)) {
-          return false;
-        }
+    writeUrlState({
+      filters: data.filters,
+      datasetSelection: data.datasetSelection,
+      analysisClock: data.analysisClock,
+      censusMetric: data.selectedCensusMetric,
+      showCensusOverlay: data.showCensusOverlay,
+      crimeMeasure: data.crimeMeasure
+    }, { replace: !hasWrittenUrlRef.current });
+    hasWrittenUrlRef.current = true;
+  }, [
+    data.filters,
+    data.datasetSelection,
+    data.analysisClock,
+    data.selectedCensusMetric,
+    data.showCensusOverlay,
+    data.crimeMeasure,
+    data.availableYears
+  ]);
 
-        // Shift filter
-        if (filters.shifts.length > 0 && !filters.shifts.includes(incident.shift)) {
-          return false;
-        }
+  // Restore the state of the URL the browser navigated back or forward to
+  useEffect(() => onUrlStateChange(urlState => {
+    setData(prev => ({
+      ...prev,
+      analysisClock: urlState.analysisClock,
+      selectedCensusMetric: urlState.censusMetric,
+      showCensusOverlay: urlState.showCensusOverlay,
+      crimeMeasure: urlState.crimeMeasure,
+      filtersRestoreId: prev.filtersRestoreId + 1,
+      filterHistory: pushFilterHistory(prev.filterHistory, urlState.filters),
+      ...applyFilters(prev.rawData, urlState.filters, prev.census, urlState.analysisClock, prev.taxonomy, prev.initialAggregates)
+    }));
 
-        return true;
-      });
+    const selection = urlState.datasetSelection ||
+      { mode: 'single', years: [data.availableYears[data.availableYears.length - 1]], window: 3 };
+    const years = resolveSelectedYears(selection, data.availableYears);
+    if (data.availableYears.length > 0 && !data.importedSource && years.join() !== data.loadedYears.join()) {
+      selectDatasetYears(selection);
+    }
+  }), [data.availableYears, data.loadedYears, data.importedSource, data.datasets, data.datasetSelection]);
 
-      // Reprocess filtered data
-      const newData = {
+  // Switch the active years (one year, several years or a rolling window)
+  const selectDatasetYears = async (selection) => {
+    const years = resolveSelectedYears(selection, data.availableYears);
+    const previousSelection = data.datasetSelection;
+    setData(prev => ({ ...prev, isLoading: true, loadingProgress: null, datasetError: null, datasetSelection: selection }));
+
+    try {
+      const { rawData, dataQuality, initialAggregates } = await loadYears(
+        data.datasets,
+        years,
+        { census: data.census, clock: data.analysisClock, taxonomy: data.taxonomy }
+      );
+      setData(prev => ({
+        ...prev,
+        isLoading: false,
+        rawData,
+        dataQuality,
+        initialAggregates,
+        loadedYears: years,
+        importedSource: null,
+        ...applyFilters(rawData, prev.filters, prev.census, prev.analysisClock, prev.taxonomy, initialAggregates)
+      }));
+    } catch (error) {
+      // Keep showing the years that are already loaded
+      console.error('Error loading selected years:', error);
+      setData(prev => ({
+        ...prev,
+        isLoading: false,
+        datasetSelection: previousSelection,
+        datasetError: `Could not load the selected years: ${error.message}`
+      }));
+    }
+  };
+
+  // Replace the published datasets with a file dropped by the user, using their column mapping
+  const importIncidentFile = async (file, format, columnMap) => {
+    setData(prev => ({ ...prev, isLoading: true, loadingProgress: null, datasetError: null }));
+
+    try {
+      const context = { census: data.census, clock: data.analysisClock, taxonomy: data.taxonomy };
+      const { rawData, aggregates, progress, quality } = await runIncidentWorker(
+        { type: 'import', file, format, columnMap, context },
+        (loadingProgress) => setData(prev => ({ ...prev, loadingProgress: { ...loadingProgress, label: file.name } }))
+      );
+
+      const years = [...new Set(rawData.map(incident => Number(incident.reportDateKey.slice(0, 4))))].sort((a, b) => a - b);
+      const initialAggregates = { rawData, context, aggregates };
+
+      setData(prev => ({
+        ...prev,
+        isLoading: false,
+        rawData,
+        dataQuality: quality,
+        initialAggregates,
+        loadedYears: years,
+        importedSource: { name: file.name, rowsParsed: progress.rowsParsed, rowsRejected: progress.rowsRejected },
+        ...applyFilters(rawData, prev.filters, prev.census, prev.analysisClock, prev.taxonomy, initialAggregates)
+      }));
+      return progress;
+    } catch (error) {
+      // Keep showing the data that is already loaded
+      console.error('Error importing incident file:', error);
+      setData(prev => ({
         ...prev,
-        filters,
-        filteredRawData: filteredRawData, // Store the filtered data separately  
-        // Use filteredRawData for all derived data
-        heatMapData: processHeatMapData(filteredRawData),
-        timeDistribution: processTimeDistribution(filteredRawData),
-        crimeTypes: processCrimeTypes(filteredRawData),
-        temporalTrends: processTemporalTrends(filteredRawData),
-        // Recalculate census correlations with filtered data
-        censusCorrelations: correlateCrimeWithCensus(filteredRawData, prev.census)
+        isLoading: false,
+        datasetError: `Could not import ${file.name}: ${error.message}`
+      }));
+      return null;
+    }
+  };
+
+  // Filter data based on current filters (dimensions left out of the spec are not filtered)
+  const filterData = (filters) => {
+    setData(prev => {
+      const nextFilters = { ...EMPTY_FILTERS, ...filters };
+      return {
+        ...prev,
+        filterHistory: pushFilterHistory(prev.filterHistory, nextFilters),
+        ...applyFilters(prev.rawData, nextFilters, prev.census, prev.analysisClock, prev.taxonomy, prev.initialAggregates)
       };
+    });
+  };
 
-      console.log('Filtered data:', {
-        totalRecords: filteredRawData.length,
-        heatMapSample: newData.heatMapData.slice(0, 2),
-        timeDistribution: newData.timeDistribution,
-        crimeTypesSample: newData.crimeTypes.slice(0, 2)
-      });
+  // Restrict every view to an area drawn on the map (null clears it), keeping the other filters
+  const setAreaFilter = (area) => {
+    setData(prev => {
+      const nextFilters = { ...prev.filters, area };
+      return {
+        ...prev,
+        filterHistory: pushFilterHistory(prev.filterHistory, nextFilters),
+        ...applyFilters(prev.rawData, nextFilters, prev.census, prev.analysisClock, prev.taxonomy, prev.initialAggregates)
+      };
+    });
+  };
 
-      return newData;
+  // Set one filter dimension from outside the Filters panel (e.g. a block picked in the map
+  // search), keeping the other filters
+  const setFilterValues = (key, values) => {
+    setData(prev => {
+      const nextFilters = { ...prev.filters, [key]: values };
+      return {
+        ...prev,
+        filtersRestoreId: prev.filtersRestoreId + 1,
+        filterHistory: pushFilterHistory(prev.filterHistory, nextFilters),
+        ...applyFilters(prev.rawData, nextFilters, prev.census, prev.analysisClock, prev.taxonomy, prev.initialAggregates)
+      };
     });
   };
-  
-  // Toggle census data overlay
-  const toggleCensusOverlay = () => {
-    console.log('Toggling census overlay');
+
+  // Go back to the filters at a position in the history (for undo, redo and the breadcrumbs).
+  // getIndex receives the current position, so rapid key presses each move one step.
+  const goToFilterHistory = (getIndex) => {
     setData(prev => {
-      const newState = {
+      const index = getIndex(prev.filterHistory.index);
+      const entry = prev.filterHistory.entries[index];
+      if (!entry || index === prev.filterHistory.index) return prev;
+
+      return {
         ...prev,
-        showCensusOverlay: !prev.showCensusOverlay
+        filtersRestoreId: prev.filtersRestoreId + 1,
+        filterHistory: { ...prev.filterHistory, index },
+        ...applyFilters(prev.rawData, entry.filters, prev.census, prev.analysisClock, prev.taxonomy, prev.initialAggregates)
       };
-      console.log('New census overlay state:', newState.showCensusOverlay);
-      return newState;
     });
   };
+
+  const undoFilters = () => goToFilterHistory(index => index - 1);
+
+  const redoFilters = () => goToFilterHistory(index => index + 1);
+
+  const jumpToFilters = (index) => goToFilterHistory(() => index);
+
+  // Switch between report time and occurrence time for every time-based view
+  const setAnalysisClock = (clock) => {
+    setData(prev => ({
+      ...prev,
+      analysisClock: clock,
+      ...applyFilters(prev.rawData, prev.filters, prev.census, clock, prev.taxonomy, prev.initialAggregates)
+    }));
+  };
+  
+  // Replace the crime taxonomy (weights, categories, colors) and recompute everything derived from it.
+  // Passing null restores the defaults from src/config/crimeTaxonomy.json.
+  const updateTaxonomy = (taxonomy) => {
+    if (taxonomy) {
+      saveTaxonomy(taxonomy);
+    } else {
+      clearSavedTaxonomy();
+    }
+
+    const nextTaxonomy = taxonomy || DEFAULT_TAXONOMY;
+    setData(prev => ({
+      ...prev,
+      taxonomy: nextTaxonomy,
+      ...applyFilters(prev.rawData, prev.filters, prev.census, prev.analysisClock, nextTaxonomy, prev.initialAggregates)
+    }));
+  };
+  
+  // Toggle census data overlay
+  const toggleCensusOverlay = () => {
+    setData(prev => ({
+      ...prev,
+      showCensusOverlay: !prev.showCensusOverlay
+    }));
+  };
   
   // Change the selected census metric for visualization
   const selectCensusMetric = (metric) => {
-    console.log('Setting census metric to:', metric);
     setData(prev => ({
       ...prev,
       selectedCensusMetric: metric
     }));
   };
 
+  // Compare areas and offenses by incident counts or by incidents per 1,000 residents
+  const setCrimeMeasure = (measure) => {
+    setData(prev => ({
+      ...prev,
+      crimeMeasure: measure
+    }));
+  };
+
   const value = {
     ...data,
     filterData,
+    setAreaFilter,
+    setFilterValues,
+    undoFilters,
+    redoFilters,
+    jumpToFilters,
+    selectDatasetYears,
+    importIncidentFile,
+    setAnalysisClock,
+    updateTaxonomy,
     toggleCensusOverlay,
-    selectCensusMetric
+    selectCensusMetric,
+    setCrimeMeasure
   };
 
   return (
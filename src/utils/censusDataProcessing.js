@@ -1,6 +1,13 @@
 // Census Data Processing Utility
 // Handles loading and transforming census data for visualization integration
 
+import { isViolentOffense } from './crimeTaxonomy';
+import { correlate } from './correlationStats';
+import { getRate } from './crimeMeasure';
+import { CENSUS_METRICS } from './censusMetrics';
+import { sumMoe, proportionMoe, scaleMoe, getReliability } from './marginOfError';
+import tractCrosswalk from '../config/tractCrosswalk.json';
+
 // Maps to convert census data codes to readable labels
 const censusCodeMaps = {
   income: {
@@ -47,9 +54,10 @@ const censusCodeMaps = {
   },
   housing: {
     'B25075001': 'Total',
-    'B25075025': '$750,000 to $999,999',
-    'B25075026': '$1,000,000 to $1,499,999',
-    'B25075027': '$1,500,000 or more'
+    'B25075024': '$750,000 to $999,999',
+    'B25075025': '$1,000,000 to $1,499,999',
+    'B25075026': '$1,500,000 to $1,999,999',
+    'B25075027': '$2,000,000 or more'
   },
   poverty: {
     'B17001002': 'Income in the past 12 months below poverty level',
@@ -63,28 +71,112 @@ const censusCodeMaps = {
     'B08006015': 'Bicycle',
     'B08006016': 'Taxicab, motorcycle, or other means',
     'B08006017': 'Worked from home'
+  },
+  age: {
+    'B01001001': 'Total',
+    'B01001003': 'Male: Under 5 years',
+    'B01001004': 'Male: 5 to 9 years',
+    'B01001005': 'Male: 10 to 14 years',
+    'B01001006': 'Male: 15 to 17 years',
+    'B01001027': 'Female: Under 5 years',
+    'B01001028': 'Female: 5 to 9 years',
+    'B01001029': 'Female: 10 to 14 years',
+    'B01001030': 'Female: 15 to 17 years'
+  },
+  language: {
+    'B16007001': 'Total (5 years and over)',
+    'B16007003': '5 to 17 years: Speak only English',
+    'B16007009': '18 to 64 years: Speak only English',
+    'B16007015': '65 years and over: Speak only English'
+  },
+  units: {
+    'B25024001': 'Total',
+    'B25024006': '5 to 9 units',
+    'B25024007': '10 to 19 units',
+    'B25024008': '20 to 49 units',
+    'B25024009': '50 or more units'
+  },
+  occupancy: {
+    'B25002001': 'Total',
+    'B25002002': 'Occupied',
+    'B25002003': 'Vacant'
+  },
+  families: {
+    'B11002001': 'Total (population in households)',
+    'B11002002': 'In family households',
+    'B11002006': 'In other families: Male householder, no spouse present',
+    'B11002009': 'In other families: Female householder, no spouse present',
+    'B11002012': 'In nonfamily households'
+  },
+  veteran: {
+    'B21002001': 'Total (civilian veterans 18 years and over)'
+  },
+  fertility: {
+    'B13016001': 'Total (women 15 to 50 years)',
+    'B13016002': 'Women who had a birth in the past 12 months',
+    'B13016010': 'Women who did not have a birth in the past 12 months'
+  },
+  birth: {
+    'B05006001': 'Total (foreign-born population)'
   }
 };
 
-// Function to load all census data files
+// Household income brackets of table B19001 (lower bound, upper bound; the last is open-ended)
+const INCOME_BRACKETS = [
+  ['B19001002', 0, 10000], ['B19001003', 10000, 15000], ['B19001004', 15000, 20000],
+  ['B19001005', 20000, 25000], ['B19001006', 25000, 30000], ['B19001007', 30000, 35000],
+  ['B19001008', 35000, 40000], ['B19001009', 40000, 45000], ['B19001010', 45000, 50000],
+  ['B19001011', 50000, 60000], ['B19001012', 60000, 75000], ['B19001013', 75000, 100000],
+  ['B19001014', 100000, 125000], ['B19001015', 125000, 150000], ['B19001016', 150000, 200000],
+  ['B19001017', 200000, null]
+];
+
+// Owner-occupied home value brackets of table B25075
+const HOME_VALUE_BRACKETS = [
+  ['B25075002', 0, 10000], ['B25075003', 10000, 15000], ['B25075004', 15000, 20000],
+  ['B25075005', 20000, 25000], ['B25075006', 25000, 30000], ['B25075007', 30000, 35000],
+  ['B25075008', 35000, 40000], ['B25075009', 40000, 50000], ['B25075010', 50000, 60000],
+  ['B25075011', 60000, 70000], ['B25075012', 70000, 80000], ['B25075013', 80000, 90000],
+  ['B25075014', 90000, 100000], ['B25075015', 100000, 125000], ['B25075016', 125000, 150000],
+  ['B25075017', 150000, 175000], ['B25075018', 175000, 200000], ['B25075019', 200000, 250000],
+  ['B25075020', 250000, 300000], ['B25075021', 300000, 400000], ['B25075022', 400000, 500000],
+  ['B25075023', 500000, 750000], ['B25075024', 750000, 1000000], ['B25075025', 1000000, 1500000],
+  ['B25075026', 1500000, 2000000], ['B25075027', 2000000, null]
+];
+
+// Census tracts in DC have geoids 14000US11001 followed by the six-digit tract code
+export const TRACT_GEOID_PREFIX = '14000US11001';
+
+// Census files to load. tractPath is the same table exported for every DC census tract
+// (see README) and table its ACS table id; without a tractPath file the table's tract rows
+// are fetched from the Census Reporter API instead.
+export const CENSUS_FILES = [
+  { name: 'income', path: '/dc_income.csv', tractPath: '/tracts/dc_income.csv', table: 'B19001' },
+  { name: 'education', path: '/dc_education.csv', tractPath: '/tracts/dc_education.csv', table: 'B15002' },
+  { name: 'race', path: '/dc_race.csv', tractPath: '/tracts/dc_race.csv', table: 'B03002' },
+  { name: 'poverty', path: '/dc_poverty.csv', tractPath: '/tracts/dc_poverty.csv', table: 'B17001' },
+  { name: 'value', path: '/dc_value.csv', tractPath: '/tracts/dc_value.csv', table: 'B25075' },
+  // Sex by age (B01001); its first column is the total population, the same count as B01003
+  { name: 'age', path: '/dc_age.csv', tractPath: '/tracts/dc_age.csv', table: 'B01001' },
+  { name: 'language', path: '/dc_language.csv', tractPath: '/tracts/dc_language.csv', table: 'B16007' },
+  { name: 'units', path: '/dc_units.csv', tractPath: '/tracts/dc_units.csv', table: 'B25024' },
+  { name: 'occupancy', path: '/dc_occupancy.csv', tractPath: '/tracts/dc_occupancy.csv', table: 'B25002' },
+  { name: 'families', path: '/dc_families.csv', tractPath: '/tracts/dc_families.csv', table: 'B11002' },
+  { name: 'veteran', path: '/dc_veteran.csv', tractPath: '/tracts/dc_veteran.csv', table: 'B21002' },
+  { name: 'fertility', path: '/dc_fertility.csv', tractPath: '/tracts/dc_fertility.csv', table: 'B13016' },
+  // Place of birth of the foreign-born population (B05006); its first column is their total
+  { name: 'birth', path: '/dc_birth.csv', tractPath: '/tracts/dc_birth.csv', table: 'B05006' },
+  { name: 'mobility', path: '/dc_mobility.csv' },
+  { name: 'transportation', path: '/dc_transportation.csv' },
+  { name: 'tenure', path: '/dc_tenure.csv' }
+];
+
 export const loadCensusData = async () => {
   try {
     console.log('Loading census data files...');
     
-    // Define the files to load
-    const censusFiles = [
-      { name: 'income', path: '/dc_income.csv' },
-      { name: 'education', path: '/dc_education.csv' },
-      { name: 'race', path: '/dc_race.csv' },
-      { name: 'poverty', path: '/dc_poverty.csv' },
-      { name: 'value', path: '/dc_value.csv' },
-      { name: 'mobility', path: '/dc_mobility.csv' },
-      { name: 'transportation', path: '/dc_transportation.csv' },
-      { name: 'tenure', path: '/dc_tenure.csv' }
-    ];
-    
     // Load each file
-    const filePromises = censusFiles.map(async (file) => {
+    const filePromises = CENSUS_FILES.map(async (file) => {
       try {
         console.log(`Fetching ${file.name} data from ${file.path}...`);
         const response = await fetch(file.path);
@@ -127,10 +219,12 @@ export const loadCensusData = async () => {
       acc[name] = data;
       return acc;
     }, {});
+
+    const { tractData, status: tractStatus } = await loadTractTables();
     
     console.log('Census data loaded successfully');
     
-    const processedData = processCensusData(censusData);
+    const processedData = processCensusData(censusData, tractData, tractStatus);
     
     // Verify that we have data
     if (!processedData || !processedData.derivedMetrics) {
@@ -163,6 +257,73 @@ export const loadCensusData = async () => {
   }
 };
 
+// Census Reporter's data API, the source of the dc_*.csv exports: the latest ACS 5-year
+// release of a table for every census tract (summary level 140) in the District (05000US11001)
+export const TRACT_API_URL = 'https://api.censusreporter.org/1.0/data/show/latest';
+const TRACT_API_GEOS = '140|05000US11001';
+
+const isTractRow = (row) => typeof row.geoid === 'string' && row.geoid.startsWith(TRACT_GEOID_PREFIX);
+
+// Tract rows of a tract-level file in public/tracts, or null when there is none. Rows for other
+// geographies (and pages served in place of a missing file) are dropped.
+const fetchTractFile = async (file) => {
+  const response = await fetch(file.tractPath);
+  if (!response.ok) return null;
+  const rows = parseCSV(await response.text()).filter(isTractRow);
+  return rows.length > 0 ? rows : null;
+};
+
+// Tract rows of a table from the Census Reporter API, in the shape parseCSV gives the exported
+// files: estimates by column code, and margins of error in moe (a null margin is a controlled
+// estimate, published blank in the exports)
+const fetchTractTable = async (file) => {
+  const params = new URLSearchParams({ table_ids: file.table, geo_ids: TRACT_API_GEOS });
+  const response = await fetch(`${TRACT_API_URL}?${params}`);
+  if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+  const { data = {}, geography = {} } = await response.json();
+  return Object.entries(data)
+    .map(([geoid, tables]) => {
+      const { estimate = {}, error = {} } = tables[file.table] || {};
+      const row = { geoid, name: geography[geoid]?.name || geoid, moe: {} };
+      Object.entries(estimate).forEach(([code, value]) => {
+        if (typeof value === 'number') row[code] = value;
+      });
+      Object.entries(error).forEach(([code, value]) => {
+        row.moe[code] = typeof value === 'number' ? value : 0;
+      });
+      return row;
+    })
+    .filter(isTractRow);
+};
+
+// Tract rows of every table with a tract-level source, from public/tracts when the file is there
+// and otherwise from the Census Reporter API, plus a status of { source, missing } where source
+// maps each loaded table to 'file' or 'api' and missing lists the tables neither could provide
+const loadTractTables = async () => {
+  const tables = await Promise.all(CENSUS_FILES.filter(file => file.tractPath).map(async (file) => {
+    try {
+      const fileRows = await fetchTractFile(file).catch(() => null);
+      if (fileRows) return [file.name, fileRows, 'file'];
+
+      const apiRows = await fetchTractTable(file);
+      return [file.name, apiRows, apiRows.length > 0 ? 'api' : null];
+    } catch (error) {
+      console.warn(`Could not load tract-level ${file.name} data:`, error);
+      return [file.name, [], null];
+    }
+  }));
+
+  const status = {
+    source: Object.fromEntries(tables.filter(([, , source]) => source).map(([name, , source]) => [name, source])),
+    missing: tables.filter(([, , source]) => !source).map(([name]) => name)
+  };
+  if (status.missing.length > 0) {
+    console.warn(`Tract-level census data missing for ${status.missing.join(', ')}; their tract values will be null`);
+  }
+  return { tractData: Object.fromEntries(tables.map(([name, rows]) => [name, rows])), status };
+};
+
 // Parse CSV text into JSON
 const parseCSV = (csvText) => {
   // Split by rows
@@ -178,7 +339,12 @@ const parseCSV = (csvText) => {
       // For census data, we want to keep the numeric values as numbers
       const value = values[index];
       if (header.includes('Error')) {
-        // Skip error margin columns
+        // Margins of error go in row.moe by estimate code. A blank margin is published for
+        // controlled estimates (e.g. total population), which have no sampling error.
+        const margin = value === '' ? 0 : Number(value);
+        if (value !== undefined && !isNaN(margin)) {
+          obj.moe = { ...obj.moe, [header.replace(/,\s*Error$/, '')]: margin };
+        }
         return obj;
       }
       
@@ -214,7 +380,7 @@ const parseCSVRow = (row) => {
 };
 
 // Process the loaded census data into useful formats for visualization
-const processCensusData = (rawData) => {
+const processCensusData = (rawData, tractData = {}, tractStatus = null) => {
   // Use Washington DC specific data (match by geoid for Washington DC)
   const dcGeoid = '16000US1150000';
   
@@ -228,9 +394,23 @@ const processCensusData = (rawData) => {
     mobility: extractDataForDC(rawData.mobility, dcGeoid),
     transportation: extractDataForDC(rawData.transportation, dcGeoid),
     tenure: extractDataForDC(rawData.tenure, dcGeoid),
+    age: extractDataForDC(rawData.age, dcGeoid),
+    language: extractDataForDC(rawData.language, dcGeoid),
+    units: extractDataForDC(rawData.units, dcGeoid),
+    occupancy: extractDataForDC(rawData.occupancy, dcGeoid),
+    families: extractDataForDC(rawData.families, dcGeoid),
+    veteran: extractDataForDC(rawData.veteran, dcGeoid),
+    fertility: extractDataForDC(rawData.fertility, dcGeoid),
+    birth: extractDataForDC(rawData.birth, dcGeoid),
     
     // Derived metrics (calculated from the raw data)
-    derivedMetrics: calculateDerivedMetrics(rawData, dcGeoid)
+    derivedMetrics: calculateDerivedMetrics(rawData, dcGeoid),
+
+    // Population and census metrics (see censusMetrics.js) of each census tract, by geoid
+    tracts: calculateTractMetrics(tractData),
+
+    // Where each table's tract rows came from and which tables have none (see loadTractTables)
+    tractStatus
   };
   
   return processedData;
@@ -248,6 +428,200 @@ const extractDataForDC = (dataset, dcGeoid) => {
   return dcData;
 };
 
+// Bachelor's, master's, professional and doctorate degrees (B15002, both sexes)
+const HIGHER_EDUCATION_FIELDS = [
+  'B15002015', 'B15002016', 'B15002017', 'B15002018',
+  'B15002032', 'B15002033', 'B15002034', 'B15002035'
+];
+
+// Share of adults 25+ with a bachelor's degree or higher (B15002), in percent
+const getHigherEducationPercentage = (education) => {
+  const totalPopulation = education.B15002001 || 0;
+  
+  const higherEducationTotal = HIGHER_EDUCATION_FIELDS.reduce(
+    (total, field) => total + (education[field] || 0), 0
+  );
+  
+  return totalPopulation > 0 ? (higherEducationTotal / totalPopulation) * 100 : 0;
+};
+
+// Share of people below the poverty level (B17001), in percent
+const getPovertyPercentage = (poverty) => {
+  const totalPovertyPopulation = (poverty.B17001001 || 0);
+  const belowPovertyCount = poverty.B17001002 || 0;
+  return totalPovertyPopulation > 0 ? (belowPovertyCount / totalPovertyPopulation) * 100 : 0;
+};
+
+// Share of a total in percent, or null when the total is missing or zero
+const getPercentage = (count, total) => (total > 0 ? ((count || 0) / total) * 100 : null);
+
+const sumFields = (row, fields) => fields.reduce((total, field) => total + (row[field] || 0), 0);
+
+// Residents under 18 (B01001, both sexes)
+const UNDER_18_FIELDS = [
+  'B01001003', 'B01001004', 'B01001005', 'B01001006',
+  'B01001027', 'B01001028', 'B01001029', 'B01001030'
+];
+
+// Housing units in buildings with 5 or more units (B25024)
+const MULTI_UNIT_FIELDS = ['B25024006', 'B25024007', 'B25024008', 'B25024009'];
+
+// Residents 5 and older who speak only English at home, per age group (B16007)
+const ENGLISH_ONLY_FIELDS = ['B16007003', 'B16007009', 'B16007015'];
+
+// Household residents in families with a male or female householder and no spouse (B11002)
+const SINGLE_PARENT_FIELDS = ['B11002006', 'B11002009'];
+
+// Metrics of the age, language, units, occupancy, families, veteran, fertility and birth tables
+// for one geography, each null when its table has no row or no universe:
+// - youth: % of residents under 18; veterans: % of adults (18+) who are civilian veterans
+// - foreignBorn: % of residents born abroad (the B05006 total over the B01001 population)
+// - vacancy: % of housing units vacant; multiUnit: % in buildings with 5 or more units
+// - language: % of residents 5+ speaking a language other than English at home. B16007 does not
+//   record English ability, so this is the closest measure to limited-English households it holds
+// - singleParent: % of household residents in families with a householder and no spouse; B11002
+//   does not split them by children, so some are other relatives living together
+// - births: women with a birth in the past 12 months per 1,000 women aged 15 to 50
+const getPopulationMetrics = ({ age = {}, language = {}, units = {}, occupancy = {}, families = {}, veteran = {}, fertility = {}, birth = {} }) => {
+  const population = age.B01001001 || 0;
+  const under18 = sumFields(age, UNDER_18_FIELDS);
+  const englishOnly = sumFields(language, ENGLISH_ONLY_FIELDS);
+
+  return {
+    youth: getPercentage(under18, population),
+    vacancy: getPercentage(occupancy.B25002003, occupancy.B25002001),
+    multiUnit: getPercentage(sumFields(units, MULTI_UNIT_FIELDS), units.B25024001),
+    language: language.B16007001 > 0 ? getPercentage(language.B16007001 - englishOnly, language.B16007001) : null,
+    foreignBorn: birth.B05006001 !== undefined ? getPercentage(birth.B05006001, population) : null,
+    singleParent: getPercentage(sumFields(families, SINGLE_PARENT_FIELDS), families.B11002001),
+    veterans: veteran.B21002001 !== undefined ? getPercentage(veteran.B21002001, population - under18) : null,
+    births: fertility.B13016001 > 0 ? (fertility.B13016002 || 0) / fertility.B13016001 * 1000 : null
+  };
+};
+
+// Value below which a share (0-1) of a bracketed distribution falls, interpolated linearly
+// within its bracket the way the Census Bureau does for medians. A value in the open-ended top
+// bracket is its lower bound, flagged with openEnded. Null for an empty distribution.
+const getBracketPercentile = (row, brackets, share) => {
+  const total = brackets.reduce((sum, [field]) => sum + (row[field] || 0), 0);
+  if (total === 0) return null;
+
+  let cumulative = 0;
+  for (const [field, lower, upper] of brackets) {
+    const count = row[field] || 0;
+    if (cumulative + count >= total * share) {
+      if (upper === null) return { value: lower, openEnded: true };
+      if (count === 0) return { value: lower, openEnded: false };
+      return { value: lower + ((total * share - cumulative) / count) * (upper - lower), openEnded: false };
+    }
+    cumulative += count;
+  }
+  return null;
+};
+
+// Median of a bracketed distribution; a median in the open-ended top bracket is its lower bound
+const getMedianFromBrackets = (row, brackets) => getBracketPercentile(row, brackets, 0.5)?.value ?? null;
+
+const moeOf = (row, field) => row?.moe?.[field];
+
+const sumFieldMoes = (row, fields) => sumMoe(fields.map(field => moeOf(row, field)));
+
+// MOE of a percentage x / y of a subset
+const getPercentageMoe = (x, y, moeX, moeY) => scaleMoe(proportionMoe(x, y, moeX, moeY), 100);
+
+// MOE of a bracketed median, following the ACS handbook's method for medians: the 50% point is
+// moved up and down by the MOE of a 50% proportion and the median is read off at both ends. The
+// handbook takes that proportion's error from a published design factor; here it comes from the
+// margins of the brackets below the median and of the table total. Null when either end falls
+// in the open-ended top bracket, which has no upper bound.
+const getMedianMoe = (row, brackets, totalField) => {
+  const total = brackets.reduce((sum, [field]) => sum + (row[field] || 0), 0);
+  if (total === 0) return null;
+
+  // Margins of the brackets below the median, and of the part of the median bracket below it
+  const belowMoes = [];
+  let cumulative = 0;
+  for (const [field] of brackets) {
+    const count = row[field] || 0;
+    if (cumulative + count >= total / 2) {
+      belowMoes.push(scaleMoe(moeOf(row, field), count > 0 ? (total / 2 - cumulative) / count : 0));
+      break;
+    }
+    belowMoes.push(moeOf(row, field));
+    cumulative += count;
+  }
+
+  const shareMoe = proportionMoe(total / 2, total, sumMoe(belowMoes), moeOf(row, totalField));
+  if (shareMoe === null) return null;
+  const low = getBracketPercentile(row, brackets, Math.max(0, 0.5 - shareMoe));
+  const high = getBracketPercentile(row, brackets, Math.min(1, 0.5 + shareMoe));
+  if (!low || !high || high.openEnded) return null;
+  return (high.value - low.value) / 2;
+};
+
+// Non-Hispanic white, Black and Asian, and Hispanic residents (B03002), as in the diversity index
+const RACE_GROUP_FIELDS = ['B03002003', 'B03002004', 'B03002006', 'B03002012'];
+
+// MOE of the diversity index 1 - Σp² by the delta method, sqrt(Σ(2p · MOE(p))²), treating the
+// group shares as independent; the handbook has no formula for the index itself
+const getDiversityMoe = (race) => {
+  const total = race.B03002001;
+  if (!(total > 0)) return null;
+  return sumMoe(RACE_GROUP_FIELDS.map(field => {
+    const share = (race[field] || 0) / total;
+    return scaleMoe(proportionMoe(race[field] || 0, total, moeOf(race, field), moeOf(race, 'B03002001')), 2 * share);
+  }));
+};
+
+// Margins of error (90%) of the population and of every census metric for one geography, with
+// the keys of the tract metrics (see censusMetrics.js), from the margins published with each
+// table (row.moe). Sums and proportions use the ACS handbook formulas; a margin is null when a
+// table or one of its margins is missing.
+const getMetricMargins = ({
+  income = {}, education = {}, poverty = {}, housing = {}, race = {}, age = {}, language = {},
+  units = {}, occupancy = {}, families = {}, veteran = {}, fertility = {}, birth = {}
+}) => {
+  const population = age.B01001001 || 0;
+  const populationMoe = moeOf(age, 'B01001001');
+  const under18 = sumFields(age, UNDER_18_FIELDS);
+  const under18Moe = sumFieldMoes(age, UNDER_18_FIELDS);
+  const adultsMoe = sumMoe([populationMoe, under18Moe]);
+
+  return {
+    population: populationMoe ?? null,
+    income: getMedianMoe(income, INCOME_BRACKETS, 'B19001001'),
+    housing: getMedianMoe(housing, HOME_VALUE_BRACKETS, 'B25075001'),
+    education: getPercentageMoe(
+      sumFields(education, HIGHER_EDUCATION_FIELDS), education.B15002001,
+      sumFieldMoes(education, HIGHER_EDUCATION_FIELDS), moeOf(education, 'B15002001')
+    ),
+    poverty: getPercentageMoe(poverty.B17001002 || 0, poverty.B17001001, moeOf(poverty, 'B17001002'), moeOf(poverty, 'B17001001')),
+    diversity: getDiversityMoe(race),
+    youth: getPercentageMoe(under18, population, under18Moe, populationMoe),
+    vacancy: getPercentageMoe(occupancy.B25002003 || 0, occupancy.B25002001, moeOf(occupancy, 'B25002003'), moeOf(occupancy, 'B25002001')),
+    multiUnit: getPercentageMoe(
+      sumFields(units, MULTI_UNIT_FIELDS), units.B25024001,
+      sumFieldMoes(units, MULTI_UNIT_FIELDS), moeOf(units, 'B25024001')
+    ),
+    // The share speaking another language is the complement of the English-only share, with its MOE
+    language: getPercentageMoe(
+      sumFields(language, ENGLISH_ONLY_FIELDS), language.B16007001,
+      sumFieldMoes(language, ENGLISH_ONLY_FIELDS), moeOf(language, 'B16007001')
+    ),
+    foreignBorn: getPercentageMoe(birth.B05006001 || 0, population, moeOf(birth, 'B05006001'), populationMoe),
+    singleParent: getPercentageMoe(
+      sumFields(families, SINGLE_PARENT_FIELDS), families.B11002001,
+      sumFieldMoes(families, SINGLE_PARENT_FIELDS), moeOf(families, 'B11002001')
+    ),
+    // Adults are the population minus those under 18, so their MOE is that of a difference
+    veterans: getPercentageMoe(veteran.B21002001 || 0, population - under18, moeOf(veteran, 'B21002001'), adultsMoe),
+    births: scaleMoe(
+      proportionMoe(fertility.B13016002 || 0, fertility.B13016001, moeOf(fertility, 'B13016002'), moeOf(fertility, 'B13016001')),
+      1000
+    )
+  };
+};
+
 // Calculate derived metrics useful for visualization
 const calculateDerivedMetrics = (rawData, dcGeoid) => {
   const income = extractDataForDC(rawData.income, dcGeoid);
@@ -255,30 +629,29 @@ const calculateDerivedMetrics = (rawData, dcGeoid) => {
   const poverty = extractDataForDC(rawData.poverty, dcGeoid);
   const housing = extractDataForDC(rawData.value, dcGeoid);
   const race = extractDataForDC(rawData.race, dcGeoid);
+  const age = extractDataForDC(rawData.age, dcGeoid);
+  const populationRows = {
+    age,
+    language: extractDataForDC(rawData.language, dcGeoid),
+    units: extractDataForDC(rawData.units, dcGeoid),
+    occupancy: extractDataForDC(rawData.occupancy, dcGeoid),
+    families: extractDataForDC(rawData.families, dcGeoid),
+    veteran: extractDataForDC(rawData.veteran, dcGeoid),
+    fertility: extractDataForDC(rawData.fertility, dcGeoid),
+    birth: extractDataForDC(rawData.birth, dcGeoid)
+  };
+  const populationMetrics = getPopulationMetrics(populationRows);
+  const margins = getMetricMargins({ income, education, poverty, housing, race, ...populationRows });
   
   // Calculate higher education percentage
-  const totalPopulation = education.B15002001 || 0;
-  const higherEducationFields = [
-    'B15002015', 'B15002016', 'B15002017', 'B15002018',
-    'B15002032', 'B15002033', 'B15002034', 'B15002035'
-  ];
-  
-  const higherEducationTotal = higherEducationFields.reduce(
-    (total, field) => total + (education[field] || 0), 0
-  );
-  
-  const higherEducationPercentage = 
-    totalPopulation > 0 ? (higherEducationTotal / totalPopulation) * 100 : 0;
+  const higherEducationPercentage = getHigherEducationPercentage(education);
   
   // Calculate poverty percentage
-  const totalPovertyPopulation = (poverty.B17001001 || 0);
-  const belowPovertyCount = poverty.B17001002 || 0;
-  const povertyPercentage = 
-    totalPovertyPopulation > 0 ? (belowPovertyCount / totalPovertyPopulation) * 100 : 0;
+  const povertyPercentage = getPovertyPercentage(poverty);
   
   // Calculate high value housing percentage
   const totalHousingUnits = housing.B25075001 || 0;
-  const highValueFields = ['B25075025', 'B25075026', 'B25075027']; // 750K and above
+  const highValueFields = ['B25075025', 'B25075026', 'B25075027']; // $1M and above
   const highValueTotal = highValueFields.reduce(
     (total, field) => total + (housing[field] || 0), 0
   );
@@ -286,6 +659,37 @@ const calculateDerivedMetrics = (rawData, dcGeoid) => {
   const highValueHousingPercentage = 
     totalHousingUnits > 0 ? (highValueTotal / totalHousingUnits) * 100 : 0;
   
+  const { diversityIndex, racialComposition } = getRacialComposition(race);
+  
+  return {
+    // Total population (B01001001), the denominator of District-wide rates
+    population: age.B01001001 > 0 ? age.B01001001 : null,
+    medianIncome: getMedianFromBrackets(income, INCOME_BRACKETS),
+    medianHousingValue: getMedianFromBrackets(housing, HOME_VALUE_BRACKETS),
+    higherEducationPercentage,
+    povertyPercentage,
+    highValueHousingPercentage,
+    diversityIndex,
+    racialComposition,
+    // District-wide values of the metrics in getPopulationMetrics (see censusMetrics.js)
+    youthPercentage: populationMetrics.youth,
+    vacancyRate: populationMetrics.vacancy,
+    multiUnitPercentage: populationMetrics.multiUnit,
+    otherLanguagePercentage: populationMetrics.language,
+    foreignBornPercentage: populationMetrics.foreignBorn,
+    singleParentPercentage: populationMetrics.singleParent,
+    veteranPercentage: populationMetrics.veterans,
+    birthRate: populationMetrics.births,
+    // 90% margins of error of the population and of each metric above, by the same names
+    moe: {
+      population: margins.population,
+      ...Object.fromEntries(CENSUS_METRICS.map(({ field, districtField }) => [districtField, margins[field]]))
+    }
+  };
+};
+
+// Diversity index and racial composition (B03002)
+const getRacialComposition = (race) => {
   // Calculate diversity index (simplified)
   const totalRacePopulation = race.B03002001 || 0;
   const whitePopulation = race.B03002003 || 0;
@@ -308,9 +712,6 @@ const calculateDerivedMetrics = (rawData, dcGeoid) => {
   );
   
   return {
-    higherEducationPercentage,
-    povertyPercentage,
-    highValueHousingPercentage,
     diversityIndex,
     racialComposition: {
       white: whitePercent * 100,
@@ -322,42 +723,186 @@ const calculateDerivedMetrics = (rawData, dcGeoid) => {
   };
 };
 
-// Extract census data for correlation with crime by tract
+// Metrics of every tract in the tract-level tables, keyed by geoid. A metric is null when its
+// table has no row for the tract or the row has no population.
+const calculateTractMetrics = (tractData) => {
+  const rowsByTable = Object.fromEntries(Object.entries(tractData).map(([name, rows]) => (
+    [name, new Map(rows.map(row => [row.geoid, row]))]
+  )));
+  const geoids = new Set(Object.values(tractData).flat().map(row => row.geoid));
+
+  const tracts = {};
+  geoids.forEach(geoid => {
+    const income = rowsByTable.income?.get(geoid);
+    const education = rowsByTable.education?.get(geoid);
+    const poverty = rowsByTable.poverty?.get(geoid);
+    const housing = rowsByTable.value?.get(geoid);
+    const race = rowsByTable.race?.get(geoid);
+    const age = rowsByTable.age?.get(geoid);
+    const populationRows = Object.fromEntries(
+      ['language', 'units', 'occupancy', 'families', 'veteran', 'fertility', 'birth']
+        .map(table => [table, rowsByTable[table]?.get(geoid)])
+        .filter(([, row]) => row)
+    );
+    const name = [income, education, poverty, housing, race, age, ...Object.values(populationRows)]
+      .find(Boolean)?.name || geoid;
+
+    tracts[geoid] = {
+      name,
+      population: age?.B01001001 > 0 ? age.B01001001 : null,
+      income: income ? getMedianFromBrackets(income, INCOME_BRACKETS) : null,
+      education: education?.B15002001 > 0 ? getHigherEducationPercentage(education) : null,
+      housing: housing ? getMedianFromBrackets(housing, HOME_VALUE_BRACKETS) : null,
+      poverty: poverty?.B17001001 > 0 ? getPovertyPercentage(poverty) : null,
+      diversity: race?.B03002001 > 0 ? getRacialComposition(race).diversityIndex : null,
+      ...getPopulationMetrics({ age, ...populationRows }),
+      // 90% margins of error of the population and of each metric, by the same keys
+      moe: getMetricMargins({ income, education, poverty, housing, race, age, ...populationRows })
+    };
+  });
+  return tracts;
+};
+
+// Geoid (14000US11001xxxxxx) for a CENSUS_TRACT value from the crime data. Accepts the six-digit
+// tract code with or without leading zeros ("007708", "7708"), the decimal tract number
+// ("77.08"), and full tract geoids with or without the summary level ("11001007708").
+// Returns null for anything else.
+export const normalizeCensusTract = (value) => {
+  const text = String(value ?? '').replace(/\s+/g, '');
+  if (!text) return null;
+
+  const geoid = text.match(/^(?:14000US)?11001(\d{6})$/);
+  if (geoid) return `${TRACT_GEOID_PREFIX}${geoid[1]}`;
+
+  const decimal = text.match(/^(\d{1,4})\.(\d{1,2})$/);
+  if (decimal) return `${TRACT_GEOID_PREFIX}${decimal[1].padStart(4, '0')}${decimal[2].padEnd(2, '0')}`;
+
+  if (/^\d{1,6}$/.test(text)) return `${TRACT_GEOID_PREFIX}${text.padStart(6, '0')}`;
+  return null;
+};
+
+// Census metrics of one tract: { name, population, income (median household income), education
+// (% with a bachelor's degree or higher), housing (median home value), poverty (% below poverty
+// level), diversity (0-1), the metrics of getPopulationMetrics, and moe with their margins of
+// error }, or null when the tract is not in the tract-level data
 export const getDataByTract = (censusData, tractId) => {
-  // Note: This would need to match census tract data with specific tracts
-  // For now, we'll return sample data as this matching would require more data
-  // In a real implementation, you would match census tract IDs to data
+  const geoid = normalizeCensusTract(tractId);
+  return (geoid && censusData?.tracts?.[geoid]) || null;
+};
+
+// Number of tracts whose value of a tract metric is reliable (high), to be used with caution
+// (medium) or unreliable (low) by its coefficient of variation (see marginOfError.js); tracts
+// without a margin of error are counted as unknown
+export const getTractReliability = (censusData, field) => {
+  const summary = { high: 0, medium: 0, low: 0, unknown: 0 };
+  Object.values(censusData?.tracts || {}).forEach(tract => {
+    if (tract[field] === null || tract[field] === undefined) return;
+    const reliability = getReliability(tract[field], tract.moe?.[field]);
+    summary[reliability ? reliability.level : 'unknown'] += 1;
+  });
+  return summary;
+};
+
+// Areas that get a population from the tract crosswalk, by incident field
+const CROSSWALK_AREA_FIELDS = ['neighborhood', 'ward'];
+
+// Population of each cluster (or ward) and its 90% margin of error, from the crosswalk in
+// src/config/tractCrosswalk.json: the sum over its tracts of the tract's population times the
+// share of the tract's residents living in the area, with the margins of the weighted parts
+// combined as a sum. The shares come from census block populations, not from incidents, so the
+// denominator does not depend on the count. An area with a tract missing from the tract-level
+// data is left out (rate unavailable) rather than undercounted.
+const getAreaPopulations = (tracts, field, crosswalk) => {
+  const populations = {};
+  const moes = {};
+  const incomplete = new Set();
+
+  Object.entries(crosswalk.tracts || {}).forEach(([tractId, areas]) => {
+    const tract = tracts[normalizeCensusTract(tractId)];
+
+    Object.entries(areas[field] || {}).forEach(([value, share]) => {
+      if (!(share > 0)) return;
+      if (!Number.isFinite(tract?.population)) {
+        incomplete.add(value);
+        return;
+      }
+      populations[value] = (populations[value] || 0) + tract.population * share;
+      moes[value] = [...(moes[value] || []), scaleMoe(tract.moe?.population ?? null, share)];
+    });
+  });
+
+  const complete = Object.keys(populations).filter(value => !incomplete.has(value) && populations[value] > 0);
   return {
-    income: 85000, // Median household income for this tract
-    education: 65, // Percent with higher education
-    housing: 72000, // Median housing value
-    poverty: 12, // Poverty rate percentage
-    diversity: 0.65 // Diversity index (0-1)
+    populations: Object.fromEntries(complete.map(value => [value, populations[value]])),
+    moe: Object.fromEntries(complete.map(value => [value, sumMoe(moes[value])]))
+  };
+};
+
+const populationCaches = new WeakMap();
+
+// Population denominators: { total, tract, neighborhood, ward, moe }, where total is the
+// District's population, the others map a tract geoid, cluster name or ward number to a
+// population, and moe holds their 90% margins of error in the same shape (null when unknown).
+// Clusters and wards do not follow tract boundaries, so they get their tracts' populations
+// through the tract crosswalk (see getAreaPopulations); areas it does not cover have no rate.
+export const getPopulationIndex = (censusData, crosswalk = tractCrosswalk) => {
+  if (!censusData) return null;
+  const cached = populationCaches.get(censusData);
+  if (cached?.crosswalk === crosswalk) return cached.index;
+
+  const tracts = censusData.tracts || {};
+  const tract = {};
+  Object.entries(tracts).forEach(([geoid, { population }]) => {
+    if (population > 0) tract[geoid] = population;
+  });
+
+  const areas = Object.fromEntries(CROSSWALK_AREA_FIELDS.map(field => [field, getAreaPopulations(tracts, field, crosswalk)]));
+
+  const index = {
+    total: censusData.derivedMetrics?.population || null,
+    tract,
+    ...Object.fromEntries(CROSSWALK_AREA_FIELDS.map(field => [field, areas[field].populations])),
+    // 90% margins of error of the same populations
+    moe: {
+      total: censusData.derivedMetrics?.moe?.population ?? null,
+      tract: Object.fromEntries(Object.keys(tract).map(geoid => [geoid, tracts[geoid].moe?.population ?? null])),
+      ...Object.fromEntries(CROSSWALK_AREA_FIELDS.map(field => [field, areas[field].moe]))
+    }
   };
+
+  populationCaches.set(censusData, { crosswalk, index });
+  return index;
 };
 
-// Correlate crime data with census data
-export const correlateCrimeWithCensus = (crimeData, censusData) => {
+// Census metrics that are correlated with crime, by the ids the census controls use, with the
+// tract metric (see calculateTractMetrics) each one reads
+export const CORRELATION_METRICS = Object.fromEntries(CENSUS_METRICS.map(({ id, field }) => [id, field]));
+
+// Correlate crime with census metrics across census tracts. Returns { tracts, count, rate }:
+// - tracts: incident counts (and rates per 1,000 residents) of every tract in the tract-level
+//   tables, with its census metrics; tracts without incidents count as zero, incidents outside
+//   those tracts are left out
+// - count: { metrics, byOffense } with the correlation of each metric with incidents per tract
+//   (see correlationStats.js), overall and per offense ({ [metric]: { [offense]: result } })
+// - rate: the same with incidents per 1,000 residents, over the tracts with a population
+// Called with the filtered incidents, so the statistics follow the filters.
+export const correlateCrimeWithCensus = (crimeData, censusData, taxonomy) => {
   // Group crime data by census tract
   const crimeByTract = crimeData.reduce((acc, crime) => {
-    const tract = crime.censusTract?.replace(/\s+/g, '') || 'unknown';
-    
+    const tract = normalizeCensusTract(crime.censusTract);
+    if (!tract) return acc;
+
     if (!acc[tract]) {
       acc[tract] = [];
     }
-    
+
     acc[tract].push(crime);
     return acc;
   }, {});
-  
-  // Calculate crime rates and correlate with census metrics
-  const correlations = Object.entries(crimeByTract).map(([tract, crimes]) => {
-    // Skip unknown tracts
-    if (tract === 'unknown') return null;
-    
-    // Get census data for this tract
-    const tractCensusData = getDataByTract(censusData, tract);
-    
+
+  const tracts = Object.entries(censusData?.tracts || {}).map(([tract, censusMetrics]) => {
+    const crimes = crimeByTract[tract] || [];
+
     // Count total crimes and by type
     const totalCrimes = crimes.length;
     const crimesByType = crimes.reduce((acc, crime) => {
@@ -365,30 +910,48 @@ export const correlateCrimeWithCensus = (crimeData, censusData) => {
       acc[type] = (acc[type] || 0) + 1;
       return acc;
     }, {});
-    
-    // Calculate violent crime percentage
-    const violentCrimeTypes = ['HOMICIDE', 'ASSAULT W/DANGEROUS WEAPON', 'SEX ABUSE', 'ROBBERY'];
-    const violentCrimes = violentCrimeTypes.reduce((sum, type) => sum + (crimesByType[type] || 0), 0);
+
+    // Calculate violent crime percentage (offenses flagged violent in the taxonomy)
+    const violentCrimes = crimes.filter(crime => isViolentOffense(crime.offense, taxonomy)).length;
     const violentCrimePercentage = totalCrimes > 0 ? (violentCrimes / totalCrimes) * 100 : 0;
-    
+
     return {
       tract,
+      name: censusMetrics.name,
+      population: censusMetrics.population,
       totalCrimes,
-      crimeRate: totalCrimes, // Would be normalized by population in real implementation
+      crimeRate: getRate(totalCrimes, censusMetrics.population),
       violentCrimePercentage,
       crimesByType,
-      censusMetrics: tractCensusData,
-      // Simple correlation indicators (for demonstration - real implementation would use statistical correlation)
-      correlationIndices: {
-        incomeCrimeCorrelation: -0.65, // Example value: negative correlation
-        educationCrimeCorrelation: -0.58, // Example value: negative correlation
-        povertyCrimeCorrelation: 0.72, // Example value: positive correlation
-        diversityCrimeCorrelation: 0.15 // Example value: weak positive correlation
-      }
+      censusMetrics
     };
-  }).filter(Boolean);
-  
-  return correlations;
+  });
+
+  const offenses = [...new Set(crimeData.map(crime => crime.offense || 'UNKNOWN'))];
+
+  // Correlations of every metric with a per-tract crime measure, over the tracts that have it
+  const correlateMeasure = (getValue, hasValue) => {
+    const metrics = {};
+    const byOffense = {};
+
+    Object.entries(CORRELATION_METRICS).forEach(([metric, field]) => {
+      const measured = tracts.filter(tract => tract.censusMetrics[field] !== null && hasValue(tract));
+      const pairsFor = (getCount) => measured.map(tract => [tract.censusMetrics[field], getValue(tract, getCount(tract))]);
+
+      metrics[metric] = correlate(pairsFor(tract => tract.totalCrimes));
+      byOffense[metric] = Object.fromEntries(offenses.map(offense => (
+        [offense, correlate(pairsFor(tract => tract.crimesByType[offense] || 0))]
+      )));
+    });
+
+    return { metrics, byOffense };
+  };
+
+  return {
+    tracts,
+    count: correlateMeasure((tract, count) => count, () => true),
+    rate: correlateMeasure((tract, count) => getRate(count, tract.population), tract => tract.population > 0)
+  };
 };
 
 export default {
@@ -0,0 +1,192 @@
+// Census metrics
+// Every demographic metric the census overlay can select and the correlation views compare with
+// crime. field is the per-tract value (see calculateTractMetrics in censusDataProcessing.js) and
+// districtField the District-wide one in derivedMetrics (their margins of error are under the
+// same names in moe); format renders a value of either and unit follows it, so intervals can
+// show the unit once.
+
+import { getInterval, getReliability } from './marginOfError';
+
+const formatCurrency = (value) => `$${Math.round(value).toLocaleString()}`;
+
+const formatPercentage = (value) => `${value.toFixed(1)}%`;
+
+export const CENSUS_METRICS = [
+  {
+    id: 'income',
+    label: 'Income',
+    icon: '💰',
+    description: 'Median household income by neighborhood',
+    table: 'B19001',
+    color: '#10b981', // Green theme
+    field: 'income',
+    districtField: 'medianIncome',
+    format: formatCurrency
+  },
+  {
+    id: 'education',
+    label: 'Education',
+    icon: '🎓',
+    description: 'Percentage with bachelor\'s degree or higher',
+    table: 'B15002',
+    color: '#6366f1', // Indigo theme
+    field: 'education',
+    districtField: 'higherEducationPercentage',
+    format: formatPercentage
+  },
+  {
+    id: 'poverty',
+    label: 'Poverty',
+    icon: '📉',
+    description: 'Percentage of residents below poverty line',
+    table: 'B17001',
+    color: '#ef4444', // Red theme
+    field: 'poverty',
+    districtField: 'povertyPercentage',
+    format: formatPercentage
+  },
+  {
+    id: 'housing',
+    label: 'Housing',
+    icon: '🏘️',
+    description: 'Median home value by neighborhood',
+    table: 'B25075',
+    color: '#3b82f6', // Blue theme
+    field: 'housing',
+    districtField: 'medianHousingValue',
+    format: formatCurrency
+  },
+  {
+    id: 'race',
+    label: 'Race',
+    icon: '👪',
+    description: 'Diversity index (higher values = more diverse)',
+    table: 'B03002',
+    color: '#8b5cf6', // Purple theme
+    field: 'diversity',
+    districtField: 'diversityIndex',
+    format: (value) => `${(value * 100).toFixed(1)}%`
+  },
+  {
+    id: 'youth',
+    label: 'Youth',
+    icon: '🧒',
+    description: 'Percentage of residents under 18',
+    table: 'B01001',
+    color: '#f59e0b', // Amber theme
+    field: 'youth',
+    districtField: 'youthPercentage',
+    format: formatPercentage
+  },
+  {
+    id: 'vacancy',
+    label: 'Vacancy',
+    icon: '🏚️',
+    description: 'Percentage of housing units that are vacant',
+    table: 'B25002',
+    color: '#78716c', // Stone theme
+    field: 'vacancy',
+    districtField: 'vacancyRate',
+    format: formatPercentage
+  },
+  {
+    id: 'multiUnit',
+    label: 'Apartments',
+    icon: '🏢',
+    description: 'Percentage of housing units in buildings with 5 or more units',
+    table: 'B25024',
+    color: '#0ea5e9', // Sky theme
+    field: 'multiUnit',
+    districtField: 'multiUnitPercentage',
+    format: formatPercentage
+  },
+  {
+    id: 'language',
+    label: 'Language',
+    icon: '🗣️',
+    description: 'Percentage of residents 5 and older who speak a language other than English at home',
+    table: 'B16007',
+    color: '#14b8a6', // Teal theme
+    field: 'language',
+    districtField: 'otherLanguagePercentage',
+    format: formatPercentage
+  },
+  {
+    id: 'foreignBorn',
+    label: 'Foreign-Born',
+    icon: '🌎',
+    description: 'Percentage of residents born outside the United States',
+    table: 'B05006',
+    color: '#06b6d4', // Cyan theme
+    field: 'foreignBorn',
+    districtField: 'foreignBornPercentage',
+    format: formatPercentage
+  },
+  {
+    id: 'singleParent',
+    label: 'Single-Parent',
+    icon: '👩‍👧',
+    description: 'Percentage of household residents in families with a householder and no spouse',
+    table: 'B11002',
+    color: '#ec4899', // Pink theme
+    field: 'singleParent',
+    districtField: 'singleParentPercentage',
+    format: formatPercentage
+  },
+  {
+    id: 'veterans',
+    label: 'Veterans',
+    icon: '🎖️',
+    description: 'Percentage of adults who are civilian veterans',
+    table: 'B21002',
+    color: '#84cc16', // Lime theme
+    field: 'veterans',
+    districtField: 'veteranPercentage',
+    format: formatPercentage
+  },
+  {
+    id: 'births',
+    label: 'Births',
+    icon: '👶',
+    description: 'Births in the past year per 1,000 women aged 15 to 50',
+    table: 'B13016',
+    color: '#a855f7', // Violet theme
+    field: 'births',
+    districtField: 'birthRate',
+    format: (value) => value.toFixed(1),
+    unit: ' per 1,000 women'
+  }
+];
+
+export const DEFAULT_CENSUS_METRIC = 'income';
+
+// The metric with the given id, or the default one
+export const getCensusMetric = (id) => (
+  CENSUS_METRICS.find(metric => metric.id === id) || CENSUS_METRICS.find(metric => metric.id === DEFAULT_CENSUS_METRIC)
+);
+
+const isMissing = (value) => value === null || value === undefined || Number.isNaN(value);
+
+// A metric value for display, or 'N/A' without one
+export const formatCensusMetric = (value, id) => {
+  if (isMissing(value)) return 'N/A';
+  const { format, unit = '' } = getCensusMetric(id);
+  return `${format(value)}${unit}`;
+};
+
+// The 90% confidence interval of a metric value, e.g. "65.1%–66.7%", or null without a margin
+export const formatCensusInterval = (value, moe, id) => {
+  const interval = isMissing(value) ? null : getInterval(value, moe);
+  if (!interval) return null;
+  const { format, unit = '' } = getCensusMetric(id);
+  return `${format(interval[0])}–${format(interval[1])}${unit}`;
+};
+
+// A metric value with its interval, e.g. "65.9% (90% CI 65.1%–66.7%)"
+export const formatCensusEstimate = (value, moe, id) => {
+  const interval = formatCensusInterval(value, moe, id);
+  return interval ? `${formatCensusMetric(value, id)} (90% CI ${interval})` : formatCensusMetric(value, id);
+};
+
+// Reliability of a metric value from its margin of error (see marginOfError.js), or null
+export const getCensusReliability = (value, moe) => (isMissing(value) ? null : getReliability(value, moe));
@@ -0,0 +1,177 @@
+// Correlation statistics for the census comparisons
+// correlate() takes [x, y] pairs (e.g. a tract's median income and its incident count) and
+// returns { n, pearson, spearman }. Each coefficient is { r, pValue, ci } or null when there are
+// fewer than MIN_SAMPLE_SIZE pairs or either variable is constant. p-values are two-sided, from
+// the t distribution with n - 2 degrees of freedom; 95% confidence intervals use the Fisher z
+// transform (with the Fieller-Hartley-Pearson variance for Spearman) and need at least 4 pairs.
+
+export const MIN_SAMPLE_SIZE = 3;
+
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+// Two-sided 95% quantile of the standard normal distribution
+const Z_95 = 1.959964;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const pearsonCoefficient = (xs, ys) => {
+  const meanX = sum(xs) / xs.length;
+  const meanY = sum(ys) / ys.length;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  });
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return Math.max(-1, Math.min(1, covariance / Math.sqrt(varianceX * varianceY)));
+};
+
+// Ranks starting at 1, with tied values sharing the mean of their ranks
+const toRanks = (values) => {
+  const order = values.map((value, i) => [value, i]).sort(([a], [b]) => a - b);
+  const ranks = new Array(values.length);
+
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1][0] === order[start][0]) end += 1;
+    const meanRank = (start + end) / 2 + 1;
+    for (let i = start; i <= end; i += 1) ranks[order[i][1]] = meanRank;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+// ln Γ(x) (Lanczos approximation)
+const LANCZOS = [
+  76.18009172947146, -86.50532032941677, 24.01409824083091,
+  -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+];
+
+const logGamma = (x) => {
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = LANCZOS.reduce((acc, coefficient, i) => acc + coefficient / (x + 1 + i), 1.000000000190015);
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+};
+
+// Continued fraction for the incomplete beta function (modified Lentz's method)
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m += 1) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 + even * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + even / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    const odd = (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 + odd * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + odd / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+  return result;
+};
+
+// Regularized incomplete beta function I_x(a, b)
+const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+// Two-sided p-value of the null hypothesis r = 0
+const correlationPValue = (r, n) => {
+  if (Math.abs(r) >= 1) return 0;
+  const df = n - 2;
+  const t = r * Math.sqrt(df / (1 - r * r));
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+const confidenceInterval = (r, n, varianceFactor) => {
+  if (n < 4) return null;
+  if (Math.abs(r) >= 1) return [r, r];
+  const z = Math.atanh(r);
+  const standardError = Math.sqrt(varianceFactor / (n - 3));
+  return [Math.tanh(z - Z_95 * standardError), Math.tanh(z + Z_95 * standardError)];
+};
+
+const describeCoefficient = (r, n, varianceFactor) => (
+  r === null ? null : { r, pValue: correlationPValue(r, n), ci: confidenceInterval(r, n, varianceFactor) }
+);
+
+// Pearson and Spearman correlation of [x, y] pairs; pairs with a missing value are left out
+export const correlate = (pairs) => {
+  const complete = pairs.filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+  const n = complete.length;
+  if (n < MIN_SAMPLE_SIZE) return { n, pearson: null, spearman: null };
+
+  const xs = complete.map(([x]) => x);
+  const ys = complete.map(([, y]) => y);
+
+  return {
+    n,
+    pearson: describeCoefficient(pearsonCoefficient(xs, ys), n, 1),
+    spearman: describeCoefficient(pearsonCoefficient(toRanks(xs), toRanks(ys)), n, 1.06)
+  };
+};
+
+export const isSignificant = (coefficient, level = SIGNIFICANCE_LEVEL) => (
+  Boolean(coefficient) && coefficient.pValue < level
+);
+
+// Conventional labels for |r|: negligible below 0.1, weak below 0.3, moderate below 0.5
+export const getCorrelationStrength = (r) => {
+  const size = Math.abs(r);
+  if (size < 0.1) return 'negligible';
+  if (size < 0.3) return 'weak';
+  if (size < 0.5) return 'moderate';
+  return 'strong';
+};
+
+// "+0.42" / "−0.42"
+export const formatCoefficient = (r) => `${r < 0 ? '−' : '+'}${Math.abs(r).toFixed(2)}`;
+
+export const formatPValue = (pValue) => (
+  pValue < 0.001 ? 'p < 0.001' : `p = ${pValue < 0.01 ? pValue.toFixed(3) : pValue.toFixed(2)}`
+);
+
+export const formatInterval = (ci) => (ci ? `${formatCoefficient(ci[0])} to ${formatCoefficient(ci[1])}` : 'n/a');
+
+// One-line summary of a correlate() result from its Pearson coefficient, e.g.
+// "Moderate negative correlation (r = −0.42, p < 0.001, n = 179 tracts)"
+export const describeCorrelation = (result, unit = 'tracts') => {
+  if (!result?.pearson) {
+    return `Not enough data to compute a correlation (n = ${result?.n || 0} ${unit})`;
+  }
+
+  const { r, pValue } = result.pearson;
+  const details = `r = ${formatCoefficient(r)}, ${formatPValue(pValue)}, n = ${result.n} ${unit}`;
+  if (!isSignificant(result.pearson)) return `No significant correlation (${details})`;
+
+  const strength = getCorrelationStrength(r);
+  return `${strength.charAt(0).toUpperCase() + strength.slice(1)} ${r < 0 ? 'negative' : 'positive'} correlation (${details})`;
+};
@@ -0,0 +1,228 @@
+// Crime Data Worker
+// Streams the incident CSV off the main thread, cleaning rows as they arrive while
+// reporting progress back to the provider. The cleaned rows are posted back with their
+// unfiltered aggregates (heat map, charts, census correlations), built for the census,
+// analysis clock and taxonomy the provider sends, so the first render does no work on
+// the main thread.
+// Also parses files imported by the user (CSV or GeoJSON) using a column mapping, and
+// aggregates rows the provider already holds (several years, or years read from the cache).
+
+import {
+  parseIncidentRow,
+  cleanRecord,
+  applyColumnMap,
+  aggregateIncidents,
+  GEOMETRY_COLUMNS
+} from './dataProcessing';
+import { createQualityReport, recordIssue, inspectIncident } from './dataQuality';
+
+// Split on any combination of \r\n, \r, or \n
+const LINE_BREAK = /\r\n|\r|\n/;
+
+// Columns that must be present (after mapping) for a row to be placed on the map
+const REQUIRED_FIELDS = ['LATITUDE', 'LONGITUDE'];
+
+// Reject a file whose columns (CSV headers or GeoJSON properties) lack a required field
+const checkRequiredColumns = (columns, columnMap, format) => {
+  const missing = REQUIRED_FIELDS.filter(field => !columns.includes(columnMap?.[field] || field));
+  if (missing.length > 0) {
+    throw new Error(`${format} file is missing required columns`);
+  }
+};
+
+// Track parsed/rejected rows and send progress back to the provider
+const createProgress = (totalBytes) => {
+  const progress = { rowsParsed: 0, rowsRejected: 0, bytesLoaded: 0, totalBytes };
+  const post = () => self.postMessage({ type: 'progress', progress: { ...progress } });
+  return { progress, post };
+};
+
+// Map, clean and collect a single record, noting any quality problems
+const addRecord = (record, row, columnMap, state) => {
+  const { cleanedData, progress, quality, seenCcns } = state;
+  const cleaned = cleanRecord(applyColumnMap(record, columnMap));
+
+  if (!cleaned) {
+    // cleanRecord only rejects rows without a usable report date
+    progress.rowsRejected++;
+    recordIssue(quality, 'unparseableDate', row);
+    return;
+  }
+
+  cleanedData.push(cleaned);
+  progress.rowsParsed++;
+  inspectIncident(cleaned, seenCcns).forEach(issue => recordIssue(quality, issue, row));
+};
+
+// Shared state for one parse: cleaned rows, progress counters and the quality report
+const createParseState = (totalBytes, source) => ({
+  cleanedData: [],
+  quality: createQualityReport(source),
+  seenCcns: new Set(),
+  ...createProgress(totalBytes)
+});
+
+// Package the cleaned rows and their aggregates once the whole source has been read
+const finishParse = ({ cleanedData, progress, quality }, context) => {
+  if (cleanedData.length === 0) {
+    throw new Error('No valid data rows in file');
+  }
+
+  quality.totalRows = progress.rowsParsed + progress.rowsRejected;
+
+  return {
+    rawData: cleanedData,
+    aggregates: aggregateIncidents(cleanedData, context),
+    progress: { ...progress, totalBytes: progress.totalBytes || progress.bytesLoaded },
+    quality
+  };
+};
+
+// Stream, parse and clean incident CSV text
+const parseCsvStream = async (stream, totalBytes, columnMap, source, context) => {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  const state = createParseState(totalBytes, source);
+  const { progress, post: postProgress } = state;
+
+  let headers = null;
+  let buffer = '';
+  let lineNumber = 0;
+
+  const handleLine = (line) => {
+    lineNumber++;
+    if (!line.trim()) return;
+
+    // The first non-empty line holds the headers
+    if (!headers) {
+      headers = parseIncidentRow(line);
+      checkRequiredColumns(headers, columnMap, 'CSV');
+      return;
+    }
+
+    const values = parseIncidentRow(line);
+
+    // Handle missing trailing fields by padding with empty strings
+    while (values.length < headers.length) {
+      values.push('');
+    }
+
+    const row = { source, line: lineNumber, raw: line };
+
+    // Rows with the wrong number of columns cannot be mapped onto the headers
+    if (values.length !== headers.length) {
+      progress.rowsRejected++;
+      recordIssue(state.quality, 'columnMismatch', row);
+      return;
+    }
+
+    const record = headers.reduce((obj, header, i) => {
+      obj[header] = values[i] || '';
+      return obj;
+    }, {});
+
+    addRecord(record, row, columnMap, state);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    progress.bytesLoaded += value.length;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Keep the trailing partial line for the next chunk
+    const lines = buffer.split(LINE_BREAK);
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+
+    postProgress();
+  }
+
+  buffer += decoder.decode();
+  handleLine(buffer);
+
+  if (!headers) {
+    throw new Error('CSV file is empty');
+  }
+
+  postProgress();
+  return finishParse(state, context);
+};
+
+// Parse and clean a GeoJSON FeatureCollection of incidents
+const parseGeoJson = async (file, columnMap, context) => {
+  const state = createParseState(file.size, file.name);
+  const { progress, post: postProgress } = state;
+  const geojson = JSON.parse(await file.text());
+  const features = geojson.features || [];
+
+  if (features.length === 0) {
+    throw new Error('GeoJSON file has no features');
+  }
+
+  // Every feature carries the geometry columns; property names can vary between features
+  const columns = new Set([GEOMETRY_COLUMNS.latitude, GEOMETRY_COLUMNS.longitude]);
+  features.forEach(feature => {
+    Object.keys(feature.properties || {}).forEach(key => columns.add(key));
+  });
+  checkRequiredColumns([...columns], columnMap, 'GeoJSON');
+
+  progress.bytesLoaded = file.size;
+
+  features.forEach((feature, i) => {
+    const coordinates = feature.geometry?.type === 'Point' ? feature.geometry.coordinates : [];
+    const record = {
+      ...feature.properties,
+      [GEOMETRY_COLUMNS.longitude]: coordinates[0] ?? '',
+      [GEOMETRY_COLUMNS.latitude]: coordinates[1] ?? ''
+    };
+    const row = { source: file.name, line: i + 1, raw: JSON.stringify(feature.properties) };
+
+    addRecord(record, row, columnMap, state);
+
+    if (i % 5000 === 0) postProgress();
+  });
+
+  postProgress();
+  return finishParse(state, context);
+};
+
+// Fetch and parse one of the published yearly incident files
+const loadIncidents = async (url, context) => {
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const totalBytes = Number(response.headers.get('Content-Length')) || 0;
+  return parseCsvStream(response.body, totalBytes, null, decodeURIComponent(url.split('/').pop()), context);
+};
+
+// Parse a file dropped onto the dashboard
+const importIncidents = async (file, format, columnMap, context) => (
+  format === 'geojson'
+    ? parseGeoJson(file, columnMap, context)
+    : parseCsvStream(file.stream(), file.size, columnMap, file.name, context)
+);
+
+self.onmessage = async (event) => {
+  const { type, url, file, format, columnMap, rawData, context } = event.data;
+
+  try {
+    let result;
+    if (type === 'load') {
+      result = await loadIncidents(url, context);
+    } else if (type === 'import') {
+      result = await importIncidents(file, format, columnMap, context);
+    } else if (type === 'aggregate') {
+      result = { aggregates: aggregateIncidents(rawData, context) };
+    } else {
+      return;
+    }
+    self.postMessage({ type: 'complete', ...result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
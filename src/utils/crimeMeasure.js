@@ -0,0 +1,75 @@
+// Crime measure
+// Chooses whether areas and offenses are compared by raw incident counts or by incidents per
+// 1,000 residents. Rates divide by the ACS total population of the tract, cluster, ward or the
+// whole District (see getPopulationIndex in censusDataProcessing.js).
+
+import { ratioMoe, scaleMoe } from './marginOfError';
+
+export const RATE_BASE = 1000;
+
+export const CRIME_MEASURES = {
+  count: {
+    id: 'count',
+    label: 'Counts',
+    unit: 'incidents',
+    tractLabel: 'incidents per tract',
+    description: 'Number of incidents'
+  },
+  rate: {
+    id: 'rate',
+    label: 'Per 1,000 residents',
+    unit: 'per 1,000 residents',
+    tractLabel: 'incidents per 1,000 tract residents',
+    description: 'Incidents per 1,000 residents (ACS total population)'
+  }
+};
+
+export const DEFAULT_CRIME_MEASURE = 'count';
+
+// Incidents per RATE_BASE residents, or null without a population
+export const getRate = (count, population) => (
+  population > 0 ? (count / population) * RATE_BASE : null
+);
+
+// 90% margin of error of a rate from the population's; incident counts are not sampled, so the
+// population estimate is the rate's only source of error. Null when either is unknown.
+export const getRateMoe = (count, population, populationMoe) => (
+  scaleMoe(ratioMoe(count, population, 0, populationMoe), RATE_BASE)
+);
+
+// The count itself, or its rate when the measure is 'rate'
+export const getMeasureValue = (count, population, measure) => (
+  measure === 'rate' ? getRate(count, population) : count
+);
+
+export const formatRate = (rate) => {
+  if (rate === null || rate === undefined) return 'n/a';
+  return rate < 10 ? rate.toFixed(2) : rate.toFixed(1);
+};
+
+// "1,234" or "12.3", for a value of the given measure
+export const formatMeasureValue = (value, measure) => {
+  if (value === null || value === undefined) return 'n/a';
+  return measure === 'rate' ? formatRate(value) : Math.round(value).toLocaleString();
+};
+
+// "1,234 incidents" or "12.3 per 1,000 residents"
+export const formatMeasure = (value, measure) => (
+  `${formatMeasureValue(value, measure)} ${CRIME_MEASURES[measure]?.unit || CRIME_MEASURES.count.unit}`
+);
+
+// Incidents per value of an incident field (e.g. per cluster), with the area's population from
+// a { [value]: population } map and its value under the measure (null for a rate without one)
+export const measureAreas = (incidents, field, populations, measure) => {
+  const counts = {};
+  incidents.forEach(incident => {
+    const value = incident?.[field];
+    if (value === null || value === undefined || value === '') return;
+    counts[value] = (counts[value] || 0) + 1;
+  });
+
+  return Object.entries(counts).map(([value, count]) => {
+    const population = populations?.[value] ?? null;
+    return { value, count, population, measureValue: getMeasureValue(count, population, measure) };
+  });
+};
@@ -0,0 +1,74 @@
+// Crime taxonomy
+// One definition of every offense: display name, category, severity weight, color and
+// violent/property flags. Defaults come from src/config/crimeTaxonomy.json; edits made
+// in the app are saved in localStorage and replace the defaults until reset.
+
+import defaultTaxonomy from '../config/crimeTaxonomy.json';
+
+const TAXONOMY_STORAGE_KEY = 'dcCrime.crimeTaxonomy';
+
+export const DEFAULT_TAXONOMY = defaultTaxonomy;
+
+// Offense lookups are built once per taxonomy object
+const offenseIndexes = new WeakMap();
+
+const getOffenseIndex = (taxonomy) => {
+  if (!offenseIndexes.has(taxonomy)) {
+    offenseIndexes.set(taxonomy, new Map(taxonomy.offenses.map(entry => [entry.offense, entry])));
+  }
+  return offenseIndexes.get(taxonomy);
+};
+
+// Taxonomy entry for an offense, using the fallback for offenses it does not list
+export const getOffenseInfo = (offense, taxonomy = DEFAULT_TAXONOMY) => (
+  getOffenseIndex(taxonomy).get(offense) || {
+    ...taxonomy.fallback,
+    offense,
+    displayName: offense || 'Unknown'
+  }
+);
+
+export const getSeverityWeight = (offense, taxonomy) => getOffenseInfo(offense, taxonomy).weight;
+
+export const getOffenseColor = (offense, taxonomy) => getOffenseInfo(offense, taxonomy).color;
+
+export const getDisplayName = (offense, taxonomy) => getOffenseInfo(offense, taxonomy).displayName;
+
+export const isViolentOffense = (offense, taxonomy) => getOffenseInfo(offense, taxonomy).violent;
+
+export const isPropertyOffense = (offense, taxonomy) => getOffenseInfo(offense, taxonomy).property;
+
+// Category of an offense ("Violent", "Property", ...)
+export const getOffenseCategory = (offense, taxonomy) => getOffenseInfo(offense, taxonomy).category;
+
+// Offense codes listed in the taxonomy, most severe first
+export const getTaxonomyOffenses = (taxonomy = DEFAULT_TAXONOMY) => (
+  [...taxonomy.offenses].sort((a, b) => b.weight - a.weight).map(entry => entry.offense)
+);
+
+// Most and least severe offenses in the taxonomy, for describing the weight range
+export const getWeightRange = (taxonomy = DEFAULT_TAXONOMY) => {
+  const sorted = [...taxonomy.offenses].sort((a, b) => b.weight - a.weight);
+  return { highest: sorted[0], lowest: sorted[sorted.length - 1] };
+};
+
+// Saved taxonomy, or the defaults when nothing valid has been saved
+export const loadSavedTaxonomy = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TAXONOMY_STORAGE_KEY));
+    if (saved && Array.isArray(saved.offenses) && Array.isArray(saved.categories) && saved.fallback) {
+      return saved;
+    }
+  } catch (error) {
+    console.warn('Could not read saved crime taxonomy:', error);
+  }
+  return DEFAULT_TAXONOMY;
+};
+
+export const saveTaxonomy = (taxonomy) => {
+  localStorage.setItem(TAXONOMY_STORAGE_KEY, JSON.stringify(taxonomy));
+};
+
+export const clearSavedTaxonomy = () => {
+  localStorage.removeItem(TAXONOMY_STORAGE_KEY);
+};
@@ -0,0 +1,108 @@
+// Persistent IndexedDB cache for parsed incidents and processed census data
+// Each entry is stored with the version (ETag or size/modified date) of the source file(s)
+// it was built from, so a changed file only invalidates its own entry.
+
+const DB_NAME = 'dc-crime-data';
+const DB_VERSION = 1;
+const STORE_NAME = 'sources';
+
+// Bump when the shape of cached values changes, so entries built by older code are rebuilt
+const CACHE_FORMAT = 5;
+
+let dbPromise = null;
+
+// Open (and create on first use) the cache database
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run a single request against the object store
+const runRequest = async (mode, createRequest) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const getCachedEntry = (key) => runRequest('readonly', store => store.get(key));
+
+export const putCachedEntry = (key, version, value) => (
+  runRequest('readwrite', store => store.put({ key, version, format: CACHE_FORMAT, value, cachedAt: new Date().toISOString() }))
+);
+
+export const deleteCachedEntry = (key) => runRequest('readwrite', store => store.delete(key));
+
+// Identify the current version of a source file without downloading it
+export const getSourceVersion = async (url) => {
+  try {
+    const response = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+    if (!response.ok) return null;
+
+    const etag = response.headers.get('ETag');
+    if (etag) return etag;
+
+    // Fall back to size and modification date when the server sends no ETag
+    const lastModified = response.headers.get('Last-Modified');
+    const contentLength = response.headers.get('Content-Length');
+    return lastModified && contentLength ? `${lastModified}|${contentLength}` : null;
+  } catch (error) {
+    console.warn(`Could not check version of ${url}:`, error);
+    return null;
+  }
+};
+
+// Combined version of several files; null if any of them cannot be versioned
+export const getSourcesVersion = async (urls) => {
+  const versions = await Promise.all(urls.map(getSourceVersion));
+  return versions.every(Boolean) ? versions.join(';') : null;
+};
+
+// Return the cached value for key if it was built from this version, otherwise
+// build it with load() and store it. Without a version nothing is cached.
+export const loadWithCache = async (key, version, load, shouldCache = () => true) => {
+  if (version) {
+    try {
+      const cached = await getCachedEntry(key);
+      if (cached && cached.version === version && cached.format === CACHE_FORMAT) {
+        return cached.value;
+      }
+      if (cached) {
+        await deleteCachedEntry(key);
+      }
+    } catch (error) {
+      console.warn(`Could not read cache for ${key}:`, error);
+    }
+  }
+
+  const value = await load();
+
+  if (version && shouldCache(value)) {
+    try {
+      await putCachedEntry(key, version, value);
+    } catch (error) {
+      console.warn(`Could not cache ${key}:`, error);
+    }
+  }
+
+  return value;
+};
@@ -1,46 +1,162 @@
-import { parse, format, parseISO } from 'date-fns';
+import { parseISO, isValid } from 'date-fns';
+import { parseUtcTimestamp, parseLocalTimestamp, getLocalParts } from './timezone';
+import { getIncidentTime } from './analysisClock';
+import { getSeverityWeight } from './crimeTaxonomy';
+import { correlateCrimeWithCensus } from './censusDataProcessing';
 
 // Parse date strings with error handling
+// DC timestamps ("yyyy/MM/dd HH:mm:ss+00") are UTC and parsed as such, never as browser local time
 export const parseDate = (dateString) => {
   if (!dateString) return null;
   try {
-    // Remove timezone offset for consistent parsing
-    const cleanDateString = dateString.replace(/\+\d{2}$/, '');
-    // Parse date in the format "yyyy/MM/dd HH:mm:ss"
-    return parse(cleanDateString, 'yyyy/MM/dd HH:mm:ss', new Date());
+    // Epoch milliseconds, as found in ArcGIS GeoJSON exports
+    if (/^\d{12,13}$/.test(String(dateString))) {
+      const epochDate = new Date(Number(dateString));
+      return isValid(epochDate) ? epochDate : null;
+    }
+
+    const utcDate = parseUtcTimestamp(String(dateString));
+    if (utcDate) return utcDate;
+
+    // Fall back to ISO 8601, which most partner extracts use; timestamps without an offset
+    // are DC local time, never the machine's
+    const localDate = parseLocalTimestamp(String(dateString));
+    if (localDate) return localDate;
+
+    const isoDate = parseISO(String(dateString));
+    return isValid(isoDate) ? isoDate : null;
   } catch (error) {
     console.error('Error parsing date:', dateString, error);
     return null;
   }
 };
 
+// Parse a single incident CSV row, handling quoted fields and empty values
+export const parseIncidentRow = (row) => {
+  const values = [];
+  let currentValue = '';
+  let inQuotes = false;
+  
+  // Add a space after the last character to handle trailing empty fields
+  row = row + ' ';
+  
+  for (let i = 0; i < row.length; i++) {
+    const char = row[i];
+    
+    if (char === '"') {
+      inQuotes = !inQuotes;
+      continue;
+    }
+    
+    if (char === ',' && !inQuotes) {
+      // Handle empty fields
+      values.push(currentValue.trim());
+      currentValue = '';
+      
+      // Handle consecutive commas (empty fields)
+      while (i + 1 < row.length && row[i + 1] === ',') {
+        values.push('');
+        i++;
+      }
+    } else if (i === row.length - 1) {
+      // Handle the last field
+      currentValue += char;
+      values.push(currentValue.trim());
+    } else {
+      currentValue += char;
+    }
+  }
+  
+  // Clean up the values and handle quoted strings
+  return values.map(value => {
+    value = value.trim();
+    return value.replace(/^"|"$/g, '').trim();
+  });
+};
+
+// Fields cleanRecord reads from an incident row, used to map columns of imported files
+export const INCIDENT_FIELDS = [
+  { field: 'LATITUDE', label: 'Latitude', required: true },
+  { field: 'LONGITUDE', label: 'Longitude', required: true },
+  { field: 'REPORT_DAT', label: 'Report date', required: true },
+  { field: 'START_DATE', label: 'Start date' },
+  { field: 'END_DATE', label: 'End date' },
+  { field: 'OFFENSE', label: 'Offense' },
+  { field: 'METHOD', label: 'Method' },
+  { field: 'SHIFT', label: 'Shift' },
+  { field: 'BLOCK', label: 'Block' },
+  { field: 'WARD', label: 'Ward' },
+  { field: 'ANC', label: 'ANC' },
+  { field: 'DISTRICT', label: 'Police district' },
+  { field: 'PSA', label: 'PSA' },
+  { field: 'NEIGHBORHOOD_CLUSTER', label: 'Neighborhood cluster' },
+  { field: 'BID', label: 'Business improvement district' },
+  { field: 'VOTING_PRECINCT', label: 'Voting precinct' },
+  { field: 'CENSUS_TRACT', label: 'Census tract' },
+  { field: 'BLOCK_GROUP', label: 'Block group' },
+  { field: 'CCN', label: 'Case number (CCN)' },
+  { field: 'OBJECTID', label: 'Object ID' },
+  { field: 'X', label: 'X coordinate' },
+  { field: 'Y', label: 'Y coordinate' }
+];
+
+// Pseudo-columns exposing a GeoJSON point geometry so it can be mapped like any other column
+export const GEOMETRY_COLUMNS = {
+  latitude: 'geometry.latitude',
+  longitude: 'geometry.longitude'
+};
+
+// Rename a record's columns to the fields cleanRecord expects ({ LATITUDE: 'lat', ... })
+export const applyColumnMap = (record, columnMap) => {
+  if (!columnMap) return record;
+
+  return INCIDENT_FIELDS.reduce((mapped, { field }) => {
+    const source = columnMap[field];
+    mapped[field] = source ? record[source] ?? '' : record[field] ?? '';
+    return mapped;
+  }, {});
+};
+
+// Parse a numeric field, returning null instead of NaN for empty or invalid values
+const parseNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
 // Clean and validate a single data record
-const cleanRecord = (record) => {
+export const cleanRecord = (record) => {
   try {
     // Parse dates first to validate them
     const reportDate = parseDate(record.REPORT_DAT);
     const startDate = parseDate(record.START_DATE);
     const endDate = record.END_DATE ? parseDate(record.END_DATE) : null;
 
+    // Rows without a usable report date are rejected (counted by the caller)
     if (!reportDate) {
-      console.warn('Invalid report date:', record.REPORT_DAT);
       return null;
     }
 
-    // Debug log to see what's in the offense field
-    console.log('Offense value:', record.OFFENSE);
+    const reportLocal = getLocalParts(reportDate);
+    const startLocal = getLocalParts(startDate);
 
     return {
-      // Geographic data - convert to numbers and validate
-      latitude: parseFloat(record.LATITUDE) || 0,
-      longitude: parseFloat(record.LONGITUDE) || 0,
+      // Geographic data - convert to numbers, keeping missing values as null
+      // (a missing coordinate is not the same as 0,0 - see the Data Quality view)
+      latitude: parseNumber(record.LATITUDE),
+      longitude: parseNumber(record.LONGITUDE),
       x: parseFloat(record.X) || 0,
       y: parseFloat(record.Y) || 0,
       
-      // Temporal data
+      // Temporal data (instants, plus their calendar fields in DC local time)
       reportDate,
       startDate,
       endDate,
+      reportDateKey: reportLocal.dateKey,
+      reportHour: reportLocal.hour,
+      reportDayOfWeek: reportLocal.dayOfWeek,
+      startDateKey: startLocal?.dateKey ?? null,
+      startHour: startLocal?.hour ?? null,
+      startDayOfWeek: startLocal?.dayOfWeek ?? null,
       shift: record.SHIFT || 'UNKNOWN',
       
       // Crime classification
@@ -49,7 +165,7 @@ const cleanRecord = (record) => {
       
       // Location information
       block: record.BLOCK || '',
-      ward: parseInt(record.WARD) || 0,
+      ward: Number.isInteger(parseInt(record.WARD)) ? parseInt(record.WARD) : null,
       anc: record.ANC || '',
       district: record.DISTRICT || '',
       psa: record.PSA || '',
@@ -72,26 +188,13 @@ const cleanRecord = (record) => {
 };
 
 // Process data for heat map with weighted crime severity
-export const processHeatMapData = (data) => {
-  // Define crime severity weights
-  const crimeWeights = {
-    'HOMICIDE': 10,
-    'ASSAULT W/DANGEROUS WEAPON': 8,
-    'SEX ABUSE': 8,
-    'ROBBERY': 7,
-    'BURGLARY': 5,
-    'MOTOR VEHICLE THEFT': 4,
-    'THEFT F/AUTO': 3,
-    'THEFT/OTHER': 2,
-    'ARSON': 6,
-    'default': 1
-  };
-
+// Severity weights come from the crime taxonomy
+export const processHeatMapData = (data, taxonomy) => {
   return data
     .filter(incident => incident.latitude && incident.longitude)
     .map(incident => {
-      // Get weight based on crime type or default to 1
-      const severity = crimeWeights[incident.offense] || crimeWeights.default;
+      // Get weight based on crime type (the taxonomy fallback for unlisted offenses)
+      const severity = getSeverityWeight(incident.offense, taxonomy);
       
       return {
         lat: incident.latitude,
@@ -131,12 +234,13 @@ export const processCrimeTypes = (data) => {
     .slice(0, 10); // Get top 10 crime types
 };
 
-// Process temporal trends
-export const processTemporalTrends = (data) => {
+// Process temporal trends on the chosen analysis clock
+export const processTemporalTrends = (data, clock) => {
   const dailyCounts = data.reduce((acc, incident) => {
-    if (incident.reportDate) {
+    const { dateKey } = getIncidentTime(incident, clock);
+    if (dateKey) {
       try {
-        const dateKey = format(incident.reportDate, 'yyyy-MM-dd');
+        // Count by the DC local calendar day
         acc[dateKey] = (acc[dateKey] || 0) + 1;
       } catch (error) {
         console.warn('Error processing date for temporal trends:', error);
@@ -161,20 +265,12 @@ export const processTemporalTrends = (data) => {
     .sort((a, b) => a.date - b.date);
 };
 
-// Main data processing function
-export const processData = async (csvData) => {
-  // Clean and validate all records
-  const cleanedData = csvData
-    .map(cleanRecord)
-    .filter(record => record !== null);
-
-  console.log('Cleaned data sample:', cleanedData.slice(0, 2));
-
-  return {
-    rawData: cleanedData,
-    heatMapData: processHeatMapData(cleanedData),
-    timeDistribution: processTimeDistribution(cleanedData),
-    crimeTypes: processCrimeTypes(cleanedData),
-    temporalTrends: processTemporalTrends(cleanedData)
-  };
-}; 
\ No newline at end of file
+// Every dataset the views derive from a list of incidents, for one census object, analysis
+// clock and taxonomy. The worker builds it for all incidents, the provider for filtered ones.
+export const aggregateIncidents = (incidents, { census, clock, taxonomy }) => ({
+  heatMapData: processHeatMapData(incidents, taxonomy),
+  timeDistribution: processTimeDistribution(incidents),
+  crimeTypes: processCrimeTypes(incidents),
+  temporalTrends: processTemporalTrends(incidents, clock),
+  censusCorrelations: correlateCrimeWithCensus(incidents, census, taxonomy)
+});
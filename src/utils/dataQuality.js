@@ -0,0 +1,148 @@
+// Data quality tracking for incident files
+// Records why rows were rejected or look suspicious so the Data Quality view can report on them
+
+// Rough bounding box of the District of Columbia
+export const DC_BOUNDS = {
+  minLat: 38.79,
+  maxLat: 39.0,
+  minLng: -77.12,
+  maxLng: -76.9
+};
+
+// Rows with a 'rejected' issue are left out of every chart; 'warning' rows are kept but flagged
+export const QUALITY_CATEGORIES = [
+  {
+    id: 'columnMismatch',
+    label: 'Column mismatch',
+    description: 'Row has more values than the header, so fields cannot be matched to columns',
+    severity: 'rejected'
+  },
+  {
+    id: 'unparseableDate',
+    label: 'Unparseable report date',
+    description: 'REPORT_DAT is missing or not a recognisable date',
+    severity: 'rejected'
+  },
+  {
+    id: 'missingCoordinates',
+    label: 'Missing coordinates',
+    description: 'LATITUDE or LONGITUDE is empty or not a number; the incident is not shown on the map',
+    severity: 'warning'
+  },
+  {
+    id: 'outsideDistrict',
+    label: 'Coordinates outside DC',
+    description: 'Location falls outside the District of Columbia boundary box',
+    severity: 'warning'
+  },
+  {
+    id: 'missingCluster',
+    label: 'Missing neighborhood cluster',
+    description: 'NEIGHBORHOOD_CLUSTER is empty, so the incident is not counted in area analysis',
+    severity: 'warning'
+  },
+  {
+    id: 'invalidWard',
+    label: 'Invalid ward',
+    description: 'WARD is empty or not between 1 and 8',
+    severity: 'warning'
+  },
+  {
+    id: 'duplicateCcn',
+    label: 'Duplicate CCN',
+    description: 'Case number already appeared in an earlier row of the same file',
+    severity: 'warning'
+  }
+];
+
+// Number of example rows kept per category for display
+const SAMPLE_SIZE = 5;
+
+export const createQualityReport = (source) => ({
+  sources: [source],
+  totalRows: 0,
+  categories: QUALITY_CATEGORIES.reduce((acc, { id }) => {
+    acc[id] = { count: 0, samples: [], rows: [] };
+    return acc;
+  }, {})
+});
+
+// Log a problem row ({ source, line, raw }) against a category
+export const recordIssue = (report, categoryId, row) => {
+  const category = report.categories[categoryId];
+  category.count++;
+  category.rows.push(row);
+  if (category.samples.length < SAMPLE_SIZE) {
+    category.samples.push(row);
+  }
+};
+
+const isInsideDistrict = (lat, lng) => (
+  lat >= DC_BOUNDS.minLat && lat <= DC_BOUNDS.maxLat &&
+  lng >= DC_BOUNDS.minLng && lng <= DC_BOUNDS.maxLng
+);
+
+// Check a cleaned incident for suspicious values; seenCcns tracks case numbers across the file
+export const inspectIncident = (incident, seenCcns) => {
+  const issues = [];
+
+  if (incident.latitude === null || incident.longitude === null) {
+    issues.push('missingCoordinates');
+  } else if (!isInsideDistrict(incident.latitude, incident.longitude)) {
+    issues.push('outsideDistrict');
+  }
+
+  if (!incident.neighborhood) {
+    issues.push('missingCluster');
+  }
+
+  if (incident.ward === null || incident.ward < 1 || incident.ward > 8) {
+    issues.push('invalidWard');
+  }
+
+  if (incident.ccn) {
+    if (seenCcns.has(incident.ccn)) {
+      issues.push('duplicateCcn');
+    } else {
+      seenCcns.add(incident.ccn);
+    }
+  }
+
+  return issues;
+};
+
+// Combine the reports of several loaded files into one
+export const mergeQualityReports = (reports) => {
+  const valid = reports.filter(Boolean);
+  if (valid.length === 0) return null;
+
+  return valid.reduce((merged, report) => {
+    merged.sources.push(...report.sources);
+    merged.totalRows += report.totalRows;
+
+    Object.entries(report.categories).forEach(([id, category]) => {
+      const target = merged.categories[id];
+      target.count += category.count;
+      target.rows = target.rows.concat(category.rows);
+      target.samples = target.samples.concat(category.samples).slice(0, SAMPLE_SIZE);
+    });
+
+    return merged;
+  }, { ...createQualityReport(), sources: [] });
+};
+
+// Quote a value for CSV output
+const toCsvValue = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// Build a CSV of problem rows (with the category and original row text) for download
+export const qualityRowsToCsv = (report, categoryIds) => {
+  const lines = ['category,source,line,raw_row'];
+
+  categoryIds.forEach(id => {
+    report.categories[id].rows.forEach(row => {
+      lines.push([id, row.source, row.line, row.raw].map(toCsvValue).join(','));
+    });
+  });
+
+  return lines.join('\n');
+};
@@ -0,0 +1,93 @@
+// Date presets relative to the loaded data
+// Presets are anchored to the latest incident date in the data (on the analysis clock), not to
+// today, so "Last 30 days" on a past year's file still means the last 30 days of that file.
+// Ranges are { start, end } DC calendar keys ('yyyy-MM-dd'), like the date inputs in Filters.
+
+import {
+  format, parseISO, addDays, subDays, subWeeks, subMonths, subYears, startOfMonth, endOfMonth,
+  startOfQuarter, endOfQuarter, startOfYear, eachMonthOfInterval, eachQuarterOfInterval
+} from 'date-fns';
+import { getIncidentTime } from './analysisClock';
+
+const toKey = (date) => format(date, 'yyyy-MM-dd');
+
+// Presets ending at the latest incident date
+export const ANCHORED_PRESETS = [
+  { id: 'last7', label: 'Last 7 days', getRange: (max) => ({ start: toKey(subDays(max, 6)), end: toKey(max) }) },
+  { id: 'last30', label: 'Last 30 days', getRange: (max) => ({ start: toKey(subDays(max, 29)), end: toKey(max) }) },
+  { id: 'latestMonth', label: 'Latest month', getRange: (max) => ({ start: toKey(startOfMonth(max)), end: toKey(max) }) },
+  { id: 'last3months', label: 'Last 3 months', getRange: (max) => ({ start: toKey(addDays(subMonths(max, 3), 1)), end: toKey(max) }) },
+  { id: 'last6months', label: 'Last 6 months', getRange: (max) => ({ start: toKey(addDays(subMonths(max, 6), 1)), end: toKey(max) }) },
+  { id: 'ytd', label: 'Year to date', getRange: (max) => ({ start: toKey(startOfYear(max)), end: toKey(max) }) }
+];
+
+export const RELATIVE_UNITS = [
+  { id: 'days', label: 'days', subtract: subDays },
+  { id: 'weeks', label: 'weeks', subtract: subWeeks },
+  { id: 'months', label: 'months', subtract: subMonths }
+];
+
+// Sorted calendar days of every incident on the analysis clock
+export const getIncidentDateKeys = (rawData, clock) => (
+  rawData
+    .map(incident => getIncidentTime(incident, clock).dateKey)
+    .filter(Boolean)
+    .sort()
+);
+
+// Position of the first key that is not before the given key
+const lowerBound = (sortedKeys, key) => {
+  let low = 0;
+  let high = sortedKeys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sortedKeys[mid] < key) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+// Incidents on or between the range's days (open-ended when start or end is empty)
+export const countIncidentsInRange = (sortedKeys, { start, end }) => {
+  const from = start ? lowerBound(sortedKeys, start) : 0;
+  // '~' sorts after every digit, so this finds the first key after the end day
+  const to = end ? lowerBound(sortedKeys, `${end}~`) : sortedKeys.length;
+  return Math.max(0, to - from);
+};
+
+// "Last N weeks" (or days / months) ending at the latest incident date
+export const getRelativeRange = (amount, unitId, maxKey) => {
+  const unit = RELATIVE_UNITS.find(u => u.id === unitId);
+  const max = parseISO(maxKey);
+  return { start: toKey(addDays(unit.subtract(max, amount), 1)), end: maxKey };
+};
+
+// Every calendar month the data covers, newest first
+export const getMonthRanges = (minKey, maxKey) => (
+  eachMonthOfInterval({ start: parseISO(minKey), end: parseISO(maxKey) })
+    .reverse()
+    .map(month => ({
+      id: `month:${format(month, 'yyyy-MM')}`,
+      label: format(month, 'MMMM yyyy'),
+      start: toKey(month),
+      end: toKey(endOfMonth(month))
+    }))
+);
+
+// Every calendar quarter the data covers, newest first
+export const getQuarterRanges = (minKey, maxKey) => (
+  eachQuarterOfInterval({ start: parseISO(minKey), end: parseISO(maxKey) })
+    .reverse()
+    .map(quarter => ({
+      id: `quarter:${format(quarter, "yyyy-'Q'Q")}`,
+      label: format(quarter, 'QQQ yyyy'),
+      start: toKey(startOfQuarter(quarter)),
+      end: toKey(endOfQuarter(quarter))
+    }))
+);
+
+// The same days one year earlier
+export const getSamePeriodLastYear = ({ start, end }) => ({
+  start: start ? toKey(subYears(parseISO(start), 1)) : '',
+  end: end ? toKey(subYears(parseISO(end), 1)) : ''
+});
@@ -0,0 +1,102 @@
+// Boolean filter expressions
+// The advanced filter is a list of groups, each a list of clauses that keep ('include') or drop
+// ('exclude') incidents whose value for one filter dimension is among the chosen values, e.g.
+// "Crime type is not THEFT/OTHER" or "Ward is 7 or 8". A group matches when all (AND) or any
+// (OR) of its clauses do, and the expression when all or any of its groups do:
+// { match: 'all', groups: [{ match: 'any', clauses: [{ key: 'wards', operator: 'exclude', values: [2] }] }] }
+// The expression is applied on top of the other filters, so it can only narrow them.
+
+export const EXPRESSION_MATCHES = [
+  { id: 'all', label: 'all', joiner: 'AND' },
+  { id: 'any', label: 'any', joiner: 'OR' }
+];
+
+export const CLAUSE_OPERATORS = [
+  { id: 'include', label: 'is' },
+  { id: 'exclude', label: 'is not' }
+];
+
+const isMatch = (match) => EXPRESSION_MATCHES.some(({ id }) => id === match);
+
+const isOperator = (operator) => CLAUSE_OPERATORS.some(({ id }) => id === operator);
+
+// Excluding crime types is the most common use, so new clauses start there
+export const createClause = (key = 'crimeTypes') => ({ key, operator: 'exclude', values: [] });
+
+export const createGroup = (key) => ({ match: 'all', clauses: [createClause(key)] });
+
+// The expression without clauses that have no values yet or groups left empty; null when
+// nothing is left, so a half-edited expression filters nothing
+export const compactExpression = (expression) => {
+  if (!expression || !Array.isArray(expression.groups)) return null;
+
+  const groups = expression.groups
+    .map(group => ({
+      match: isMatch(group?.match) ? group.match : 'all',
+      clauses: (group?.clauses || []).filter(clause => (
+        clause && typeof clause.key === 'string' && isOperator(clause.operator) &&
+        Array.isArray(clause.values) && clause.values.length > 0
+      ))
+    }))
+    .filter(group => group.clauses.length > 0);
+
+  return groups.length > 0
+    ? { match: isMatch(expression.match) ? expression.match : 'all', groups }
+    : null;
+};
+
+export const countExpressionClauses = (expression) => (
+  (compactExpression(expression)?.groups || []).reduce((sum, group) => sum + group.clauses.length, 0)
+);
+
+// Readable form, e.g. "Crime type is not THEFT/OTHER AND (Ward is 7, 8 OR Shift is Night)";
+// describeClause turns one clause into text
+export const describeExpression = (expression, describeClause) => {
+  const compact = compactExpression(expression);
+  if (!compact) return '';
+
+  const joiner = (match) => ` ${EXPRESSION_MATCHES.find(({ id }) => id === match).joiner} `;
+  const groups = compact.groups.map(group => {
+    const text = group.clauses.map(describeClause).join(joiner(group.match));
+    return compact.groups.length > 1 && group.clauses.length > 1 ? `(${text})` : text;
+  });
+  return groups.join(joiner(compact.match));
+};
+
+// Compact JSON for the URL: ["all", [["any", [["wards", "not", ["2"]]]]]]
+export const formatExpression = (expression) => {
+  const compact = compactExpression(expression);
+  if (!compact) return null;
+
+  return JSON.stringify([
+    compact.match,
+    compact.groups.map(group => [
+      group.match,
+      group.clauses.map(({ key, operator, values }) => [key, operator === 'exclude' ? 'not' : 'is', values])
+    ])
+  ]);
+};
+
+// Parse the URL form; clauses on keys other than the given filter dimensions are dropped.
+// parseValues(key, texts) turns a clause's values into its field's type (see parseFilterValues).
+export const parseExpression = (text, keys, parseValues = (key, texts) => texts) => {
+  try {
+    const [match, groups] = JSON.parse(text);
+    return compactExpression({
+      match,
+      groups: (Array.isArray(groups) ? groups : []).map(([groupMatch, clauses]) => ({
+        match: groupMatch,
+        clauses: (Array.isArray(clauses) ? clauses : [])
+          .filter(([key]) => keys.includes(key))
+          .map(([key, operator, values]) => ({
+            key,
+            operator: { is: 'include', not: 'exclude' }[operator],
+            values: Array.isArray(values) ? parseValues(key, values.map(String)) : []
+          }))
+      }))
+    });
+  } catch (error) {
+    console.warn('Ignoring an invalid filter expression in the URL:', error);
+    return null;
+  }
+};
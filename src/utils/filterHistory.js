@@ -0,0 +1,107 @@
+// Filter history for undo/redo
+// Every applied filter spec is kept in order, with the position of the one on screen:
+// { entries: [{ key, filters }], index }. Applying a spec after an undo drops the entries that
+// could have been redone, like a text editor. Specs that filter the same way as the current one
+// (see getFilterKey) are not recorded, so re-applying the panel after a restore adds nothing.
+
+import { format } from 'date-fns';
+import { FILTER_DIMENSIONS, getFilterKey, countActiveFilters } from './queryEngine';
+import { GEOGRAPHIC_FILTERS } from './geographicFilters';
+import { formatHourRange, isValidHourRange, DAYS_OF_WEEK } from './timeFilters';
+import { describeArea } from './spatialFilter';
+import { countExpressionClauses } from './filterExpression';
+
+// Oldest entries are dropped past this many
+const MAX_HISTORY_ENTRIES = 50;
+
+export const createFilterHistory = (filters) => ({
+  entries: [{ key: getFilterKey(filters), filters }],
+  index: 0
+});
+
+export const pushFilterHistory = (history, filters) => {
+  const key = getFilterKey(filters);
+  if (key === history.entries[history.index].key) return history;
+
+  const entries = [...history.entries.slice(0, history.index + 1), { key, filters }].slice(-MAX_HISTORY_ENTRIES);
+  return { entries, index: entries.length - 1 };
+};
+
+export const canUndoFilters = (history) => history.index > 0;
+
+export const canRedoFilters = (history) => history.index < history.entries.length - 1;
+
+const DIMENSION_LABELS = {
+  crimeTypes: { label: 'Crime type', formatValue: value => value },
+  shifts: { label: 'Shift', formatValue: value => value },
+  methods: { label: 'Weapon', formatValue: value => value },
+  blocks: { label: 'Block', formatValue: value => value },
+  ...GEOGRAPHIC_FILTERS.reduce((acc, { key, label, formatValue }) => {
+    acc[key] = { label, formatValue };
+    return acc;
+  }, {})
+};
+
+const formatDay = (date) => (date ? format(date, 'MMM d') : '…');
+
+// What one step changed, one short phrase per changed filter
+const describeChanges = (previous, next, formatOffense) => {
+  const changes = [];
+
+  const dateKey = (filters) => [filters.dateRange?.start, filters.dateRange?.end].map(formatDay).join();
+  if (dateKey(previous) !== dateKey(next)) {
+    changes.push(next.dateRange ? `Dates ${formatDay(next.dateRange.start)}–${formatDay(next.dateRange.end)}` : 'All dates');
+  }
+
+  if (getFilterKey({ hourRange: previous.hourRange }) !== getFilterKey({ hourRange: next.hourRange })) {
+    changes.push(isValidHourRange(next.hourRange) ? `Hours ${formatHourRange(next.hourRange)}` : 'All hours');
+  }
+
+  if ((previous.daysOfWeek || []).join() !== (next.daysOfWeek || []).join()) {
+    changes.push(next.daysOfWeek?.length > 0
+      ? next.daysOfWeek.map(day => DAYS_OF_WEEK[day].label).join(', ')
+      : 'All days');
+  }
+
+  FILTER_DIMENSIONS.forEach(({ key }) => {
+    const before = previous[key] || [];
+    const after = next[key] || [];
+    const { label, formatValue } = DIMENSION_LABELS[key];
+    const formatOne = key === 'crimeTypes' ? formatOffense : formatValue;
+    const added = after.filter(value => !before.includes(value));
+    const removed = before.filter(value => !after.includes(value));
+
+    if (added.length === 0 && removed.length === 0) return;
+    if (after.length === 0) {
+      changes.push(`Any ${label.toLowerCase()}`);
+    } else if (added.length === 1 && removed.length === 0) {
+      changes.push(`+ ${formatOne(added[0])}`);
+    } else if (removed.length === 1 && added.length === 0) {
+      changes.push(`− ${formatOne(removed[0])}`);
+    } else {
+      changes.push(`${label} (${after.length})`);
+    }
+  });
+
+  if (getFilterKey({ area: previous.area }) !== getFilterKey({ area: next.area })) {
+    changes.push(next.area ? `Area: ${describeArea(next.area)}` : 'No area');
+  }
+
+  if (getFilterKey({ expression: previous.expression }) !== getFilterKey({ expression: next.expression })) {
+    const clauseCount = countExpressionClauses(next.expression);
+    changes.push(clauseCount > 0 ? `${clauseCount} advanced condition${clauseCount === 1 ? '' : 's'}` : 'No advanced conditions');
+  }
+
+  return changes;
+};
+
+// Breadcrumb label for each entry, e.g. "+ Ward 8" or "Hours 22:00-04:00"
+export const describeFilterHistory = (history, formatOffense = value => value) => (
+  history.entries.map((entry, i) => {
+    if (countActiveFilters(entry.filters) === 0) return i === 0 ? 'No filters' : 'Cleared';
+    if (i === 0) return 'Start';
+
+    const changes = describeChanges(history.entries[i - 1].filters, entry.filters, formatOffense);
+    return changes.length > 2 ? `${changes.length} changes` : changes.join(', ');
+  })
+);
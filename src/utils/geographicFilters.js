@@ -0,0 +1,52 @@
+// Geographic (administrative unit) filters
+// Each entry maps a key in the filter state to the cleaned incident field it matches on;
+// the query engine applies them like every other filter dimension. parseValue turns a value
+// read back from text (a link or saved view) into the field's type, or null when it is not one.
+
+const parseWholeNumber = (text) => (/^\d+$/.test(text) ? Number(text) : null);
+
+export const GEOGRAPHIC_FILTERS = [
+  // cleanRecord stores wards as numbers
+  { key: 'wards', field: 'ward', label: 'Ward', formatValue: value => `Ward ${value}`, parseValue: parseWholeNumber },
+  { key: 'ancs', field: 'anc', label: 'ANC', formatValue: value => `ANC ${value}` },
+  { key: 'districts', field: 'district', label: 'Police District', formatValue: value => `District ${value}` },
+  { key: 'psas', field: 'psa', label: 'PSA', formatValue: value => `PSA ${value}` },
+  { key: 'bids', field: 'bid', label: 'BID', formatValue: value => value },
+  { key: 'votingPrecincts', field: 'votingPrecinct', label: 'Voting Precinct', formatValue: value => value },
+  { key: 'neighborhoods', field: 'neighborhood', label: 'Neighborhood Cluster', formatValue: value => value }
+];
+
+// Filter state with no geographic selections
+export const EMPTY_GEOGRAPHIC_FILTERS = GEOGRAPHIC_FILTERS.reduce((acc, { key }) => {
+  acc[key] = [];
+  return acc;
+}, {});
+
+// Number of geographic units with an active selection
+export const countGeographicFilters = (filters) => (
+  GEOGRAPHIC_FILTERS.filter(({ key }) => filters[key]?.length > 0).length
+);
+
+// Sort values like "Precinct 2" before "Precinct 10"
+const naturalCompare = (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true });
+
+// Distinct values present in the data for every geographic unit
+export const getGeographicOptions = (rawData) => {
+  const valueSets = GEOGRAPHIC_FILTERS.reduce((acc, { key }) => {
+    acc[key] = new Set();
+    return acc;
+  }, {});
+
+  rawData.forEach(incident => {
+    GEOGRAPHIC_FILTERS.forEach(({ key, field }) => {
+      const value = incident[field];
+      if (value !== null && value !== undefined && value !== '') {
+        valueSets[key].add(value);
+      }
+    });
+  });
+
+  return Object.fromEntries(
+    Object.entries(valueSets).map(([key, values]) => [key, [...values].sort(naturalCompare)])
+  );
+};
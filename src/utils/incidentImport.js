@@ -0,0 +1,112 @@
+// Helpers for importing partner incident files (CSV or GeoJSON) with a column mapping
+import { parseIncidentRow, INCIDENT_FIELDS, GEOMETRY_COLUMNS } from './dataProcessing';
+
+const MAPPINGS_STORAGE_KEY = 'dcCrime.columnMappings';
+
+// Work out whether a dropped file is CSV or GeoJSON
+export const detectFileFormat = (file) => {
+  const name = file.name.toLowerCase();
+  if (name.endsWith('.geojson') || name.endsWith('.json')) return 'geojson';
+  if (name.endsWith('.csv') || file.type === 'text/csv') return 'csv';
+  return null;
+};
+
+// Read the column names of a file without parsing every row
+export const readFileHeaders = async (file, format) => {
+  if (format === 'geojson') {
+    const geojson = JSON.parse(await file.text());
+    const features = geojson.features || [];
+
+    if (features.length === 0) {
+      throw new Error('GeoJSON file has no features');
+    }
+
+    // Property names can vary between features, so collect them from a sample
+    const headers = new Set();
+    features.slice(0, 100).forEach(feature => {
+      Object.keys(feature.properties || {}).forEach(key => headers.add(key));
+    });
+
+    return [...headers, GEOMETRY_COLUMNS.latitude, GEOMETRY_COLUMNS.longitude];
+  }
+
+  // The header row is always within the first few kilobytes
+  const text = await file.slice(0, 64 * 1024).text();
+  const headerLine = text.split(/\r\n|\r|\n/).find(line => line.trim());
+
+  if (!headerLine) {
+    throw new Error('CSV file is empty');
+  }
+
+  return parseIncidentRow(headerLine).filter(Boolean);
+};
+
+// Identify a source by its set of columns, so the same export format is recognised again
+export const getSourceSignature = (headers) => [...headers].sort().join('|');
+
+// Saved mappings: { [sourceName]: { signature, columnMap, savedAt } }
+export const loadSavedMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MAPPINGS_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read saved column mappings:', error);
+    return {};
+  }
+};
+
+export const saveMapping = (sourceName, headers, columnMap) => {
+  const mappings = loadSavedMappings();
+  mappings[sourceName] = {
+    signature: getSourceSignature(headers),
+    columnMap,
+    savedAt: new Date().toISOString()
+  };
+  localStorage.setItem(MAPPINGS_STORAGE_KEY, JSON.stringify(mappings));
+  return mappings;
+};
+
+export const deleteMapping = (sourceName) => {
+  const mappings = loadSavedMappings();
+  delete mappings[sourceName];
+  localStorage.setItem(MAPPINGS_STORAGE_KEY, JSON.stringify(mappings));
+  return mappings;
+};
+
+// Find a saved mapping made for a file with exactly these columns
+export const findSavedMapping = (headers, mappings = loadSavedMappings()) => {
+  const signature = getSourceSignature(headers);
+  const match = Object.entries(mappings).find(([, mapping]) => mapping.signature === signature);
+  return match ? { sourceName: match[0], columnMap: match[1].columnMap } : null;
+};
+
+// Normalise a column name for loose matching ("Report Date" -> "REPORTDATE")
+const normalizeHeader = (header) => header.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Common alternative names used by partner extracts
+const FIELD_ALIASES = {
+  LATITUDE: ['LAT', 'Y_COORD', GEOMETRY_COLUMNS.latitude],
+  LONGITUDE: ['LON', 'LNG', 'LONG', 'X_COORD', GEOMETRY_COLUMNS.longitude],
+  REPORT_DAT: ['REPORT_DATE', 'REPORTED', 'DATE_REPORTED', 'DATE'],
+  OFFENSE: ['OFFENSE_TYPE', 'CRIME_TYPE', 'OFFENCE'],
+  NEIGHBORHOOD_CLUSTER: ['CLUSTER', 'NEIGHBORHOOD'],
+  BLOCK: ['ADDRESS', 'BLOCK_ADDRESS'],
+  CCN: ['CASE_NUMBER', 'CASE_ID']
+};
+
+// Suggest a mapping by matching field names and known aliases
+export const guessColumnMap = (headers) => {
+  const byNormalized = headers.reduce((acc, header) => {
+    acc[normalizeHeader(header)] = header;
+    return acc;
+  }, {});
+
+  return INCIDENT_FIELDS.reduce((columnMap, { field }) => {
+    const candidates = [field, ...(FIELD_ALIASES[field] || [])];
+    const match = candidates
+      .map(candidate => byNormalized[normalizeHeader(candidate)])
+      .find(Boolean);
+
+    columnMap[field] = match || '';
+    return columnMap;
+  }, {});
+};
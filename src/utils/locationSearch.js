@@ -0,0 +1,130 @@
+// Block and neighborhood cluster search for the Heat Map
+// Searches the distinct BLOCK values ("1200 - 1299 BLOCK OF U STREET NW") and neighborhood
+// clusters of the loaded incidents. Every word typed must match: a house number matches the
+// block range holding it, so "1234 U St" finds the 1200-1299 block of U Street, other words
+// match the start of a word in the name, and common street abbreviations match the spelled-out
+// suffix ("rd" finds ROAD).
+
+import { getIncidentTime } from './analysisClock';
+
+// Each result type, with the filter dimension (see queryEngine.js) that selects it
+export const LOCATION_TYPES = {
+  block: { label: 'Block', field: 'block', filterKey: 'blocks' },
+  cluster: { label: 'Cluster', field: 'neighborhood', filterKey: 'neighborhoods' }
+};
+
+// Abbreviations that are not the start of the word they stand for
+const STREET_ABBREVIATIONS = {
+  RD: 'ROAD',
+  CT: 'COURT',
+  LN: 'LANE',
+  BLVD: 'BOULEVARD',
+  PKWY: 'PARKWAY',
+  HWY: 'HIGHWAY',
+  SQ: 'SQUARE',
+  CIR: 'CIRCLE',
+  TER: 'TERRACE',
+  AV: 'AVENUE'
+};
+
+const MAX_RESULTS = 8;
+
+const BLOCK_RANGE_PATTERN = /^(\d+)\s*-\s*(\d+)\s+BLOCK OF\b/i;
+
+const toWords = (text) => text.toUpperCase().split(/[^A-Z0-9]+/).filter(Boolean);
+
+// One entry per distinct block and cluster that has coordinates, with its incident count,
+// the mean position of its incidents and their bounds
+export const buildLocationIndex = (rawData) => {
+  const entries = new Map();
+
+  rawData.forEach(incident => {
+    if (!incident?.latitude || !incident?.longitude) return;
+
+    Object.entries(LOCATION_TYPES).forEach(([type, { field }]) => {
+      const value = incident[field];
+      if (!value) return;
+
+      const id = `${type}:${value}`;
+      if (!entries.has(id)) {
+        entries.set(id, { id, type, value, count: 0, latSum: 0, lngSum: 0, south: 90, west: 180, north: -90, east: -180 });
+      }
+      const entry = entries.get(id);
+      entry.count += 1;
+      entry.latSum += incident.latitude;
+      entry.lngSum += incident.longitude;
+      entry.south = Math.min(entry.south, incident.latitude);
+      entry.north = Math.max(entry.north, incident.latitude);
+      entry.west = Math.min(entry.west, incident.longitude);
+      entry.east = Math.max(entry.east, incident.longitude);
+    });
+  });
+
+  return [...entries.values()].map(({ id, type, value, count, latSum, lngSum, south, west, north, east }) => {
+    const range = type === 'block' ? String(value).match(BLOCK_RANGE_PATTERN) : null;
+    return {
+      id,
+      type,
+      value,
+      count,
+      center: [latSum / count, lngSum / count],
+      bounds: [[south, west], [north, east]],
+      words: toWords(String(value)),
+      range: range ? { from: Number(range[1]), to: Number(range[2]) } : null
+    };
+  });
+};
+
+const matchesWord = (entry, word) => {
+  if (/^\d+$/.test(word) && entry.range) {
+    const number = Number(word);
+    if (number >= entry.range.from && number <= entry.range.to) return true;
+  }
+  const expanded = STREET_ABBREVIATIONS[word];
+  return entry.words.some(entryWord => entryWord.startsWith(word) || entryWord === expanded);
+};
+
+// Typed words that are whole words of the entry, so "Cluster 3" ranks above "Cluster 33"
+const countExactWords = (entry, words) => words.filter(word => entry.words.includes(word)).length;
+
+// Best matches for what was typed: most whole-word matches first, then the busiest locations
+export const searchLocations = (index, query, limit = MAX_RESULTS) => {
+  const words = toWords(query);
+  if (words.length === 0) return [];
+
+  return index
+    .filter(entry => words.every(word => matchesWord(entry, word)))
+    .map(entry => ({ entry, exactWords: countExactWords(entry, words) }))
+    .sort((a, b) => b.exactWords - a.exactWords || b.entry.count - a.entry.count)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+// Incidents at a search result among the given (filtered) incidents, newest first on the
+// analysis clock, with the most common offenses and the blocks they happened on
+export const summarizeLocation = (incidents, entry, clock) => {
+  const { field } = LOCATION_TYPES[entry.type];
+  const matching = incidents
+    .filter(incident => incident?.[field] === entry.value)
+    .map(incident => ({ incident, date: getIncidentTime(incident, clock).date }))
+    .sort((a, b) => (b.date?.getTime() || 0) - (a.date?.getTime() || 0));
+  const dated = matching.filter(({ date }) => date);
+
+  const offenseCounts = {};
+  matching.forEach(({ incident }) => {
+    offenseCounts[incident.offense] = (offenseCounts[incident.offense] || 0) + 1;
+  });
+
+  return {
+    count: matching.length,
+    firstDate: dated.length > 0 ? dated[dated.length - 1].date : null,
+    lastDate: dated.length > 0 ? dated[0].date : null,
+    topOffenses: Object.entries(offenseCounts)
+      .sort(([, a], [, b]) => b - a)
+      .slice(0, 3)
+      .map(([offense, count]) => ({ offense, count })),
+    recent: matching.slice(0, 5),
+    // Distinct blocks, e.g. to rank a cluster's blocks
+    blocks: [...new Set(matching.map(({ incident }) => incident.block).filter(Boolean))]
+  };
+};
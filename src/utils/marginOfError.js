@@ -0,0 +1,70 @@
+// Margins of error for ACS estimates
+// Every ACS estimate comes with a margin of error (MOE) at the 90% confidence level. These are
+// the approximations from the Census Bureau's ACS handbook ("Calculating Measures of Error for
+// Derived Estimates") for sums, proportions and ratios, plus the coefficient of variation used
+// to judge whether an estimate is reliable. A missing MOE (null or undefined) makes the derived
+// MOE null: unknown, which is not the same as exact.
+
+// z value of the 90% confidence level the ACS publishes MOEs at
+export const Z_90 = 1.645;
+
+// Coefficient of variation thresholds (in percent) commonly used for ACS estimates: up to 12% is
+// reliable, up to 40% should be used with caution, and above that the estimate is unreliable
+export const RELIABILITY_LEVELS = {
+  high: { maxCv: 12, label: 'Reliable' },
+  medium: { maxCv: 40, label: 'Use with caution' },
+  low: { maxCv: Infinity, label: 'Unreliable' }
+};
+
+const isMissing = (moe) => moe === null || moe === undefined || Number.isNaN(moe);
+
+// MOE of a sum or difference of estimates: sqrt(MOE1² + MOE2² + ...)
+export const sumMoe = (moes) => (
+  moes.some(isMissing) ? null : Math.sqrt(moes.reduce((total, moe) => total + moe * moe, 0))
+);
+
+// MOE of a proportion x / y where x is a subset of y. When the term under the square root is
+// negative the handbook falls back to the ratio formula.
+export const proportionMoe = (x, y, moeX, moeY) => {
+  if (!(y > 0) || isMissing(moeX) || isMissing(moeY)) return null;
+  const p = x / y;
+  const radicand = moeX * moeX - p * p * moeY * moeY;
+  return radicand >= 0 ? Math.sqrt(radicand) / y : ratioMoe(x, y, moeX, moeY);
+};
+
+// MOE of a ratio x / y where x is not a subset of y
+export const ratioMoe = (x, y, moeX, moeY) => {
+  if (!(y > 0) || isMissing(moeX) || isMissing(moeY)) return null;
+  const r = x / y;
+  return Math.sqrt(moeX * moeX + r * r * moeY * moeY) / y;
+};
+
+// MOE of an estimate multiplied by a constant (e.g. a proportion times 100)
+export const scaleMoe = (moe, factor) => (isMissing(moe) ? null : moe * Math.abs(factor));
+
+// Coefficient of variation in percent: the standard error (MOE / 1.645) over the estimate. An
+// estimate of zero has no CV: it is infinite unless the MOE is zero too.
+export const getCoefficientOfVariation = (estimate, moe) => {
+  if (isMissing(moe) || estimate === null || estimate === undefined) return null;
+  if (estimate === 0) return moe === 0 ? 0 : Infinity;
+  return ((moe / Z_90) / Math.abs(estimate)) * 100;
+};
+
+// { cv, level, label } of an estimate, or null when its MOE is unknown
+export const getReliability = (estimate, moe) => {
+  const cv = getCoefficientOfVariation(estimate, moe);
+  if (cv === null) return null;
+  const level = Object.keys(RELIABILITY_LEVELS).find(key => cv <= RELIABILITY_LEVELS[key].maxCv);
+  return { cv, level, label: RELIABILITY_LEVELS[level].label };
+};
+
+// 90% confidence interval [low, high]; estimates that cannot be negative (counts, percentages,
+// medians) are not given a negative lower bound
+export const getInterval = (estimate, moe, { nonNegative = true } = {}) => {
+  if (isMissing(moe) || estimate === null || estimate === undefined) return null;
+  const low = estimate - moe;
+  return [nonNegative ? Math.max(0, low) : low, estimate + moe];
+};
+
+// "CV 23%" or "CV ∞"
+export const formatCv = (cv) => `CV ${Number.isFinite(cv) ? `${Math.round(cv)}%` : '∞'}`;
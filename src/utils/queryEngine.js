@@ -0,0 +1,263 @@
+// Incident query engine
+// The one place incidents are filtered. A query is the declarative filter spec kept in the
+// context ({ dateRange, area, hourRange, daysOfWeek, crimeTypes, shifts, methods, wards, ...,
+// expression }) plus the analysis clock.
+// Results are memoized per dataset and spec, and categorical filters use per-field indexes
+// so a narrow selection does not scan every incident.
+
+import { toCalendarKey } from './timezone';
+import { getIncidentTime } from './analysisClock';
+import { GEOGRAPHIC_FILTERS } from './geographicFilters';
+import { isInsideArea } from './spatialFilter';
+import { isValidHourRange, isHourInRange, getFilterDayOfWeek } from './timeFilters';
+import { compactExpression } from './filterExpression';
+
+// Filter keys that select incidents whose field is one of the chosen values. Values are matched
+// by type, so a dimension whose field is not a string has a parseValue for values read from text.
+// Adding a filter dimension means adding an entry here.
+export const FILTER_DIMENSIONS = [
+  { key: 'crimeTypes', field: 'offense' },
+  { key: 'shifts', field: 'shift' },
+  { key: 'methods', field: 'method' },
+  ...GEOGRAPHIC_FILTERS.map(({ key, field, parseValue }) => ({ key, field, parseValue })),
+  // Set from the Heat Map's location search
+  { key: 'blocks', field: 'block' }
+];
+
+// Spec with no filters applied
+export const EMPTY_FILTERS = FILTER_DIMENSIONS.reduce((acc, { key }) => {
+  acc[key] = [];
+  return acc;
+}, { dateRange: null, area: null, hourRange: null, daysOfWeek: [], expression: null });
+
+// Number of memoized results kept per dataset
+const RESULT_CACHE_SIZE = 20;
+
+const resultCaches = new WeakMap();
+const facetCaches = new WeakMap();
+const fieldIndexes = new WeakMap();
+
+const getDimensionField = (key) => FILTER_DIMENSIONS.find(dimension => dimension.key === key)?.field;
+
+// Values of a dimension read from text (URL parameters) in its field's type; unparseable ones are dropped
+export const parseFilterValues = (key, texts) => {
+  const parseValue = FILTER_DIMENSIONS.find(dimension => dimension.key === key)?.parseValue;
+  const values = texts.filter(text => text !== '');
+  return parseValue
+    ? values.map(parseValue).filter(value => value !== null && value !== undefined)
+    : values;
+};
+
+// Advanced expression (see filterExpression.js) with clauses on incident fields
+const normalizeExpression = (expression) => {
+  const compact = compactExpression(expression);
+  if (!compact) return null;
+
+  const groups = compact.groups
+    .map(group => ({
+      any: group.match === 'any',
+      clauses: group.clauses
+        .filter(({ key }) => getDimensionField(key))
+        .map(({ key, operator, values }) => ({ field: getDimensionField(key), exclude: operator === 'exclude', values }))
+    }))
+    .filter(group => group.clauses.length > 0);
+  return groups.length > 0 ? { any: compact.match === 'any', groups } : null;
+};
+
+// Date bounds as DC calendar keys, and only the dimensions with a selection
+const normalizeSpec = (spec, clock) => ({
+  clock,
+  start: toCalendarKey(spec.dateRange?.start),
+  end: toCalendarKey(spec.dateRange?.end),
+  area: spec.area || null,
+  hours: isValidHourRange(spec.hourRange) ? spec.hourRange : null,
+  days: spec.daysOfWeek?.length > 0 ? spec.daysOfWeek : null,
+  selections: FILTER_DIMENSIONS
+    .filter(({ key }) => spec[key]?.length > 0)
+    .map(({ key, field }) => ({ field, values: spec[key] })),
+  expression: normalizeExpression(spec.expression)
+});
+
+const matchesClause = (incident, { field, exclude, values }) => values.includes(incident[field]) !== exclude;
+
+const matchesGroup = (incident, { any, clauses }) => (
+  any
+    ? clauses.some(clause => matchesClause(incident, clause))
+    : clauses.every(clause => matchesClause(incident, clause))
+);
+
+const matchesExpression = (incident, { any, groups }) => (
+  any
+    ? groups.some(group => matchesGroup(incident, group))
+    : groups.every(group => matchesGroup(incident, group))
+);
+
+const matchesQuery = (incident, query) => {
+  if (!incident) return false;
+
+  // Date range (inclusive), hour range and weekdays, in DC local time on the analysis clock
+  if (query.start || query.end || query.hours || query.days) {
+    const { dateKey, hour, dayOfWeek } = getIncidentTime(incident, query.clock);
+    if (query.start || query.end) {
+      if (!dateKey) return false;
+      if (query.start && dateKey < query.start) return false;
+      if (query.end && dateKey > query.end) return false;
+    }
+    if (query.hours && (hour === null || hour === undefined || !isHourInRange(hour, query.hours))) return false;
+    if (query.days && !query.days.includes(getFilterDayOfWeek(hour, dayOfWeek, query.hours))) return false;
+  }
+
+  // Area drawn on the map
+  if (query.area && !isInsideArea(query.area, incident.latitude, incident.longitude)) return false;
+
+  if (!query.selections.every(({ field, values }) => values.includes(incident[field]))) return false;
+
+  // Include/exclude clauses from the advanced section
+  return !query.expression || matchesExpression(incident, query.expression);
+};
+
+// Positions of the incidents holding each value of a field, built on first use
+const getFieldIndex = (rawData, field) => {
+  if (!fieldIndexes.has(rawData)) {
+    fieldIndexes.set(rawData, {});
+  }
+  const indexes = fieldIndexes.get(rawData);
+
+  if (!indexes[field]) {
+    const index = new Map();
+    rawData.forEach((incident, position) => {
+      const value = incident?.[field];
+      if (!index.has(value)) index.set(value, []);
+      index.get(value).push(position);
+    });
+    indexes[field] = index;
+  }
+  return indexes[field];
+};
+
+// Incidents that can match the query: those covered by the most selective categorical filter
+// (expressions are checked on every candidate)
+const getCandidates = (rawData, selections) => {
+  if (selections.length === 0) return rawData;
+
+  const candidateLists = selections.map(({ field, values }) => {
+    const index = getFieldIndex(rawData, field);
+    return [...new Set(values)].flatMap(value => index.get(value) || []);
+  });
+  const narrowest = candidateLists.reduce((best, list) => (list.length < best.length ? list : best));
+
+  // Keep the original (file) order
+  return narrowest.sort((a, b) => a - b).map(position => rawData[position]);
+};
+
+// Counts derived once per query and shared by every chart
+const aggregate = (incidents, clock) => {
+  const byDateKey = {};
+  const byOffense = {};
+  const byShift = {};
+  const byNeighborhood = {};
+
+  incidents.forEach(incident => {
+    const { dateKey } = getIncidentTime(incident, clock);
+    if (dateKey) byDateKey[dateKey] = (byDateKey[dateKey] || 0) + 1;
+    byOffense[incident.offense] = (byOffense[incident.offense] || 0) + 1;
+    byShift[incident.shift] = (byShift[incident.shift] || 0) + 1;
+    if (incident.neighborhood) {
+      byNeighborhood[incident.neighborhood] = (byNeighborhood[incident.neighborhood] || 0) + 1;
+    }
+  });
+
+  return { byDateKey, byOffense, byShift, byNeighborhood };
+};
+
+// Keep at most RESULT_CACHE_SIZE entries, dropping the oldest
+const rememberResult = (cache, key, value) => {
+  if (cache.size >= RESULT_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, value);
+};
+
+// Run a filter spec against the incidents on the given analysis clock.
+// Returns { incidents, total, byDateKey, byOffense, byShift, byNeighborhood }; the same
+// dataset, spec and clock always return the same (cached) object.
+export const queryIncidents = (rawData, spec = EMPTY_FILTERS, clock) => {
+  const query = normalizeSpec(spec, clock);
+  const cacheKey = JSON.stringify(query);
+
+  if (!resultCaches.has(rawData)) {
+    resultCaches.set(rawData, new Map());
+  }
+  const cache = resultCaches.get(rawData);
+
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const incidents = getCandidates(rawData, query.selections).filter(incident => matchesQuery(incident, query));
+  const result = { incidents, total: incidents.length, ...aggregate(incidents, clock) };
+
+  rememberResult(cache, cacheKey, result);
+
+  return result;
+};
+
+const countBy = (incidents, getValue) => {
+  const counts = {};
+  incidents.forEach(incident => {
+    const value = getValue(incident);
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return counts;
+};
+
+// How many incidents each option of each filter would match given the other active filters,
+// i.e. with that dimension's own selection left out:
+// { crimeTypes: { ROBBERY: 120, ... }, shifts: { ... }, ..., daysOfWeek: { 0: 310, ... } }
+// Dimensions without a selection share the main query, so only selected ones cost a pass.
+// The advanced expression stays applied to every facet.
+export const getFacetCounts = (rawData, spec = EMPTY_FILTERS, clock) => {
+  const cacheKey = JSON.stringify(normalizeSpec(spec, clock));
+
+  if (!facetCaches.has(rawData)) {
+    facetCaches.set(rawData, new Map());
+  }
+  const cache = facetCaches.get(rawData);
+
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const facets = {};
+  FILTER_DIMENSIONS.forEach(({ key, field }) => {
+    const { incidents } = queryIncidents(rawData, { ...spec, [key]: [] }, clock);
+    facets[key] = countBy(incidents, incident => incident[field]);
+  });
+
+  // Weekdays as the day-of-week filter sees them (after-midnight hours of a wrapping range count
+  // toward the previous day)
+  const hours = isValidHourRange(spec.hourRange) ? spec.hourRange : null;
+  const { incidents } = queryIncidents(rawData, { ...spec, daysOfWeek: [] }, clock);
+  facets.daysOfWeek = countBy(incidents, incident => {
+    const { hour, dayOfWeek } = getIncidentTime(incident, clock);
+    return getFilterDayOfWeek(hour, dayOfWeek, hours);
+  });
+
+  rememberResult(cache, cacheKey, facets);
+  return facets;
+};
+
+// Canonical form of a filter spec: unset and empty dimensions, and dates and their calendar
+// days, compare equal (e.g. to tell whether a filter change did anything)
+export const getFilterKey = (spec) => JSON.stringify(normalizeSpec({ ...EMPTY_FILTERS, ...spec }));
+
+// Number of filter dimensions (date range, area, hours and weekdays included) with an active
+// selection; the advanced expression counts as one
+export const countActiveFilters = (spec) => (
+  (spec.dateRange?.start || spec.dateRange?.end ? 1 : 0) +
+  (spec.area ? 1 : 0) +
+  (isValidHourRange(spec.hourRange) ? 1 : 0) +
+  (spec.daysOfWeek?.length > 0 ? 1 : 0) +
+  (compactExpression(spec.expression) ? 1 : 0) +
+  FILTER_DIMENSIONS.filter(({ key }) => spec[key]?.length > 0).length
+);
@@ -0,0 +1,89 @@
+// Named saved views
+// A view is the dashboard's URL state (see urlState.js) under a name, so opening one restores
+// filters, years, clock, census settings, tab and map view exactly like a shared link.
+// Views are kept in localStorage in the order they were created and can be exported to, and
+// imported from, a JSON file.
+
+const VIEWS_STORAGE_KEY = 'dcCrime.savedViews';
+const VIEWS_FILE_VERSION = 1;
+
+const isValidView = (view) => (
+  view && typeof view.name === 'string' && view.name.trim() !== '' && typeof view.query === 'string'
+);
+
+const storeViews = (views) => {
+  localStorage.setItem(VIEWS_STORAGE_KEY, JSON.stringify(views));
+  return views;
+};
+
+export const loadSavedViews = () => {
+  try {
+    const views = JSON.parse(localStorage.getItem(VIEWS_STORAGE_KEY)) || [];
+    return Array.isArray(views) ? views.filter(isValidView) : [];
+  } catch (error) {
+    console.warn('Could not read saved views:', error);
+    return [];
+  }
+};
+
+// Save a view; a view with the same name is replaced in place
+export const saveView = (name, query) => {
+  const views = loadSavedViews();
+  const view = { name, query, savedAt: new Date().toISOString() };
+  const index = views.findIndex(existing => existing.name === name);
+  return storeViews(index >= 0 ? views.map((existing, i) => (i === index ? view : existing)) : [...views, view]);
+};
+
+export const deleteView = (name) => storeViews(loadSavedViews().filter(view => view.name !== name));
+
+// Contents of an export file
+export const serializeViews = (views) => JSON.stringify({
+  version: VIEWS_FILE_VERSION,
+  exportedAt: new Date().toISOString(),
+  views: views.map(({ name, query, savedAt }) => ({ name, query, savedAt }))
+}, null, 2);
+
+// Views from an export file; throws with a readable message if the file is not one
+export const parseViewsFile = (text) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (!file || !Array.isArray(file.views)) {
+    throw new Error('The file does not contain saved views');
+  }
+  if (file.version > VIEWS_FILE_VERSION) {
+    throw new Error(`Saved views file version ${file.version} is newer than this dashboard supports`);
+  }
+
+  const views = file.views.filter(isValidView).map(({ name, query, savedAt }) => ({
+    name: name.trim(),
+    query: query.replace(/^\?/, ''),
+    savedAt: savedAt || null
+  }));
+  if (views.length === 0) {
+    throw new Error('The file does not contain any valid views');
+  }
+  return views;
+};
+
+// Add imported views to the saved ones; imported views replace saved views with the same name
+export const importViews = (importedViews) => {
+  const views = loadSavedViews();
+  let replaced = 0;
+
+  importedViews.forEach(imported => {
+    const index = views.findIndex(view => view.name === imported.name);
+    if (index >= 0) {
+      views[index] = imported;
+      replaced += 1;
+    } else {
+      views.push(imported);
+    }
+  });
+
+  return { views: storeViews(views), added: importedViews.length - replaced, replaced };
+};
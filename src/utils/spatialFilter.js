@@ -0,0 +1,103 @@
+// Spatial (drawn area) filter
+// Areas drawn on the Heat Map are plain objects so they can live in the filter spec and
+// localStorage:
+//   { type: 'polygon', points: [[lat, lng], ...] }
+//   { type: 'rectangle', bounds: [[south, west], [north, east]] }
+//   { type: 'circle', center: [lat, lng], radius } (radius in meters)
+
+const SHAPES_STORAGE_KEY = 'dcCrime.savedAreas';
+
+const EARTH_RADIUS_METERS = 6371000;
+
+export const AREA_TOOLS = [
+  { id: 'polygon', label: 'Polygon', hint: 'Click to add corners, double-click to finish' },
+  { id: 'rectangle', label: 'Rectangle', hint: 'Click two opposite corners' },
+  { id: 'circle', label: 'Radius', hint: 'Click the center, then click the edge' }
+];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in meters
+export const distanceInMeters = ([lat1, lng1], [lat2, lng2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting; good enough at city scale where lat/lng can be treated as planar
+const isInsidePolygon = (points, lat, lng) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [latI, lngI] = points[i];
+    const [latJ, lngJ] = points[j];
+    if ((latI > lat) !== (latJ > lat) && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Does the area contain this coordinate? Incidents without coordinates never match.
+export const isInsideArea = (area, lat, lng) => {
+  if (lat === null || lat === undefined || lng === null || lng === undefined) return false;
+
+  switch (area.type) {
+    case 'polygon':
+      return isInsidePolygon(area.points, lat, lng);
+    case 'rectangle': {
+      const [[south, west], [north, east]] = area.bounds;
+      return lat >= south && lat <= north && lng >= west && lng <= east;
+    }
+    case 'circle':
+      return distanceInMeters(area.center, [lat, lng]) <= area.radius;
+    default:
+      return true;
+  }
+};
+
+// Rectangle from two opposite corners, in any order
+export const rectangleFromCorners = ([lat1, lng1], [lat2, lng2]) => ({
+  type: 'rectangle',
+  bounds: [[Math.min(lat1, lat2), Math.min(lng1, lng2)], [Math.max(lat1, lat2), Math.max(lng1, lng2)]]
+});
+
+// Short description of an area, e.g. "500 m radius"
+export const describeArea = (area) => {
+  if (!area) return '';
+  switch (area.type) {
+    case 'polygon':
+      return `Polygon (${area.points.length} corners)`;
+    case 'rectangle':
+      return 'Rectangle';
+    case 'circle':
+      return area.radius >= 1000
+        ? `${(area.radius / 1000).toFixed(1)} km radius`
+        : `${Math.round(area.radius)} m radius`;
+    default:
+      return 'Area';
+  }
+};
+
+// Saved areas, keyed by the name the analyst gave them
+export const loadSavedAreas = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SHAPES_STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read saved areas:', error);
+    return {};
+  }
+};
+
+export const saveArea = (name, area) => {
+  const areas = { ...loadSavedAreas(), [name]: { ...area, savedAt: new Date().toISOString() } };
+  localStorage.setItem(SHAPES_STORAGE_KEY, JSON.stringify(areas));
+  return areas;
+};
+
+export const deleteArea = (name) => {
+  const { [name]: removed, ...areas } = loadSavedAreas();
+  localStorage.setItem(SHAPES_STORAGE_KEY, JSON.stringify(areas));
+  return areas;
+};
@@ -0,0 +1,50 @@
+// Hour-of-day and day-of-week filters
+// Both use the incident's DC local time on the analysis clock. An hour range is
+// { start, end } in whole hours (0-23): it includes the start hour and stops at the end hour,
+// and wraps past midnight when the end is not after the start, so { start: 22, end: 4 } keeps
+// incidents from 22:00 to 03:59.
+// With a range that wraps past midnight, the hours after midnight count toward the previous
+// day, so Thursday-Saturday 22:00-04:00 means the Thursday, Friday and Saturday nights (Saturday
+// 02:00 is Friday night; Sunday 02:00 is Saturday night).
+
+// Same numbering as the dayOfWeek of a DC local time (0 = Sunday)
+export const DAYS_OF_WEEK = [
+  { id: 0, label: 'Sun', name: 'Sunday' },
+  { id: 1, label: 'Mon', name: 'Monday' },
+  { id: 2, label: 'Tue', name: 'Tuesday' },
+  { id: 3, label: 'Wed', name: 'Wednesday' },
+  { id: 4, label: 'Thu', name: 'Thursday' },
+  { id: 5, label: 'Fri', name: 'Friday' },
+  { id: 6, label: 'Sat', name: 'Saturday' }
+];
+
+export const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+export const formatHour = (hour) => `${String(hour).padStart(2, '0')}:00`;
+
+// A range whose start and end are the same hour would cover the whole day, so it is not valid
+export const isValidHourRange = (range) => (
+  Boolean(range) &&
+  Number.isInteger(range.start) && Number.isInteger(range.end) &&
+  range.start >= 0 && range.start <= 23 && range.end >= 0 && range.end <= 23 &&
+  range.start !== range.end
+);
+
+export const isHourInRange = (hour, { start, end }) => (
+  start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end
+);
+
+// Weekday an incident counts toward for the day-of-week filter
+export const getFilterDayOfWeek = (hour, dayOfWeek, hourRange) => (
+  hourRange && hourRange.end < hourRange.start && hour < hourRange.end
+    ? (dayOfWeek + 6) % 7
+    : dayOfWeek
+);
+
+// Hours covered by a range, e.g. 6 for 22:00-04:00
+export const getHourRangeLength = ({ start, end }) => (end - start + 24) % 24;
+
+// e.g. "22:00-04:00"
+export const formatHourRange = (range) => `${formatHour(range.start)}-${formatHour(range.end)}`;
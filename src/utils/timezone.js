@@ -0,0 +1,106 @@
+// Timezone helpers
+// Incident timestamps are published in UTC; every analysis uses Washington DC local time
+// (America/New_York, including daylight saving) regardless of the viewer's machine timezone.
+
+import { format } from 'date-fns';
+
+export const ANALYSIS_TIME_ZONE = 'America/New_York';
+
+const partsFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: ANALYSIS_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  weekday: 'short',
+  hourCycle: 'h23'
+});
+
+const zoneNameFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: ANALYSIS_TIME_ZONE,
+  timeZoneName: 'short'
+});
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Calendar fields of an instant in DC local time
+export const getLocalParts = (date) => {
+  if (!date) return null;
+
+  const parts = partsFormatter.formatToParts(date).reduce((acc, { type, value }) => {
+    acc[type] = value;
+    return acc;
+  }, {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    dayOfWeek: WEEKDAYS[parts.weekday],
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+};
+
+// Parse a DC data timestamp ("yyyy/MM/dd HH:mm:ss+00") as UTC
+export const parseUtcTimestamp = (value) => {
+  const match = /^(\d{4})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})(?:\+00)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, second] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Parse an ISO 8601 date or date-time without a UTC offset ("2024-03-10T02:30:00") as DC local
+// time; returns null for anything else. Times skipped by the spring-forward change resolve to the
+// hour before, and repeated fall-back times to their first (EDT) occurrence.
+export const parseLocalTimestamp = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [year, month, day, hour = 0, minute = 0, second = 0] = match.slice(1, 7).map(part => Number(part || 0));
+  const millisecond = Number((match[7] || '').padEnd(3, '0'));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  if (Number.isNaN(wallClock)) return null;
+
+  // Offset of DC time from UTC at an instant, in milliseconds (whole minutes)
+  const offsetAt = (instant) => {
+    const parts = getLocalParts(new Date(instant));
+    const minuteStart = instant - (((instant % 60000) + 60000) % 60000);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - minuteStart;
+  };
+
+  // Estimate with the offset at the wall-clock time read as UTC, then take the offset at that
+  // estimate so the result lands on the right side of a daylight saving change
+  const guess = wallClock - offsetAt(wallClock);
+  const date = new Date(wallClock - offsetAt(guess));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Short zone name for an instant, e.g. "EST" or "EDT"
+export const getZoneAbbreviation = (date = new Date()) => (
+  zoneNameFormatter.formatToParts(date).find(part => part.type === 'timeZoneName')?.value || 'ET'
+);
+
+const dateTimeFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: ANALYSIS_TIME_ZONE,
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23',
+  timeZoneName: 'short'
+});
+
+// Format an instant in DC local time, e.g. "Mar 10, 2024, 02:30 EDT"
+export const formatLocalDateTime = (date) => (date ? dateTimeFormatter.format(date) : '');
+
+// Calendar day ("yyyy-MM-dd") picked in a date input, for comparing against incident date keys
+export const toCalendarKey = (date) => (date ? format(date, 'yyyy-MM-dd') : null);
+
+// Label shown next to time-based charts
+export const TIME_ZONE_LABEL = 'Eastern Time (America/New_York)';
@@ -0,0 +1,196 @@
+// Dashboard state in the URL
+// Filters, dataset years, analysis clock, census metric and overlay, counts vs rates, the active tab and the map
+// view are kept in the query string, so a reload or a pasted link opens the same dashboard.
+// Each part of the UI writes its own slice; browser back/forward are reported through
+// onUrlStateChange. Defaults are left out to keep links short.
+
+import { format, isValid, parseISO } from 'date-fns';
+import { ANALYSIS_CLOCKS, DEFAULT_ANALYSIS_CLOCK } from './analysisClock';
+import { FILTER_DIMENSIONS, EMPTY_FILTERS, parseFilterValues } from './queryEngine';
+import { isValidHourRange } from './timeFilters';
+import { formatExpression, parseExpression } from './filterExpression';
+import { CRIME_MEASURES, DEFAULT_CRIME_MEASURE } from './crimeMeasure';
+import { CENSUS_METRICS, DEFAULT_CENSUS_METRIC } from './censusMetrics';
+
+export const DEFAULT_TAB = 'heatMap';
+
+// Coordinates are rounded to about a meter
+const COORDINATE_DECIMALS = 5;
+
+const formatCoordinate = (value) => Number(value.toFixed(COORDINATE_DECIMALS));
+
+const formatPoints = (points) => points.map(point => point.map(formatCoordinate).join(',')).join(';');
+
+const parsePoints = (text) => text.split(';').map(point => point.split(',').map(Number));
+
+const isValidPoint = (point) => point.length === 2 && point.every(Number.isFinite);
+
+// "polygon:lat,lng;lat,lng;...", "rectangle:south,west;north,east" or "circle:lat,lng;radius"
+const formatArea = (area) => {
+  switch (area.type) {
+    case 'polygon':
+      return `polygon:${formatPoints(area.points)}`;
+    case 'rectangle':
+      return `rectangle:${formatPoints(area.bounds)}`;
+    case 'circle':
+      return `circle:${formatPoints([area.center])};${Math.round(area.radius)}`;
+    default:
+      return null;
+  }
+};
+
+const parseArea = (text) => {
+  const [type, coordinates = ''] = text.split(':');
+
+  switch (type) {
+    case 'polygon': {
+      const points = parsePoints(coordinates);
+      return points.length >= 3 && points.every(isValidPoint) ? { type, points } : null;
+    }
+    case 'rectangle': {
+      const bounds = parsePoints(coordinates);
+      return bounds.length === 2 && bounds.every(isValidPoint) ? { type, bounds } : null;
+    }
+    case 'circle': {
+      const [center, radius] = coordinates.split(';');
+      const centerPoint = center ? center.split(',').map(Number) : [];
+      return isValidPoint(centerPoint) && Number(radius) > 0
+        ? { type, center: centerPoint, radius: Number(radius) }
+        : null;
+    }
+    default:
+      return null;
+  }
+};
+
+// "22-4" for 22:00-04:00
+const parseHourRange = (text) => {
+  const [start, end] = text.split('-').map(Number);
+  const range = { start, end };
+  return isValidHourRange(range) ? range : null;
+};
+
+// "4,5,6" for Thursday to Saturday
+const parseDaysOfWeek = (text) => (
+  [...new Set(text.split(',').map(Number))].filter(day => Number.isInteger(day) && day >= 0 && day <= 6).sort()
+);
+
+const parseDate = (text) => {
+  const date = text ? parseISO(text) : null;
+  return date && isValid(date) ? date : null;
+};
+
+// "2024" (one year), "2022,2024" (several years) or "last3" (rolling window)
+const formatDatasetSelection = (selection) => {
+  if (selection.mode === 'rolling') return `last${selection.window}`;
+  return [...selection.years].sort((a, b) => a - b).join(',');
+};
+
+const parseDatasetSelection = (text) => {
+  const rolling = text.match(/^last(\d+)$/);
+  if (rolling) {
+    return { mode: 'rolling', years: [], window: Number(rolling[1]) };
+  }
+
+  const years = text.split(',').map(Number).filter(Number.isInteger);
+  if (years.length === 0) return null;
+  return { mode: years.length > 1 ? 'multiple' : 'single', years, window: 3 };
+};
+
+// Read the dashboard state from a query string. Missing values come back as their defaults
+// (datasetSelection and mapView as null), so going back to a bare URL resets the dashboard.
+export const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+
+  const start = parseDate(params.get('from'));
+  const end = parseDate(params.get('to'));
+  const filters = FILTER_DIMENSIONS.reduce((acc, { key }) => {
+    acc[key] = parseFilterValues(key, params.getAll(key));
+    return acc;
+  }, {
+    ...EMPTY_FILTERS,
+    dateRange: start || end ? { start, end } : null,
+    area: params.get('area') ? parseArea(params.get('area')) : null,
+    hourRange: params.get('hours') ? parseHourRange(params.get('hours')) : null,
+    daysOfWeek: params.get('days') ? parseDaysOfWeek(params.get('days')) : [],
+    expression: params.get('expr')
+      ? parseExpression(params.get('expr'), FILTER_DIMENSIONS.map(({ key }) => key), parseFilterValues)
+      : null
+  });
+
+  const [lat, lng, zoom] = (params.get('map') || '').split(',').map(Number);
+  const clock = params.get('clock');
+  const metric = params.get('metric');
+  const measure = params.get('measure');
+
+  return {
+    filters,
+    datasetSelection: params.get('years') ? parseDatasetSelection(params.get('years')) : null,
+    analysisClock: ANALYSIS_CLOCKS[clock] ? clock : DEFAULT_ANALYSIS_CLOCK,
+    censusMetric: CENSUS_METRICS.some(({ id }) => id === metric) ? metric : DEFAULT_CENSUS_METRIC,
+    showCensusOverlay: params.get('overlay') === '1',
+    crimeMeasure: CRIME_MEASURES[measure] ? measure : DEFAULT_CRIME_MEASURE,
+    activeTab: params.get('tab') || DEFAULT_TAB,
+    mapView: [lat, lng, zoom].every(Number.isFinite) ? { center: [lat, lng], zoom } : null
+  };
+};
+
+// Query string for a full dashboard state, always in the same parameter order
+const encodeUrlState = (state) => {
+  const params = new URLSearchParams();
+  const { filters } = state;
+
+  if (state.datasetSelection) params.set('years', formatDatasetSelection(state.datasetSelection));
+  if (state.analysisClock !== DEFAULT_ANALYSIS_CLOCK) params.set('clock', state.analysisClock);
+  if (filters.dateRange?.start) params.set('from', format(filters.dateRange.start, 'yyyy-MM-dd'));
+  if (filters.dateRange?.end) params.set('to', format(filters.dateRange.end, 'yyyy-MM-dd'));
+  if (filters.area && formatArea(filters.area)) params.set('area', formatArea(filters.area));
+  if (isValidHourRange(filters.hourRange)) params.set('hours', `${filters.hourRange.start}-${filters.hourRange.end}`);
+  if (filters.daysOfWeek?.length > 0) params.set('days', [...filters.daysOfWeek].sort().join(','));
+  FILTER_DIMENSIONS.forEach(({ key }) => {
+    (filters[key] || []).forEach(value => params.append(key, value));
+  });
+  if (formatExpression(filters.expression)) params.set('expr', formatExpression(filters.expression));
+  if (state.censusMetric !== DEFAULT_CENSUS_METRIC) params.set('metric', state.censusMetric);
+  if (state.showCensusOverlay) params.set('overlay', '1');
+  if (state.crimeMeasure !== DEFAULT_CRIME_MEASURE) params.set('measure', state.crimeMeasure);
+  if (state.activeTab !== DEFAULT_TAB) params.set('tab', state.activeTab);
+  if (state.mapView) {
+    const { center, zoom } = state.mapView;
+    params.set('map', [...center.map(formatCoordinate), zoom].join(','));
+  }
+
+  return params.toString();
+};
+
+// Update part of the state in the URL. Adds a history entry unless replace is set (used for
+// map panning and the first write after loading); does nothing when the URL would not change.
+export const writeUrlState = (changes, { replace = false } = {}) => {
+  const search = encodeUrlState({ ...readUrlState(), ...changes });
+  if (search === window.location.search.replace(/^\?/, '')) return;
+
+  const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  if (replace) {
+    window.history.replaceState(null, '', url);
+  } else {
+    window.history.pushState(null, '', url);
+  }
+};
+
+// The whole dashboard state as a query string (without "?"), e.g. to store a saved view
+export const getUrlStateQuery = () => window.location.search.replace(/^\?/, '');
+
+// Open a stored query string as a new history entry; every part of the UI restores its slice
+// exactly as on back/forward
+export const openUrlStateQuery = (query) => {
+  const search = encodeUrlState(readUrlState(`?${query}`));
+  window.history.pushState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`);
+  window.dispatchEvent(new PopStateEvent('popstate'));
+};
+
+// Call back with the URL state on browser back/forward; returns the unsubscribe function
+export const onUrlStateChange = (callback) => {
+  const handlePopState = () => callback(readUrlState());
+  window.addEventListener('popstate', handlePopState);
+  return () => window.removeEventListener('popstate', handlePopState);
+};
@@ -1,88 +1,65 @@
 import { useMemo } from 'react';
 import { useCrimeData } from './CrimeDataContext';
+import { getIncidentTime } from './analysisClock';
+import { queryIncidents } from './queryEngine';
 import { format, parseISO, startOfYear, endOfYear, eachDayOfInterval } from 'date-fns';
 
 export const useChartData = () => {
-  const { rawData, filters } = useCrimeData();
+  const { rawData, filters, loadedYears, analysisClock } = useCrimeData();
 
-  // Memoized filtered data
-  const filteredData = useMemo(() => {
-    return rawData.filter(incident => {
-      // Date range filter
-      if (filters.dateRange) {
-        const { start, end } = filters.dateRange;
-        if (incident.reportDate < start || incident.reportDate > end) {
-          return false;
-        }
-      }
-
-      // Crime type filter
-      if (filters.crimeTypes.length > 0 && !filters.crimeTypes.includes(incident.offense)) {
-        return false;
-      }
-
-      // Shift filter
-      if (filters.shifts.length > 0 && !filters.shifts.includes(incident.shift)) {
-        return false;
-      }
-
-      return true;
-    });
-  }, [rawData, filters]);
+  // Matching incidents and their counts, shared with the context through the query engine
+  const query = useMemo(() => queryIncidents(rawData, filters, analysisClock), [rawData, filters, analysisClock]);
+  const filteredData = query.incidents;
 
   // Memoized aggregated data for different chart types
   const chartData = useMemo(() => {
     // Count total incidents
-    const total = filteredData.length;
+    const { total } = query;
 
     // Time distribution data
     const timeDistribution = ['DAY', 'EVENING', 'MIDNIGHT'].map(shift => ({
       shift,
-      count: filteredData.filter(d => d.shift === shift).length,
+      count: query.byShift[shift] || 0,
       total
     }));
 
     // Crime type distribution data
-    const crimeTypeCounts = filteredData.reduce((acc, incident) => {
-      acc[incident.offense] = (acc[incident.offense] || 0) + 1;
-      return acc;
-    }, {});
-
-    const crimeTypes = Object.entries(crimeTypeCounts)
+    const crimeTypes = Object.entries(query.byOffense)
       .map(([offense, count]) => ({ offense, count, total }))
       .sort((a, b) => b.count - a.count)
       .slice(0, 10);
 
-    // Heat map data - now including block information
-    const heatMapData = filteredData.map(incident => ({
-      lat: incident.latitude,
-      lng: incident.longitude,
-      offense: incident.offense,
-      reportDate: incident.reportDate,
-      shift: incident.shift,
-      block: incident.block,
-      neighborhood: incident.neighborhood,
-      weight: 1
-    }));
+    // Heat map data - now including block information and the time on the analysis clock
+    const heatMapData = filteredData.map(incident => {
+      const { date, hour, dayOfWeek } = getIncidentTime(incident, analysisClock);
+      return {
+        lat: incident.latitude,
+        lng: incident.longitude,
+        offense: incident.offense,
+        reportDate: incident.reportDate,
+        time: date,
+        hour,
+        dayOfWeek,
+        shift: incident.shift,
+        block: incident.block,
+        neighborhood: incident.neighborhood,
+        weight: 1
+      };
+    });
 
-    // Temporal trends data
-    const dailyCounts = filteredData.reduce((acc, incident) => {
-      if (incident.reportDate) {
-        const dateKey = format(incident.reportDate, 'yyyy-MM-dd');
-        acc[dateKey] = (acc[dateKey] || 0) + 1;
-      }
-      return acc;
-    }, {});
+    // Temporal trends data, counted by the DC local calendar day
+    const dailyCounts = query.byDateKey;
 
-    // Get all days in 2024
-    const year2024 = new Date(2024, 0, 1);
+    // Get all days in the loaded years
+    const years = loadedYears.length > 0 ? loadedYears : [new Date().getFullYear()];
     const interval = {
-      start: startOfYear(year2024),
-      end: endOfYear(year2024)
+      start: startOfYear(new Date(Math.min(...years), 0, 1)),
+      end: endOfYear(new Date(Math.max(...years), 0, 1))
     };
 
-    // Create array of all days with their crime counts
+    // Create array of all days with their crime counts (skipping years that are not selected)
     const temporalTrends = eachDayOfInterval(interval)
+      .filter(date => years.includes(date.getFullYear()))
       .map(date => {
         const dateKey = format(date, 'yyyy-MM-dd');
         return {
@@ -91,14 +68,23 @@ export const useChartData = () => {
         };
       });
 
+    // Yearly totals for year-over-year comparison
+    const yearlyTotals = years.map(year => ({
+      year,
+      count: Object.entries(dailyCounts)
+        .filter(([dateKey]) => dateKey.startsWith(`${year}-`))
+        .reduce((sum, [, count]) => sum + count, 0)
+    }));
+
     return {
       timeDistribution,
       crimeTypes,
       heatMapData,
       temporalTrends,
+      yearlyTotals,
       total
     };
-  }, [filteredData]);
+  }, [query, filteredData, loadedYears, analysisClock]);
 
   return chartData;
 };
@@ -0,0 +1,44 @@
+// Weapon involvement (the METHOD column)
+// MPD records GUN or KNIFE when either was used, and OTHERS for every other incident.
+
+export const WEAPON_METHODS = [
+  { id: 'GUN', label: 'Gun', icon: '🔫', color: '#D32F2F' },
+  { id: 'KNIFE', label: 'Knife', icon: '🔪', color: '#F57C00' },
+  { id: 'OTHERS', label: 'Other / none', icon: '✋', color: '#90A4AE' }
+];
+
+export const isGunIncident = (incident) => incident.method === 'GUN';
+
+// Display label for a METHOD value
+export const getMethodLabel = (method) => (
+  WEAPON_METHODS.find(m => m.id === method)?.label || 'Unknown'
+);
+
+// Count incidents per method for each group, e.g. per month or per shift.
+// Returns rows like { key, GUN, KNIFE, OTHERS, total, gunShare }.
+export const countMethodsBy = (incidents, getKey) => {
+  const groups = {};
+
+  incidents.forEach(incident => {
+    const key = getKey(incident);
+    if (key === null || key === undefined || key === '') return;
+
+    if (!groups[key]) {
+      groups[key] = WEAPON_METHODS.reduce((acc, { id }) => {
+        acc[id] = 0;
+        return acc;
+      }, { key, total: 0 });
+    }
+
+    const group = groups[key];
+    if (incident.method in group) {
+      group[incident.method]++;
+    }
+    group.total++;
+  });
+
+  return Object.values(groups).map(group => ({
+    ...group,
+    gunShare: group.total > 0 ? (group.GUN / group.total) * 100 : 0
+  }));
+};